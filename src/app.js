@@ -18,7 +18,7 @@ app.use(
         origin: process.env.CORS_ORIGIN?.split(",") || "http://localhost:5173",
         credentials: true,
         methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-        allowedHeaders: ["Authorization", "Content-Type"]
+        allowedHeaders: ["Authorization", "Content-Type", "X-Workspace-Id"]
     })
 );
 
@@ -27,15 +27,27 @@ app.use(
 import healthCheckRouter from "./routes/healthcheck.routes.js"
 import authRouter from "./routes/auth.routes.js";
 import projectRouter from "./routes/project.routes.js";
+import projectTemplateRouter from "./routes/projectTemplate.routes.js";
+import workspaceRouter from "./routes/workspace.routes.js";
 import taskRouter from "./routes/task.routes.js";
 import noteRouter from "./routes/note.routes.js";
+import invitationRouter from "./routes/invitation.routes.js";
+import adminRouter from "./routes/admin.routes.js";
+import { getJwks } from "./controllers/auth.cotrollers.js";
 
 
 app.use("/api/v1/healthcheck",healthCheckRouter);
 app.use("/api/v1/auth",authRouter);
+app.use("/api/v1/workspaces",workspaceRouter);
 app.use("/api/v1/projects",projectRouter);
+app.use("/api/v1/project-templates",projectTemplateRouter);
 app.use("/api/v1/tasks",taskRouter);
 app.use("/api/v1/notes",noteRouter);
+app.use("/api/v1/invitations",invitationRouter);
+app.use("/api/v1/admin",adminRouter);
+
+// Standard location for the access token verification keys
+app.get("/.well-known/jwks.json", getJwks);
 
 app.get("/", (req, res) => {
     res.send("Welcome to the Main Page")
@@ -0,0 +1,231 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { ApiError } from "../utils/api-error.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { User } from "../models/user.models.js";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectMember.models.js";
+import { ProjectInvitation } from "../models/projectInvitation.models.js";
+import { Task } from "../models/task.models.js";
+import { Subtask } from "../models/subtask.models.js";
+import { Note } from "../models/note.models.js";
+import { Label } from "../models/label.models.js";
+import { Role } from "../models/role.models.js";
+import { ProjectActivity } from "../models/projectActivity.models.js";
+import { Workspace } from "../models/workspace.models.js";
+import { WorkspaceMember } from "../models/workspaceMember.models.js";
+import { Session } from "../models/session.models.js";
+import { PersonalAccessToken } from "../models/personalAccessToken.models.js";
+import { AuthThrottle } from "../models/authThrottle.models.js";
+import { AuditCategoryEnum, UserRolesEnum, WorkspaceRolesEnum } from "../utils/constants.js";
+import { recordAuditEvent } from "../utils/audit-log.js";
+import { retryOperation } from "../utils/retry-handler.js";
+import { removeAvatarFile } from "../utils/avatar.js";
+import mongoose from "mongoose";
+
+// Profile fields included in the personal data export
+const EXPORT_PROFILE_FIELDS = "username email fullName avatar.url role isEmailVerified pendingEmail twoFactor.enabled twoFactor.enabledAt oidc.issuer oidc.linkedAt isSuspended suspendedAt suspendedReason createdAt updatedAt";
+
+/**
+ * Export the authenticated user's personal data as a JSON archive
+ * GET /api/v1/auth/me/export
+ * Bundles the profile, workspace and project memberships, created tasks, subtasks and notes,
+ * and the metadata of sessions and personal access tokens (never their secrets)
+ */
+export const exportPersonalData = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    const [profile, workspaceMemberships, memberships, tasks, subtasks, notes, sessions, personalAccessTokens] = await Promise.all([
+        User.findById(userId).select(EXPORT_PROFILE_FIELDS).lean(),
+        WorkspaceMember.find({ user: userId })
+            .select("workspace role joinedAt")
+            .populate('workspace', 'name slug')
+            .lean(),
+        ProjectMember.find({ user: userId })
+            .select("project role joinedAt pinnedAt createdAt")
+            .populate('project', 'name description')
+            .lean(),
+        Task.find({ $or: [{ createdBy: userId }, { assignee: userId }] })
+            .select("project title description status assignee createdBy attachments.url attachments.mimetype attachments.size createdAt updatedAt")
+            .populate('project', 'name')
+            .lean(),
+        Subtask.find({ createdBy: userId })
+            .select("task title description isCompleted createdAt updatedAt")
+            .populate('task', 'title')
+            .lean(),
+        Note.find({ createdBy: userId })
+            .select("project title content createdAt updatedAt")
+            .populate('project', 'name')
+            .lean(),
+        Session.find({ user: userId })
+            .select("deviceName ipAddress userAgent lastUsedAt expiresAt revokedAt revokedReason createdAt")
+            .lean(),
+        PersonalAccessToken.find({ user: userId })
+            .select("name tokenHint scopes expiresAt lastUsedAt lastUsedIp revokedAt createdAt")
+            .lean()
+    ]);
+
+    const archive = {
+        exportedAt: new Date().toISOString(),
+        profile,
+        workspaceMemberships,
+        memberships,
+        // Tasks the user created, plus tasks assigned to them by others
+        tasks: tasks.map((task) => ({
+            ...task,
+            isCreator: task.createdBy?.equals(userId) ?? false,
+            isAssignee: task.assignee?.equals(userId) ?? false
+        })),
+        subtasks,
+        notes,
+        sessions,
+        personalAccessTokens
+    };
+
+    await recordAuditEvent(req, {
+        action: "auth.account.exported",
+        category: AuditCategoryEnum.AUTH,
+        target: { type: "User", id: userId, label: req.user.email }
+    });
+
+    const fileName = `personal-data-${req.user.username}-${new Date().toISOString().slice(0, 10)}.json`;
+
+    res.status(200)
+        .set("Content-Disposition", `attachment; filename="${fileName}"`)
+        .json(new ApiResponse(200, archive, "Personal data exported successfully"));
+});
+
+/**
+ * Permanently delete the authenticated user's account
+ * DELETE /api/v1/auth/me
+ * Accounts with a password confirm with it; single sign-on accounts confirm by repeating their email.
+ * Content the user created stays in the projects but is attributed to the shared "Deleted user"
+ * placeholder, assigned tasks become unassigned, and memberships, sessions and tokens are removed.
+ * Audit events are kept as the security record.
+ */
+export const deleteAccount = asyncHandler(async (req, res) => {
+    const { password, confirmEmail } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    if (user.password) {
+        if (!(await user.isPasswordCorrect(password))) {
+            throw new ApiError(400, "Invalid password");
+        }
+    } else if (confirmEmail?.toLowerCase().trim() !== user.email) {
+        throw new ApiError(400, "Confirm the deletion by sending your email address as confirmEmail");
+    }
+
+    // Projects need an owner, so owned projects must be handed over or deleted first
+    const ownedProjects = await Project.find({ owner: user._id, deletedAt: null }).select("name").lean();
+
+    if (ownedProjects.length > 0) {
+        throw new ApiError(
+            409,
+            "Transfer or delete the projects you own before deleting your account",
+            ownedProjects.map((project) => ({ projectId: project._id, name: project.name }))
+        );
+    }
+
+    // A workspace with other members must keep an admin
+    const adminWorkspaceIds = await WorkspaceMember.find({ user: user._id, role: WorkspaceRolesEnum.ADMIN }).distinct("workspace");
+    const orphanedWorkspaces = [];
+
+    for (const workspaceId of adminWorkspaceIds) {
+        const [otherAdminCount, otherMemberCount] = await Promise.all([
+            WorkspaceMember.countDocuments({ workspace: workspaceId, user: { $ne: user._id }, role: WorkspaceRolesEnum.ADMIN }),
+            WorkspaceMember.countDocuments({ workspace: workspaceId, user: { $ne: user._id } })
+        ]);
+
+        if (otherAdminCount === 0 && otherMemberCount > 0) {
+            orphanedWorkspaces.push(workspaceId);
+        }
+    }
+
+    if (orphanedWorkspaces.length > 0) {
+        const workspaces = await Workspace.find({ _id: { $in: orphanedWorkspaces } }).select("name").lean();
+
+        throw new ApiError(
+            409,
+            "Make another member a workspace admin before deleting your account",
+            workspaces.map((workspace) => ({ workspaceId: workspace._id, name: workspace.name }))
+        );
+    }
+
+    if (user.role === UserRolesEnum.ADMIN) {
+        const activeAdminCount = await User.countDocuments({
+            role: UserRolesEnum.ADMIN,
+            isSuspended: { $ne: true }
+        });
+
+        if (activeAdminCount <= 1) {
+            throw new ApiError(409, "The last active admin cannot delete their account");
+        }
+    }
+
+    const placeholder = await User.getDeletedUserPlaceholder();
+
+    await retryOperation(async () => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            // Step 1: Attribute created content to the placeholder and unassign tasks
+            await Task.updateMany({ createdBy: user._id }, { $set: { createdBy: placeholder._id } }).session(session);
+            await Task.updateMany({ assignee: user._id }, { $unset: { assignee: 1 } }).session(session);
+            await Subtask.updateMany({ createdBy: user._id }, { $set: { createdBy: placeholder._id } }).session(session);
+            await Note.updateMany({ createdBy: user._id }, { $set: { createdBy: placeholder._id } }).session(session);
+            await Label.updateMany({ createdBy: user._id }, { $set: { createdBy: placeholder._id } }).session(session);
+            await Role.updateMany({ createdBy: user._id }, { $set: { createdBy: placeholder._id } }).session(session);
+            await ProjectActivity.updateMany({ actor: user._id }, { $set: { actor: placeholder._id } }).session(session);
+
+            // Step 2: Anonymize who added members, sent or accepted invitations, and owns projects in the trash
+            await ProjectMember.updateMany({ addedBy: user._id }, { $set: { addedBy: placeholder._id } }).session(session);
+            await WorkspaceMember.updateMany({ addedBy: user._id }, { $set: { addedBy: placeholder._id } }).session(session);
+            await Workspace.updateMany({ createdBy: user._id }, { $set: { createdBy: placeholder._id } }).session(session);
+            await ProjectInvitation.updateMany({ invitedBy: user._id }, { $set: { invitedBy: placeholder._id } }).session(session);
+            await ProjectInvitation.updateMany({ acceptedBy: user._id }, { $set: { acceptedBy: placeholder._id } }).session(session);
+            await User.updateMany({ suspendedBy: user._id }, { $set: { suspendedBy: placeholder._id } }).session(session);
+            await Project.updateMany({ owner: user._id }, { $set: { owner: placeholder._id } }).session(session);
+            await Project.updateMany({ deletedBy: user._id }, { $set: { deletedBy: placeholder._id } }).session(session);
+
+            // Step 3: Remove the user's memberships and credentials
+            await ProjectMember.deleteMany({ user: user._id }).session(session);
+            await WorkspaceMember.deleteMany({ user: user._id }).session(session);
+            await Session.deleteMany({ user: user._id }).session(session);
+            await PersonalAccessToken.deleteMany({ user: user._id }).session(session);
+            await AuthThrottle.deleteMany({ subjectType: "account", subject: user.email }).session(session);
+
+            // Step 4: Delete the account itself
+            await User.deleteOne({ _id: user._id }).session(session);
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }, {
+        maxRetries: 3,
+        initialDelay: 100
+    });
+
+    await removeAvatarFile(user.avatar?.localPath);
+
+    await recordAuditEvent(req, {
+        action: "auth.account.deleted",
+        category: AuditCategoryEnum.DESTRUCTIVE,
+        actor: user,
+        target: { type: "User", id: user._id, label: user.email }
+    });
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    };
+
+    res.status(200)
+        .clearCookie("accessToken", options)
+        .clearCookie("refreshToken", options)
+        .json(new ApiResponse(200, null, "Account deleted successfully"));
+});
@@ -0,0 +1,320 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { ApiError } from "../utils/api-error.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { User } from "../models/user.models.js";
+import { Session } from "../models/session.models.js";
+import { AuditCategoryEnum, UserRolesEnum } from "../utils/constants.js";
+import { buildAuditDiff, recordAuditEvent } from "../utils/audit-log.js";
+import { forgotPasswordMailgenContent, sendEmail } from "../utils/mail.js";
+import { revokeUserCredentials } from "../utils/user-credentials.js";
+import mongoose from "mongoose";
+
+// Fields returned to admins when listing or inspecting users
+const ADMIN_USER_FIELDS = "username email fullName avatar role isEmailVerified isSuspended suspendedAt suspendedReason suspendedBy mustResetPassword twoFactor.enabled createdAt updatedAt";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Load the target user of an admin action, rejecting invalid IDs and unknown users
+ * @param {String} userId - ID from req.params
+ * @returns {Promise<Object>} User document
+ */
+const findTargetUser = async (userId) => {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApiError(400, `Invalid user ID format: ${userId}`);
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    return user;
+};
+
+/**
+ * Prevent admins from locking themselves or the deployment out of the admin API
+ * @param {Object} req - Express request object
+ * @param {Object} user - Target user
+ * @param {String} action - Description of the action for the error message
+ */
+const assertNotLastActiveAdmin = async (req, user, action) => {
+    if (user._id.equals(req.user._id)) {
+        throw new ApiError(400, `You cannot ${action} your own account`);
+    }
+
+    if (user.role === UserRolesEnum.ADMIN && !user.isSuspended) {
+        const activeAdminCount = await User.countDocuments({
+            role: UserRolesEnum.ADMIN,
+            isSuspended: { $ne: true }
+        });
+
+        if (activeAdminCount <= 1) {
+            throw new ApiError(400, `Cannot ${action} the last active admin`);
+        }
+    }
+};
+
+/**
+ * List and search users (System Admin only)
+ * GET /api/v1/admin/users
+ * Query: search, role, status (active | suspended), isEmailVerified, page, limit
+ */
+export const getUsers = asyncHandler(async (req, res) => {
+    const { search, role, status, isEmailVerified } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = {};
+
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search.trim()), "i");
+        filter.$or = [
+            { username: pattern },
+            { email: pattern },
+            { fullName: pattern }
+        ];
+    }
+
+    if (role) {
+        filter.role = role;
+    }
+
+    if (status === "suspended") {
+        filter.isSuspended = true;
+    } else if (status === "active") {
+        filter.isSuspended = { $ne: true };
+    }
+
+    if (isEmailVerified !== undefined) {
+        filter.isEmailVerified = isEmailVerified === "true";
+    }
+
+    const [users, total] = await Promise.all([
+        User.find(filter)
+            .select(ADMIN_USER_FIELDS)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        User.countDocuments(filter)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                users,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            },
+            "Users retrieved successfully"
+        )
+    );
+});
+
+/**
+ * Get a single user (System Admin only)
+ * GET /api/v1/admin/users/:userId
+ */
+export const getUserById = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApiError(400, `Invalid user ID format: ${userId}`);
+    }
+
+    const user = await User.findById(userId)
+        .select(ADMIN_USER_FIELDS)
+        .populate('suspendedBy', 'username email')
+        .lean();
+
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    const activeSessionCount = await Session.countDocuments({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, { ...user, activeSessionCount }, "User retrieved successfully")
+    );
+});
+
+/**
+ * Change a user's system role (System Admin only)
+ * PATCH /api/v1/admin/users/:userId/role
+ */
+export const updateUserRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const user = await findTargetUser(userId);
+
+    if (user.role === role) {
+        throw new ApiError(409, `User already has the role '${role}'`);
+    }
+
+    if (user.role === UserRolesEnum.ADMIN) {
+        await assertNotLastActiveAdmin(req, user, "demote");
+    }
+
+    const previousRole = user.role;
+
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, {
+        action: "admin.user.role_updated",
+        category: AuditCategoryEnum.ROLE,
+        target: { type: "User", id: user._id, label: user.email },
+        diff: buildAuditDiff({ role: previousRole }, { role: user.role })
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, { _id: user._id, role: user.role }, "User role updated successfully")
+    );
+});
+
+/**
+ * Suspend a user and revoke all of their sessions and tokens (System Admin only)
+ * POST /api/v1/admin/users/:userId/suspend
+ */
+export const suspendUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    const user = await findTargetUser(userId);
+
+    if (user.isSuspended) {
+        throw new ApiError(409, "User is already suspended");
+    }
+
+    await assertNotLastActiveAdmin(req, user, "suspend");
+
+    user.isSuspended = true;
+    user.suspendedAt = new Date();
+    user.suspendedReason = reason;
+    user.suspendedBy = req.user._id;
+    await user.save({ validateBeforeSave: false });
+
+    await revokeUserCredentials(user._id, "account_suspended");
+
+    await recordAuditEvent(req, {
+        action: "admin.user.suspended",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "User", id: user._id, label: user.email },
+        metadata: { reason }
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, { _id: user._id, isSuspended: true, suspendedAt: user.suspendedAt }, "User suspended successfully")
+    );
+});
+
+/**
+ * Reactivate a suspended user (System Admin only)
+ * POST /api/v1/admin/users/:userId/reactivate
+ */
+export const reactivateUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    const user = await findTargetUser(userId);
+
+    if (!user.isSuspended) {
+        throw new ApiError(409, "User is not suspended");
+    }
+
+    user.isSuspended = false;
+    user.suspendedAt = undefined;
+    user.suspendedReason = undefined;
+    user.suspendedBy = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, {
+        action: "admin.user.reactivated",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "User", id: user._id, label: user.email }
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, { _id: user._id, isSuspended: false }, "User reactivated successfully")
+    );
+});
+
+/**
+ * Mark a user's email as verified without the verification link (System Admin only)
+ * POST /api/v1/admin/users/:userId/verify-email
+ */
+export const forceVerifyEmail = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    const user = await findTargetUser(userId);
+
+    if (user.isEmailVerified) {
+        throw new ApiError(409, "Email is already verified");
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpiry = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, {
+        action: "admin.user.email_verified",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "User", id: user._id, label: user.email }
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, { _id: user._id, isEmailVerified: true }, "Email verified successfully")
+    );
+});
+
+/**
+ * Force a password reset: signs the user out everywhere and emails them a reset link (System Admin only)
+ * POST /api/v1/admin/users/:userId/reset-password
+ * The admin never sees or chooses the new password; the current password is refused until the link is used
+ */
+export const resetUserPassword = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    const user = await findTargetUser(userId);
+
+    const { unHashedToken, hashedToken, tokenExpiry } = user.generateTemporaryTokens();
+
+    user.forgotPasswordToken = hashedToken;
+    user.forgotPasswordExpiry = tokenExpiry;
+    user.mustResetPassword = true;
+    await user.save({ validateBeforeSave: false });
+
+    await revokeUserCredentials(user._id, "password_reset_by_admin");
+
+    await recordAuditEvent(req, {
+        action: "admin.user.password_reset",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "User", id: user._id, label: user.email }
+    });
+
+    await sendEmail(
+        {
+            email: user.email,
+            subject: "Reset your Password",
+            mailgenContent: forgotPasswordMailgenContent(
+                user.username,
+                `${process.env.FORGOT_PASSWORD_REDIRECT_URL}/${unHashedToken}`
+            ),
+        });
+
+    res.status(200).json(
+        new ApiResponse(200, null, "Password reset email sent and all sessions revoked")
+    );
+});
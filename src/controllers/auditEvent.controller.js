@@ -0,0 +1,141 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { AuditEvent } from "../models/auditEvent.models.js";
+
+const CSV_COLUMNS = [
+    "createdAt",
+    "action",
+    "category",
+    "outcome",
+    "actor",
+    "actorEmail",
+    "targetType",
+    "targetId",
+    "targetLabel",
+    "project",
+    "ipAddress",
+    "method",
+    "endpoint",
+    "diff",
+    "metadata"
+];
+
+/**
+ * Build a MongoDB filter from the audit query parameters
+ * Query: action (exact, or prefix ending in '*'), category, outcome, actor, target, project, from, to
+ * @param {Object} query - req.query, already validated
+ * @returns {Object} MongoDB filter
+ */
+const buildAuditFilter = (query) => {
+    const { action, category, outcome, actor, target, project, from, to } = query;
+    const filter = {};
+
+    if (action) {
+        filter.action = action.endsWith("*")
+            ? { $regex: `^${action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` }
+            : action;
+    }
+
+    if (category) filter.category = category;
+    if (outcome) filter.outcome = outcome;
+    if (actor) filter.actor = actor;
+    if (target) filter.targetId = target;
+    if (project) filter.project = project;
+
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    return filter;
+};
+
+/**
+ * Escape a value for a CSV cell (RFC 4180), serializing objects as JSON
+ * Cells starting with formula characters are prefixed so spreadsheets do not execute them
+ * @param {*} value - Cell value
+ * @returns {String} Escaped cell
+ */
+const toCsvCell = (value) => {
+    if (value === undefined || value === null) {
+        return "";
+    }
+
+    let cell = value instanceof Date
+        ? value.toISOString()
+        : typeof value === "object" && value.constructor === Object
+            ? JSON.stringify(value)
+            : String(value);
+
+    if (/^[=+\-@]/.test(cell)) {
+        cell = `'${cell}`;
+    }
+
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Query the audit trail (System Admin only)
+ * GET /api/v1/admin/audit-events
+ * Newest events first, paginated with page and limit
+ */
+export const getAuditEvents = asyncHandler(async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = buildAuditFilter(req.query);
+
+    const [events, total] = await Promise.all([
+        AuditEvent.find(filter)
+            .populate('actor', 'username email')
+            .populate('project', 'name')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        AuditEvent.countDocuments(filter)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                events,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            },
+            "Audit events retrieved successfully"
+        )
+    );
+});
+
+/**
+ * Export the audit trail as CSV (System Admin only)
+ * GET /api/v1/admin/audit-events/export
+ * Accepts the same filters as getAuditEvents and streams every matching event
+ */
+export const exportAuditEvents = asyncHandler(async (req, res) => {
+    const filter = buildAuditFilter(req.query);
+    const fileName = `audit-events-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.status(200);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.write(CSV_COLUMNS.join(",") + "\r\n");
+
+    const cursor = AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .lean()
+        .cursor();
+
+    for await (const event of cursor) {
+        const row = CSV_COLUMNS.map((column) => toCsvCell(event[column]));
+        res.write(row.join(",") + "\r\n");
+    }
+
+    res.end();
+});
@@ -1,21 +1,82 @@
-import { User } from "../models/user.models.js";
+import { DEFAULT_AVATAR, User } from "../models/user.models.js";
+import { Session } from "../models/session.models.js";
+import { SystemSettings } from "../models/systemSettings.models.js";
+import { AuthThrottle } from "../models/authThrottle.models.js";
 import { ApiResponse } from "../utils/api-response.js";
 import { asyncHandler } from "../utils/async-handler.js";
 import { ApiError } from "../utils/api-error.js";
-import { emailVerificationMailgenContent, forgotPasswordMailgenContent, sendEmail } from "../utils/mail.js";
+import { accountLockedMailgenContent, emailChangeRequestedMailgenContent, emailChangeVerificationMailgenContent, emailVerificationMailgenContent, forgotPasswordMailgenContent, magicLinkMailgenContent, sendEmail } from "../utils/mail.js";
 import jwt from "jsonwebtoken";
 import SendmailTransport from "nodemailer/lib/sendmail-transport/index.js";
 import crypto from "crypto";
-
-const generateAccessAndRefreshTokens = async (userId) => {
+import mongoose from "mongoose";
+import { AuditCategoryEnum, UserRolesEnum } from "../utils/constants.js";
+import { buildAuditDiff, recordAuditEvent } from "../utils/audit-log.js";
+import { ThrottleScopeEnum, clearFailedAttempts, getActiveThrottle, getThrottleSubjects, recordFailedAttempt } from "../utils/brute-force.js";
+import { buildOtpauthUrl, generateRecoveryCodes, generateTotpSecret, hashRecoveryCode, verifyTotp } from "../utils/totp.js";
+import { processAvatarUpload, removeAvatarFile } from "../utils/avatar.js";
+import { OidcAuthRequest } from "../models/oidcAuthRequest.models.js";
+import { buildAuthorizationUrl, exchangeAuthorizationCode, generatePkcePair, getOidcConfig, verifyIdToken } from "../utils/oidc.js";
+import { getPasswordPolicy } from "../utils/password-policy.js";
+import { getPublicJwks } from "../utils/jwt-keys.js";
+import { revokeUserCredentials } from "../utils/user-credentials.js";
+
+const TWO_FACTOR_CHALLENGE_EXPIRY = 5 * 60 * 1000; // 5 minutes
+
+const MAGIC_LINK_EXPIRY = 10 * 60 * 1000; // 10 minutes
+
+const MAGIC_LINK_RESEND_INTERVAL = 60 * 1000; // 1 minute
+
+const OIDC_LOGIN_EXPIRY = 10 * 60 * 1000; // 10 minutes
+
+const OIDC_STATE_COOKIE = "oidcState";
+
+const TWO_FACTOR_SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+/**
+ * Issues an access/refresh token pair bound to a device session
+ * Creates a new session when none is given, otherwise rotates the refresh token of the existing one
+ * @param {String} userId - ID of the user the tokens are issued for
+ * @param {Object} req - Express request object, used for device details
+ * @param {Object} [rotation] - { session, refreshTokenHash } of an existing session and the hash of the refresh token being exchanged
+ * @returns {Promise<Object|null>} { accessToken, refreshToken, session }, or null when the session no longer holds that refresh token
+ */
+const generateAccessAndRefreshTokens = async (userId, req, rotation = null) => {
     try {
         const user = await User.findById(userId);
-        const accessToken = user.generateAccessTokens();
-        const refreshToken = user.generateRefreshTokens();
 
-        user.refreshTokens = refreshToken;
-        await user.save({ validateBeforeSave: false });
-        return { accessToken, refreshToken };
+        const session = rotation?.session || new Session({
+            user: user._id,
+            deviceName: req.body?.deviceName?.trim() || req.get("user-agent") || undefined
+        });
+
+        const accessToken = user.generateAccessTokens(session._id);
+        const refreshToken = user.generateRefreshTokens(session._id);
+
+        // Only the hash of the current refresh token is kept; older tokens of this session become invalid
+        const updates = {
+            refreshTokenHash: Session.hashToken(refreshToken),
+            expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+            lastUsedAt: new Date(),
+            ipAddress: req.ip,
+            userAgent: req.get("user-agent") || ""
+        };
+
+        if (!rotation) {
+            session.set(updates);
+            await session.save();
+
+            return { accessToken, refreshToken, session };
+        }
+
+        // Compare and swap in one write so concurrent requests with the same refresh token cannot both rotate it
+        const rotatedSession = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: rotation.refreshTokenHash, revokedAt: null },
+            { $set: updates },
+            { new: true }
+        );
+
+        return rotatedSession ? { accessToken, refreshToken, session: rotatedSession } : null;
     } catch (error) {
         throw new ApiError(
             500,
@@ -24,6 +85,163 @@ const generateAccessAndRefreshTokens = async (userId) => {
     }
 };
 
+/**
+ * Issues tokens for a fully authenticated user and sends them as cookies and in the response body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} userId - ID of the authenticated user
+ * @param {Object} [extraData] - Additional fields merged into the response data
+ */
+const sendLoginResponse = async (req, res, userId, extraData = {}) => {
+    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(userId, req);
+
+    const loggedInUser = await User.findById(userId).select("-password -emailVerificationExpiry -twoFactorChallengeToken -twoFactorChallengeExpiry -accountUnlockToken -accountUnlockExpiry -magicLinkToken -magicLinkExpiry");
+
+    await recordAuditEvent(req, {
+        action: "auth.login",
+        category: AuditCategoryEnum.AUTH,
+        actor: loggedInUser,
+        target: { type: "User", id: loggedInUser._id, label: loggedInUser.email }
+    });
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", refreshToken, options)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    user: loggedInUser,
+                    accessToken,
+                    refreshToken,
+                    ...extraData
+                },
+                "User logged in successfully"
+            )
+        )
+};
+
+/**
+ * Reject a new password that matches the current one or one of the remembered previous passwords
+ * Reported in the same shape as the validate middleware so clients can show it next to the field
+ * @param {Object} user - User document
+ * @param {String} newPassword - Candidate password
+ */
+const assertPasswordNotReused = async (user, newPassword) => {
+    if (!(await user.isPasswordReused(newPassword))) {
+        return;
+    }
+
+    const { historyCount } = getPasswordPolicy();
+    const message = historyCount > 0
+        ? `New password must be different from your current password and your last ${historyCount} passwords`
+        : "New password must be different from your current password";
+
+    throw new ApiError(422, "Recieved is not valid", [{ newPassword: message }]);
+};
+
+/**
+ * Whether the user must pass a second factor before tokens are issued:
+ * either 2FA is enabled, or the admin policy demands enrollment first
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { required, setupRequired }
+ */
+const getTwoFactorRequirement = async (user) => {
+    const settings = await SystemSettings.getSettings();
+    const setupRequired = !user.twoFactor?.enabled
+        && settings.requireTwoFactorForAdmins
+        && user.role === UserRolesEnum.ADMIN;
+
+    return { required: Boolean(user.twoFactor?.enabled || setupRequired), setupRequired };
+};
+
+/**
+ * Stores a short-lived 2FA challenge on the user and sends its token instead of access tokens
+ * @param {Object} res - Express response object
+ * @param {Object} user - User document
+ * @param {Boolean} twoFactorSetupRequired - Whether the user must enroll before completing login
+ */
+const sendTwoFactorChallenge = async (res, user, twoFactorSetupRequired) => {
+    const { unHashedToken, hashedToken } = user.generateTemporaryTokens();
+
+    user.twoFactorChallengeToken = hashedToken;
+    user.twoFactorChallengeExpiry = Date.now() + TWO_FACTOR_CHALLENGE_EXPIRY;
+    await user.save({ validateBeforeSave: false });
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    twoFactorRequired: true,
+                    twoFactorSetupRequired,
+                    challengeToken: unHashedToken
+                },
+                twoFactorSetupRequired
+                    ? "Two-factor authentication must be set up before logging in"
+                    : "Two-factor authentication code required"
+            )
+        )
+};
+
+/**
+ * Passwordless login is opt-in per deployment via MAGIC_LINK_LOGIN_ENABLED
+ */
+const assertMagicLinkLoginEnabled = () => {
+    if (process.env.MAGIC_LINK_LOGIN_ENABLED !== "true") {
+        throw new ApiError(404, "Magic link login is not enabled");
+    }
+};
+
+/**
+ * Records a failed login for the client IP and the targeted account
+ * Emails the account owner an unlock link when this failure triggers the lockout
+ * @param {Object} req - Express request object
+ * @param {String} email - Email the login was attempted for
+ * @param {Object|null} user - Matching user, or null when the email is unknown
+ */
+const handleFailedLogin = async (req, email, user) => {
+    const { accountJustLocked } = await recordFailedAttempt(
+        getThrottleSubjects(ThrottleScopeEnum.LOGIN, req.ip, email)
+    );
+
+    await recordAuditEvent(req, {
+        action: "auth.login.failed",
+        category: AuditCategoryEnum.AUTH,
+        outcome: "failure",
+        actor: user,
+        target: { type: "User", id: user?._id, label: email },
+        metadata: { accountLocked: accountJustLocked }
+    });
+
+    if (!accountJustLocked || !user) {
+        return;
+    }
+
+    const { unHashedToken, hashedToken, tokenExpiry } = user.generateTemporaryTokens();
+
+    user.accountUnlockToken = hashedToken;
+    user.accountUnlockExpiry = tokenExpiry;
+    await user.save({ validateBeforeSave: false });
+
+    await sendEmail(
+        {
+            email: user.email,
+            subject: "Your account has been temporarily locked",
+            mailgenContent: accountLockedMailgenContent(
+                user.username,
+                `${req.protocol}://${req.get("host")}/api/v1/auth/unlock-account/${unHashedToken}`
+            ),
+        });
+};
+
 const registerUser = asyncHandler(async (req, res) => {
     const { email, username, password, role } = req.body;
 
@@ -65,7 +283,7 @@ const registerUser = asyncHandler(async (req, res) => {
 
         });
 
-    const createdUser = await User.findById(user._id).select("-password -refreshTokens -emailVerificationExpiry");
+    const createdUser = await User.findById(user._id).select("-password -emailVerificationExpiry");
 
     if (!createdUser) {
         throw new ApiError(500, "Something went wrong while registering a user!");
@@ -90,57 +308,363 @@ const login = asyncHandler(async (req, res) => {
 
     const user = await User.findOne({ email });
     if (!user) {
+        await handleFailedLogin(req, email, null);
         throw new ApiError(400, "Usernamedoes not exists");
     }
 
     const isPasswordValid = await user.isPasswordCorrect(password);
 
     if (!isPasswordValid) {
+        await handleFailedLogin(req, email, user);
         throw new ApiError(400, "Invalid Credentials");
     }
 
-    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id);
+    if (user.isSuspended) {
+        throw new ApiError(403, "Your account has been suspended. Please contact system administrator");
+    }
 
-    const loggedInUser = await User.findById(user._id).select("-password -refreshTokens -emailVerificationExpiry");
+    // The old password stops working once an admin forces a reset
+    if (user.mustResetPassword) {
+        throw new ApiError(403, "Your password must be reset. Use the reset link sent to your email or request a new one");
+    }
 
-    const options = {
-        httpOnly: true,
-        secure: true
+    // Password alone is not enough when 2FA is enabled, or when the admin policy demands enrollment first
+    const twoFactor = await getTwoFactorRequirement(user);
+
+    if (twoFactor.required) {
+        return await sendTwoFactorChallenge(res, user, twoFactor.setupRequired);
+    }
+
+    await clearFailedAttempts({
+        scope: ThrottleScopeEnum.LOGIN,
+        subjectType: "account",
+        subject: user.email
+    });
+
+    return await sendLoginResponse(req, res, user._id);
+});
+
+/**
+ * Request a passwordless login link
+ * POST /api/v1/auth/magic-link
+ * Always answers the same way so the endpoint cannot be used to discover accounts
+ */
+const requestMagicLink = asyncHandler(async (req, res) => {
+    assertMagicLinkLoginEnabled();
+
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    // A link that is still fresh is not re-sent, so the endpoint cannot be used to flood an inbox
+    const recentlySent = user?.magicLinkExpiry
+        && user.magicLinkExpiry.getTime() - MAGIC_LINK_EXPIRY + MAGIC_LINK_RESEND_INTERVAL > Date.now();
+
+    if (user && !user.isSuspended && !recentlySent) {
+        const { unHashedToken, hashedToken } = user.generateTemporaryTokens();
+
+        user.magicLinkToken = hashedToken;
+        user.magicLinkExpiry = Date.now() + MAGIC_LINK_EXPIRY;
+        await user.save({ validateBeforeSave: false });
+
+        await sendEmail(
+            {
+                email: user.email,
+                subject: "Your sign-in link",
+                mailgenContent: magicLinkMailgenContent(
+                    user.username,
+                    `${process.env.MAGIC_LINK_REDIRECT_URL}/${unHashedToken}`
+                ),
+            });
     }
 
     return res
         .status(200)
-        .cookie("accessToken", accessToken, options)
-        .cookie("refreshToken", refreshToken, options)
         .json(
             new ApiResponse(
                 200,
-                {
-                    user: loggedInUser,
-                    accessToken,
-                    refreshToken
-                },
-                "User logged in successfully"
+                {},
+                "If an account exists for this email, a sign-in link has been sent"
             )
         )
 });
 
+/**
+ * Exchange a magic link token for access and refresh tokens
+ * POST /api/v1/auth/magic-link/verify
+ * The token is consumed atomically so a link works only once; 2FA still applies
+ */
+const verifyMagicLink = asyncHandler(async (req, res) => {
+    assertMagicLinkLoginEnabled();
+
+    const { token } = req.body;
+
+    const hashedToken = crypto
+        .createHash("sha256")
+        .update(token)
+        .digest("hex");
+
+    const user = await User.findOneAndUpdate(
+        {
+            magicLinkToken: hashedToken,
+            magicLinkExpiry: { $gt: Date.now() }
+        },
+        { $unset: { magicLinkToken: 1, magicLinkExpiry: 1 } },
+        { new: true }
+    );
+
+    if (!user) {
+        await recordFailedAttempt(req.throttleSubjects);
+        throw new ApiError(401, "Sign-in link is invalid or expired");
+    }
+
+    if (user.isSuspended) {
+        throw new ApiError(403, "Your account has been suspended. Please contact system administrator");
+    }
+
+    // The link proves control of the mailbox, so an unverified email becomes verified
+    if (!user.isEmailVerified) {
+        user.isEmailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpiry = undefined;
+        await user.save({ validateBeforeSave: false });
+    }
+
+    const twoFactor = await getTwoFactorRequirement(user);
+
+    if (twoFactor.required) {
+        return await sendTwoFactorChallenge(res, user, twoFactor.setupRequired);
+    }
+
+    return await sendLoginResponse(req, res, user._id);
+});
+
+/**
+ * Derive a free username from the provider claims for a just-in-time provisioned account
+ * @param {Object} claims - Verified ID token claims
+ * @param {String} email - Verified email of the user
+ * @returns {Promise<String>} Unused username
+ */
+const generateUniqueUsername = async (claims, email) => {
+    let base = String(claims.preferred_username || email.split("@")[0])
+        .toLowerCase()
+        .replace(/[^a-z0-9._-]/g, "")
+        .slice(0, 30);
+
+    if (base.length < 3) {
+        base = "user";
+    }
+
+    let username = base;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        if (!(await User.exists({ username }))) {
+            return username;
+        }
+
+        username = `${base}${crypto.randomInt(1000, 10000)}`;
+    }
+
+    return `${base}${crypto.randomBytes(4).toString("hex")}`;
+};
+
+/**
+ * Map verified provider claims to a local user
+ * Looks up the linked identity first, then links an existing account with the same email when that account
+ * has verified it, and finally provisions a new password-less account when auto-provisioning is enabled
+ * @param {Object} req - Express request object
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} User document
+ */
+const findOrProvisionOidcUser = async (req, claims) => {
+    const config = getOidcConfig();
+    const identity = { issuer: config.issuer, subject: claims.sub };
+
+    const linkedUser = await User.findOne({ "oidc.issuer": identity.issuer, "oidc.subject": identity.subject });
+
+    if (linkedUser) {
+        return linkedUser;
+    }
+
+    // Some providers send email_verified as a string
+    const emailVerified = claims.email_verified === true || claims.email_verified === "true";
+    const email = typeof claims.email === "string" ? claims.email.toLowerCase().trim() : "";
+
+    if (!email || !emailVerified) {
+        throw new ApiError(403, "The identity provider did not return a verified email address");
+    }
+
+    const existingUser = await User.findOne({ email });
+
+    if (existingUser) {
+        if (existingUser.oidc?.subject) {
+            throw new ApiError(409, "This account is already linked to another single sign-on identity");
+        }
+
+        // Whoever registered an unverified account may not own the address, and linking would leave them
+        // password access to the identity provider user's account
+        if (!existingUser.isEmailVerified) {
+            await recordAuditEvent(req, {
+                action: "auth.oidc.link_refused",
+                category: AuditCategoryEnum.AUTH,
+                outcome: "failure",
+                target: { type: "User", id: existingUser._id, label: existingUser.email },
+                metadata: { ...identity, reason: "email_not_verified" }
+            });
+
+            throw new ApiError(409, "An unverified account already uses this email address. Verify it or reset its password before signing in with single sign-on");
+        }
+
+        existingUser.oidc = { ...identity, linkedAt: new Date() };
+        existingUser.isEmailVerified = true;
+        await existingUser.save({ validateBeforeSave: false });
+
+        await recordAuditEvent(req, {
+            action: "auth.oidc.linked",
+            category: AuditCategoryEnum.AUTH,
+            actor: existingUser,
+            target: { type: "User", id: existingUser._id, label: existingUser.email },
+            metadata: identity
+        });
+
+        return existingUser;
+    }
+
+    if (!config.autoProvision) {
+        throw new ApiError(403, "No account exists for this email address. Please contact system administrator");
+    }
+
+    const user = await User.create({
+        email,
+        username: await generateUniqueUsername(claims, email),
+        fullName: typeof claims.name === "string" ? claims.name : undefined,
+        isEmailVerified: true,
+        oidc: { ...identity, linkedAt: new Date() }
+    });
+
+    await recordAuditEvent(req, {
+        action: "auth.oidc.provisioned",
+        category: AuditCategoryEnum.AUTH,
+        actor: user,
+        target: { type: "User", id: user._id, label: user.email },
+        metadata: identity
+    });
+
+    return user;
+};
+
+/**
+ * Start single sign-on with the configured OpenID Connect provider
+ * GET /api/v1/auth/oidc/login
+ * Query: login_hint (optional, forwarded to the provider)
+ * Redirects to the provider; state, nonce and PKCE verifier are kept server-side and the state is bound to this browser by a cookie
+ */
+const startOidcLogin = asyncHandler(async (req, res) => {
+    getOidcConfig();
+
+    const state = crypto.randomBytes(32).toString("base64url");
+    const nonce = crypto.randomBytes(32).toString("base64url");
+    const { codeVerifier, codeChallenge } = generatePkcePair();
+
+    const loginHint = typeof req.query.login_hint === "string" ? req.query.login_hint : undefined;
+    const authorizationUrl = await buildAuthorizationUrl({ state, nonce, codeChallenge, loginHint });
+
+    await OidcAuthRequest.create({
+        stateHash: OidcAuthRequest.hashState(state),
+        nonce,
+        codeVerifier,
+        expiresAt: new Date(Date.now() + OIDC_LOGIN_EXPIRY)
+    });
+
+    return res
+        .cookie(OIDC_STATE_COOKIE, state, {
+            httpOnly: true,
+            secure: true,
+            sameSite: "lax",
+            maxAge: OIDC_LOGIN_EXPIRY
+        })
+        .redirect(302, authorizationUrl);
+});
+
+/**
+ * Complete single sign-on after the provider redirects back
+ * GET /api/v1/auth/oidc/callback
+ * Issues the app's own tokens exactly like login, including the 2FA challenge when required
+ */
+const completeOidcLogin = asyncHandler(async (req, res) => {
+    const { code, state, error, error_description } = req.query;
+
+    res.clearCookie(OIDC_STATE_COOKIE, { httpOnly: true, secure: true, sameSite: "lax" });
+
+    if (error) {
+        throw new ApiError(401, `Single sign-on failed: ${error_description || error}`);
+    }
+
+    if (typeof code !== "string" || typeof state !== "string" || !code || !state) {
+        throw new ApiError(400, "Authorization code and state are required");
+    }
+
+    if (req.cookies?.[OIDC_STATE_COOKIE] !== state) {
+        throw new ApiError(401, "Single sign-on was started from a different browser. Please try again");
+    }
+
+    // Consuming the request makes every state usable only once
+    const authRequest = await OidcAuthRequest.findOneAndDelete({
+        stateHash: OidcAuthRequest.hashState(state),
+        expiresAt: { $gt: new Date() }
+    });
+
+    if (!authRequest) {
+        throw new ApiError(401, "Single sign-on request is invalid or expired. Please try again");
+    }
+
+    const tokens = await exchangeAuthorizationCode(code, authRequest.codeVerifier);
+    const claims = await verifyIdToken(tokens.id_token, authRequest.nonce);
+
+    const user = await findOrProvisionOidcUser(req, claims);
+
+    if (user.isSuspended) {
+        throw new ApiError(403, "Your account has been suspended. Please contact system administrator");
+    }
+
+    const twoFactor = await getTwoFactorRequirement(user);
+
+    if (twoFactor.required) {
+        return await sendTwoFactorChallenge(res, user, twoFactor.setupRequired);
+    }
+
+    return await sendLoginResponse(req, res, user._id);
+});
+
+/**
+ * Public keys that verify access tokens, for other services
+ * GET /.well-known/jwks.json
+ * Empty while access tokens are signed with the symmetric secret
+ */
+const getJwks = asyncHandler(async (req, res) => {
+    return res
+        .status(200)
+        .set("Cache-Control", "public, max-age=300")
+        .json(getPublicJwks())
+});
+
 const logoutUser = asyncHandler(async (req, res) => {
     if (!req.user || !req.user._id) {
         throw new ApiError(401, "Unauthorized request");
     }
 
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $set: {
-                refreshTokens: ""
-            }
-        },
-        {
-            new: true
-        }
-    );
+    // Revoke only the session this request was made from, other devices stay logged in
+    if (req.sessionId) {
+        await Session.updateOne(
+            { _id: req.sessionId, user: req.user._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+        );
+    }
+
+    await recordAuditEvent(req, {
+        action: "auth.logout",
+        category: AuditCategoryEnum.AUTH,
+        target: { type: "Session", id: req.sessionId }
+    });
 
     const options = {
         httpOnly: true,
@@ -172,6 +696,101 @@ const getCurrentUser = asyncHandler(async (req, res) => {
         )
 });
 
+/**
+ * Update the authenticated user's profile
+ * PATCH /api/v1/auth/me
+ * Only fullName and username can be changed here; email and password have dedicated flows
+ */
+const updateProfile = asyncHandler(async (req, res) => {
+    const { fullName, username } = req.body;
+    const user = req.user;
+
+    if (fullName === undefined && username === undefined) {
+        throw new ApiError(400, "Provide at least one of fullName or username");
+    }
+
+    const before = { fullName: user.fullName, username: user.username };
+
+    if (username !== undefined && username !== user.username) {
+        const usernameTaken = await User.exists({ username, _id: { $ne: user._id } });
+
+        if (usernameTaken) {
+            throw new ApiError(409, "Username is already taken");
+        }
+
+        user.username = username;
+    }
+
+    if (fullName !== undefined) {
+        user.fullName = fullName;
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    const diff = buildAuditDiff(before, { fullName: user.fullName, username: user.username });
+
+    if (diff) {
+        await recordAuditEvent(req, {
+            action: "auth.profile.updated",
+            category: AuditCategoryEnum.AUTH,
+            target: { type: "User", id: user._id, label: user.email },
+            diff
+        });
+    }
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(200, user, "Profile updated successfully")
+        )
+});
+
+/**
+ * Upload a new avatar for the authenticated user
+ * POST /api/v1/auth/me/avatar
+ * The image is resized to a square WebP and the previous avatar file is deleted
+ */
+const updateAvatar = asyncHandler(async (req, res) => {
+    if (!req.file) {
+        throw new ApiError(400, "Avatar image is required");
+    }
+
+    const avatar = await processAvatarUpload(req.file, req.user._id);
+    const previousLocalPath = req.user.avatar?.localPath;
+
+    try {
+        await User.updateOne({ _id: req.user._id }, { $set: { avatar } });
+    } catch (error) {
+        await removeAvatarFile(avatar.localPath);
+        throw error;
+    }
+
+    await removeAvatarFile(previousLocalPath);
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(200, { avatar }, "Avatar updated successfully")
+        )
+});
+
+/**
+ * Remove the authenticated user's avatar and restore the placeholder
+ * DELETE /api/v1/auth/me/avatar
+ */
+const deleteAvatar = asyncHandler(async (req, res) => {
+    const previousLocalPath = req.user.avatar?.localPath;
+
+    await User.updateOne({ _id: req.user._id }, { $set: { avatar: DEFAULT_AVATAR } });
+    await removeAvatarFile(previousLocalPath);
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(200, { avatar: DEFAULT_AVATAR }, "Avatar removed successfully")
+        )
+});
+
 const verifyEmail = asyncHandler(async (req, res) => {
     const { verificationToken } = req.params;
 
@@ -272,7 +891,51 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
             throw new ApiError(401, "Invalid refresh token");
         }
 
-        if (incomingRefreshToken !== user?.refreshTokens) {
+        if (user.isSuspended) {
+            throw new ApiError(403, "Your account has been suspended. Please contact system administrator");
+        }
+
+        if (!decodedToken?.sessionId) {
+            throw new ApiError(401, "Refresh token is not bound to a session. Please login again");
+        }
+
+        const session = await Session.findOne({
+            _id: decodedToken.sessionId,
+            user: user._id
+        });
+
+        if (!session || !session.isActive()) {
+            throw new ApiError(401, "Session is expired or has been revoked");
+        }
+
+        const tokens = await generateAccessAndRefreshTokens(user._id, req, {
+            session,
+            refreshTokenHash: Session.hashToken(incomingRefreshToken)
+        });
+
+        // A validly signed token that is no longer the current one for its session has already been rotated.
+        // Someone is replaying it, so the whole session is revoked for both parties.
+        if (!tokens) {
+            await Session.updateOne(
+                { _id: session._id, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: "refresh_token_reuse" } }
+            );
+
+            console.error(`Refresh token reuse detected: session ${session._id} of user ${user._id} has been revoked`, {
+                userId: user._id.toString(),
+                sessionId: session._id.toString(),
+                ipAddress: req.ip,
+                timestamp: new Date().toISOString()
+            });
+
+            await recordAuditEvent(req, {
+                action: "auth.refresh_token.reused",
+                category: AuditCategoryEnum.AUTH,
+                outcome: "failure",
+                actor: user,
+                target: { type: "Session", id: session._id }
+            });
+
             throw new ApiError(401, "Refresh token is expired or used");
         }
 
@@ -281,10 +944,7 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
             secure: true
         };
 
-        const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id);
-
-        user.refreshTokens = refreshToken;
-        await user.save();
+        const { accessToken, refreshToken } = tokens;
 
         return res
             .status(200)
@@ -301,7 +961,16 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
                 )
             );
     } catch (error) {
-        throw new ApiError(401, error?.message || "Invalid refresh token");
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        // Expired, not yet valid and badly signed tokens all derive from JsonWebTokenError
+        if (error instanceof jwt.JsonWebTokenError) {
+            throw new ApiError(401, error.message || "Invalid refresh token");
+        }
+
+        throw error;
     }
 });
 
@@ -357,15 +1026,36 @@ const resetForgotPassword = asyncHandler(async (req, res) => {
     });
 
     if (!user) {
+        await recordFailedAttempt(req.throttleSubjects);
         throw new ApiError(400, "Invalid or expired token");
     }
 
+    await assertPasswordNotReused(user, newPassword);
+
     user.forgotPasswordToken = undefined;
     user.forgotPasswordExpiry = undefined;
+    user.mustResetPassword = false;
     user.password = newPassword;
 
     await user.save({ validateBeforeSave: false });
 
+    // Whoever may have learned the old password is signed out everywhere
+    await revokeUserCredentials(user._id, "password_changed");
+
+    // The user just proved control of the mailbox, so any login lockout on the account is lifted
+    await clearFailedAttempts({
+        scope: ThrottleScopeEnum.LOGIN,
+        subjectType: "account",
+        subject: user.email
+    });
+
+    await recordAuditEvent(req, {
+        action: "auth.password.reset",
+        category: AuditCategoryEnum.AUTH,
+        actor: user,
+        target: { type: "User", id: user._id, label: user.email }
+    });
+
     return res
         .status(200)
         .json(
@@ -387,9 +1077,23 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid old password");
     }
 
+    await assertPasswordNotReused(user, newPassword);
+
     user.password = newPassword;
     await user.save({ validateBeforeSave: false });
 
+    // Other devices are signed out; the session making the change and personal access tokens stay valid
+    await revokeUserCredentials(user._id, "password_changed", {
+        keepSessionId: req.sessionId,
+        personalAccessTokens: false
+    });
+
+    await recordAuditEvent(req, {
+        action: "auth.password.changed",
+        category: AuditCategoryEnum.AUTH,
+        target: { type: "User", id: user._id, label: user.email }
+    });
+
     return res
         .status(200)
         .json(
@@ -401,15 +1105,729 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
         )
 });
 
+/**
+ * Request a change of the account email
+ * POST /api/v1/auth/change-email
+ * Sends a verification link to the new address and a notice to the current one;
+ * the email is only replaced once the link is used
+ */
+const requestEmailChange = asyncHandler(async (req, res) => {
+    const { newEmail, password } = req.body;
+
+    const user = await User.findById(req.user._id);
+    const isPasswordCorrect = await user.isPasswordCorrect(password);
+
+    if (!isPasswordCorrect) {
+        throw new ApiError(400, "Invalid password");
+    }
+
+    if (newEmail === user.email) {
+        throw new ApiError(400, "New email must be different from the current email");
+    }
+
+    const emailTaken = await User.exists({ email: newEmail });
+
+    if (emailTaken) {
+        throw new ApiError(409, "Email is already in use");
+    }
+
+    const { unHashedToken, hashedToken, tokenExpiry } = user.generateTemporaryTokens();
+
+    user.pendingEmail = newEmail;
+    user.emailChangeToken = hashedToken;
+    user.emailChangeExpiry = tokenExpiry;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, {
+        action: "auth.email_change.requested",
+        category: AuditCategoryEnum.AUTH,
+        target: { type: "User", id: user._id, label: user.email },
+        metadata: { newEmail }
+    });
+
+    await sendEmail(
+        {
+            email: newEmail,
+            subject: "Confirm your new Email",
+            mailgenContent: emailChangeVerificationMailgenContent(
+                user.username,
+                `${req.protocol}://${req.get("host")}/api/v1/auth/verify-email-change/${unHashedToken}`
+            ),
+        });
+
+    await sendEmail(
+        {
+            email: user.email,
+            subject: "Email change requested",
+            mailgenContent: emailChangeRequestedMailgenContent(user.username, newEmail),
+        });
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { pendingEmail: newEmail },
+                "Verification mail has been sent to the new email address"
+            )
+        )
+});
+
+/**
+ * Cancel a pending email change
+ * DELETE /api/v1/auth/change-email
+ */
+const cancelEmailChange = asyncHandler(async (req, res) => {
+    const result = await User.updateOne(
+        { _id: req.user._id, pendingEmail: { $exists: true } },
+        { $unset: { pendingEmail: 1, emailChangeToken: 1, emailChangeExpiry: 1 } }
+    );
+
+    if (result.matchedCount === 0) {
+        throw new ApiError(404, "No pending email change");
+    }
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(200, {}, "Email change cancelled")
+        )
+});
+
+/**
+ * Confirm an email change with the link sent to the new address
+ * GET /api/v1/auth/verify-email-change/:verificationToken
+ */
+const verifyEmailChange = asyncHandler(async (req, res) => {
+    const { verificationToken } = req.params;
+
+    if (!verificationToken) {
+        throw new ApiError(400, "Email change token is missing");
+    }
+
+    let hashedToken = crypto
+        .createHash("sha256")
+        .update(verificationToken)
+        .digest("hex")
+
+    const user = await User.findOne({
+        emailChangeToken: hashedToken,
+        emailChangeExpiry: { $gt: Date.now() }
+    })
+
+    if (!user || !user.pendingEmail) {
+        throw new ApiError(400, "Cannot change email. Token is invalid or expired");
+    }
+
+    // The address may have been registered by someone else since the request was made
+    const emailTaken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+
+    if (emailTaken) {
+        throw new ApiError(409, "Email is already in use");
+    }
+
+    const previousEmail = user.email;
+
+    user.email = user.pendingEmail;
+    user.isEmailVerified = true;
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpiry = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, {
+        action: "auth.email_changed",
+        category: AuditCategoryEnum.AUTH,
+        actor: user,
+        target: { type: "User", id: user._id, label: user.email },
+        diff: buildAuditDiff({ email: previousEmail }, { email: user.email })
+    });
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { email: user.email },
+                "Email changed successfully"
+            )
+        )
+});
+
+const getUserSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+        .select("-refreshTokenHash")
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+    const sessionList = sessions.map((session) => ({
+        ...session,
+        isCurrent: session._id.toString() === req.sessionId
+    }));
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                sessionList,
+                "Sessions fetched successfully"
+            )
+        )
+});
+
+const revokeSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        throw new ApiError(400, "Invalid session ID");
+    }
+
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, user: req.user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "revoked_by_user" } },
+        { new: true }
+    );
+
+    if (!session) {
+        throw new ApiError(404, "Session not found");
+    }
+
+    await recordAuditEvent(req, {
+        action: "auth.session.revoked",
+        category: AuditCategoryEnum.AUTH,
+        target: { type: "Session", id: session._id, label: session.deviceName }
+    });
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {},
+                "Session revoked successfully"
+            )
+        )
+});
+
+const revokeAllSessions = asyncHandler(async (req, res) => {
+    const result = await Session.updateMany(
+        { user: req.user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "logout_everywhere" } }
+    );
+
+    await recordAuditEvent(req, {
+        action: "auth.session.revoked_all",
+        category: AuditCategoryEnum.AUTH,
+        target: { type: "User", id: req.user._id, label: req.user.email },
+        metadata: { revokedCount: result.modifiedCount }
+    });
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    return res
+        .status(200)
+        .clearCookie("accessToken", options)
+        .clearCookie("refreshToken", options)
+        .json(
+            new ApiResponse(
+                200,
+                { revokedCount: result.modifiedCount },
+                "Logged out from all devices successfully"
+            )
+        )
+});
+
+/**
+ * Stores a fresh pending TOTP secret on the user; it only becomes active once a code from it is verified
+ * @param {Object} user - User document loaded with two-factor secret fields
+ * @returns {Promise<{ secret: String, otpauthUrl: String }>}
+ */
+const startTwoFactorEnrollment = async (user) => {
+    const secret = generateTotpSecret();
+
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    return {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, user.email)
+    };
+};
+
+/**
+ * Promotes the pending secret to the active one and issues new recovery codes
+ * The caller is responsible for saving the user
+ * @param {Object} user - User document loaded with two-factor secret fields
+ * @param {Number} step - TOTP time step of the verified code
+ * @returns {String[]} Plain recovery codes, shown to the user only once
+ */
+const activateTwoFactor = (user, step) => {
+    const { codes, hashedCodes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashedCodes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+
+    return codes;
+};
+
+/**
+ * Checks a TOTP code or a single-use recovery code against the user's active secret
+ * Consumes the recovery code or records the TOTP step so neither can be replayed; the caller saves the user
+ * @param {Object} user - User document loaded with two-factor secret fields
+ * @param {Object} credentials - Either `code` or `recoveryCode`
+ * @returns {Boolean} Whether the second factor is valid
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        const hashedCode = hashRecoveryCode(String(recoveryCode));
+        const index = user.twoFactor.recoveryCodes.indexOf(hashedCode);
+
+        if (index === -1) {
+            return false;
+        }
+
+        user.twoFactor.recoveryCodes.splice(index, 1);
+        return true;
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, String(code ?? ""), {
+        lastUsedStep: user.twoFactor.lastUsedStep ?? -1
+    });
+
+    if (step === null) {
+        return false;
+    }
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+};
+
+const findUserByTwoFactorChallenge = async (challengeToken) => {
+    const hashedToken = crypto
+        .createHash("sha256")
+        .update(challengeToken)
+        .digest("hex");
+
+    return await User.findOne({
+        twoFactorChallengeToken: hashedToken,
+        twoFactorChallengeExpiry: { $gt: Date.now() }
+    }).select(TWO_FACTOR_SECRET_FIELDS);
+};
+
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await findUserByTwoFactorChallenge(challengeToken);
+
+    if (!user) {
+        await recordFailedAttempt(req.throttleSubjects);
+        throw new ApiError(401, "Two-factor challenge is invalid or expired. Please login again");
+    }
+
+    // Code guesses count against the account just like password guesses do
+    const throttleSubjects = getThrottleSubjects(ThrottleScopeEnum.LOGIN, req.ip, user.email);
+
+    const throttle = await getActiveThrottle(throttleSubjects);
+    if (throttle) {
+        res.set("Retry-After", String(Math.ceil(throttle.retryAfterMs / 1000)));
+        throw new ApiError(429, "Too many failed attempts. Please try again later");
+    }
+
+    let recoveryCodes;
+
+    if (user.twoFactor.enabled) {
+        if (!verifySecondFactor(user, { code, recoveryCode })) {
+            await handleFailedLogin(req, user.email, user);
+            throw new ApiError(401, "Invalid two-factor authentication code");
+        }
+    } else {
+        // Enrollment enforced by the admin policy: the first valid code from the pending secret completes both setup and login
+        if (!user.twoFactor.pendingSecret) {
+            throw new ApiError(400, "Two-factor setup has not been started");
+        }
+
+        const step = verifyTotp(user.twoFactor.pendingSecret, String(code ?? ""));
+        if (step === null) {
+            await handleFailedLogin(req, user.email, user);
+            throw new ApiError(401, "Invalid two-factor authentication code");
+        }
+
+        recoveryCodes = activateTwoFactor(user, step);
+
+        await recordAuditEvent(req, {
+            action: "auth.2fa.enabled",
+            category: AuditCategoryEnum.AUTH,
+            actor: user,
+            target: { type: "User", id: user._id, label: user.email }
+        });
+    }
+
+    user.twoFactorChallengeToken = undefined;
+    user.twoFactorChallengeExpiry = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await clearFailedAttempts({
+        scope: ThrottleScopeEnum.LOGIN,
+        subjectType: "account",
+        subject: user.email
+    });
+
+    return await sendLoginResponse(req, res, user._id, recoveryCodes ? { recoveryCodes } : {});
+});
+
+const setupTwoFactorDuringLogin = asyncHandler(async (req, res) => {
+    const { challengeToken } = req.body;
+
+    const user = await findUserByTwoFactorChallenge(challengeToken);
+
+    if (!user) {
+        throw new ApiError(401, "Two-factor challenge is invalid or expired. Please login again");
+    }
+
+    if (user.twoFactor.enabled) {
+        throw new ApiError(409, "Two-factor authentication is already enabled");
+    }
+
+    const enrollment = await startTwoFactorEnrollment(user);
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                enrollment,
+                "Scan the QR code with your authenticator app and submit a code to finish logging in"
+            )
+        )
+});
+
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+        throw new ApiError(409, "Two-factor authentication is already enabled");
+    }
+
+    const enrollment = await startTwoFactorEnrollment(user);
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                enrollment,
+                "Scan the QR code with your authenticator app and verify a code to enable two-factor authentication"
+            )
+        )
+});
+
+const enableTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+        throw new ApiError(409, "Two-factor authentication is already enabled");
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+        throw new ApiError(400, "Two-factor setup has not been started");
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, String(code));
+    if (step === null) {
+        throw new ApiError(400, "Invalid two-factor authentication code");
+    }
+
+    const recoveryCodes = activateTwoFactor(user, step);
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, {
+        action: "auth.2fa.enabled",
+        category: AuditCategoryEnum.AUTH,
+        target: { type: "User", id: user._id, label: user.email }
+    });
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { recoveryCodes },
+                "Two-factor authentication enabled. Store your recovery codes in a safe place"
+            )
+        )
+});
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled");
+    }
+
+    const settings = await SystemSettings.getSettings();
+    if (settings.requireTwoFactorForAdmins && user.role === UserRolesEnum.ADMIN) {
+        throw new ApiError(403, "Two-factor authentication is required for admins and cannot be disabled");
+    }
+
+    const isPasswordValid = await user.isPasswordCorrect(password);
+    if (!isPasswordValid) {
+        throw new ApiError(400, "Invalid password");
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+        throw new ApiError(400, "Invalid two-factor authentication code");
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, {
+        action: "auth.2fa.disabled",
+        category: AuditCategoryEnum.AUTH,
+        target: { type: "User", id: user._id, label: user.email }
+    });
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {},
+                "Two-factor authentication disabled"
+            )
+        )
+});
+
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled");
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+        throw new ApiError(400, "Invalid two-factor authentication code");
+    }
+
+    const { codes, hashedCodes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashedCodes;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, {
+        action: "auth.2fa.recovery_codes_regenerated",
+        category: AuditCategoryEnum.AUTH,
+        target: { type: "User", id: user._id, label: user.email }
+    });
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { recoveryCodes: codes },
+                "Recovery codes regenerated. Previous codes are no longer valid"
+            )
+        )
+});
+
+const getTwoFactorPolicy = asyncHandler(async (req, res) => {
+    const settings = await SystemSettings.getSettings();
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { requireTwoFactorForAdmins: settings.requireTwoFactorForAdmins },
+                "Two-factor policy fetched successfully"
+            )
+        )
+});
+
+const updateTwoFactorPolicy = asyncHandler(async (req, res) => {
+    const { requireTwoFactorForAdmins } = req.body;
+
+    const settings = await SystemSettings.getSettings();
+    const previousValue = settings.requireTwoFactorForAdmins;
+
+    settings.requireTwoFactorForAdmins = requireTwoFactorForAdmins;
+    settings.updatedBy = req.user._id;
+    await settings.save();
+
+    await recordAuditEvent(req, {
+        action: "admin.2fa_policy.updated",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "SystemSettings", id: settings._id },
+        diff: buildAuditDiff(
+            { requireTwoFactorForAdmins: previousValue },
+            { requireTwoFactorForAdmins: settings.requireTwoFactorForAdmins }
+        )
+    });
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { requireTwoFactorForAdmins: settings.requireTwoFactorForAdmins },
+                "Two-factor policy updated successfully"
+            )
+        )
+});
+
+const unlockAccount = asyncHandler(async (req, res) => {
+    const { unlockToken } = req.params;
+
+    const hashedToken = crypto
+        .createHash("sha256")
+        .update(unlockToken)
+        .digest("hex");
+
+    const user = await User.findOne({
+        accountUnlockToken: hashedToken,
+        accountUnlockExpiry: { $gt: Date.now() }
+    });
+
+    if (!user) {
+        await recordFailedAttempt(req.throttleSubjects);
+        throw new ApiError(400, "Unlock link is invalid or expired");
+    }
+
+    user.accountUnlockToken = undefined;
+    user.accountUnlockExpiry = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await clearFailedAttempts({
+        scope: ThrottleScopeEnum.LOGIN,
+        subjectType: "account",
+        subject: user.email
+    });
+
+    await recordAuditEvent(req, {
+        action: "auth.account.unlocked",
+        category: AuditCategoryEnum.AUTH,
+        actor: user,
+        target: { type: "User", id: user._id, label: user.email }
+    });
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {},
+                "Account unlocked successfully. You can now login"
+            )
+        )
+});
+
+const getActiveLockouts = asyncHandler(async (req, res) => {
+    const lockouts = await AuthThrottle.find({ lockedUntil: { $gt: new Date() } })
+        .select("scope subjectType subject failedCount lastFailedAt lockedUntil")
+        .sort({ lockedUntil: -1 })
+        .lean();
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                lockouts,
+                "Active lockouts fetched successfully"
+            )
+        )
+});
+
+const clearLockout = asyncHandler(async (req, res) => {
+    const { email, ipAddress } = req.body;
+
+    let clearedCount = 0;
+
+    if (email) {
+        const normalizedEmail = email.toLowerCase().trim();
+
+        clearedCount += await clearFailedAttempts({ subjectType: "account", subject: normalizedEmail });
+
+        await User.updateOne(
+            { email: normalizedEmail },
+            { $unset: { accountUnlockToken: "", accountUnlockExpiry: "" } }
+        );
+    }
+
+    if (ipAddress) {
+        clearedCount += await clearFailedAttempts({ subjectType: "ip", subject: ipAddress.trim() });
+    }
+
+    await recordAuditEvent(req, {
+        action: "admin.lockout.cleared",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: email ? "User" : "IpAddress", label: email || ipAddress },
+        metadata: { email, ipAddress, clearedCount }
+    });
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { clearedCount },
+                "Lockout cleared successfully"
+            )
+        )
+});
+
 export {
     registerUser,
     login,
+    requestMagicLink,
+    verifyMagicLink,
+    startOidcLogin,
+    completeOidcLogin,
+    getJwks,
     logoutUser,
     getCurrentUser,
+    updateProfile,
+    updateAvatar,
+    deleteAvatar,
     verifyEmail,
     resendEmailVerification,
     refreshAccessToken,
     forgotPasswordRequest,
     resetForgotPassword,
-    changeCurrentPassword
+    changeCurrentPassword,
+    requestEmailChange,
+    cancelEmailChange,
+    verifyEmailChange,
+    getUserSessions,
+    revokeSession,
+    revokeAllSessions,
+    verifyTwoFactorLogin,
+    setupTwoFactorDuringLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    getTwoFactorPolicy,
+    updateTwoFactorPolicy,
+    unlockAccount,
+    getActiveLockouts,
+    clearLockout
 };
\ No newline at end of file
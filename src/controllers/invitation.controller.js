@@ -0,0 +1,340 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { ApiError } from "../utils/api-error.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ProjectInvitation } from "../models/projectInvitation.models.js";
+import { ProjectMember } from "../models/projectMember.models.js";
+import { WorkspaceMember } from "../models/workspaceMember.models.js";
+import { Project } from "../models/project.models.js";
+import { User } from "../models/user.models.js";
+import { projectInvitationMailgenContent, sendEmail } from "../utils/mail.js";
+import { retryOperation } from "../utils/retry-handler.js";
+import { recordAuditEvent } from "../utils/audit-log.js";
+import { recordProjectActivity } from "../utils/project-activity.js";
+import { ActivityEntityTypeEnum, AuditCategoryEnum, WorkspaceRolesEnum } from "../utils/constants.js";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+
+/**
+ * Issues a fresh token for the invitation, saves it and emails the invitation link
+ * @param {Object} invitation - ProjectInvitation document
+ * @param {Object} project - Project the invitation is for
+ * @param {Object} inviter - User sending the invitation
+ */
+export const sendProjectInvitation = async (invitation, project, inviter) => {
+    const token = invitation.generateInvitationToken();
+
+    invitation.sentCount += 1;
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+
+    await sendEmail(
+        {
+            email: invitation.email,
+            subject: `You have been invited to join ${project.name}`,
+            mailgenContent: projectInvitationMailgenContent(
+                inviter.fullName || inviter.username,
+                project.name,
+                invitation.role,
+                `${process.env.INVITATION_REDIRECT_URL}/${token}`
+            ),
+        });
+};
+
+/**
+ * Resolve a pending, unexpired invitation from a raw token
+ * Verifies the signature and that the token is the latest one issued for the invitation
+ * @param {String} token - Raw invitation token from the link
+ * @returns {Promise<Object>} ProjectInvitation document
+ */
+const findInvitationByToken = async (token) => {
+    let decodedToken;
+
+    try {
+        decodedToken = jwt.verify(token, process.env.INVITATION_TOKEN_SECRET);
+    } catch (error) {
+        throw new ApiError(400, "Invitation link is invalid or expired");
+    }
+
+    const invitation = await ProjectInvitation.findOne({
+        _id: decodedToken.invitationId,
+        tokenHash: ProjectInvitation.hashToken(token)
+    });
+
+    if (!invitation || !invitation.isUsable()) {
+        throw new ApiError(400, "Invitation link is invalid, expired or has already been used");
+    }
+
+    // Invitations to a project in the trash work again once it is restored
+    const projectAvailable = await Project.exists({ _id: invitation.project, deletedAt: null });
+
+    if (!projectAvailable) {
+        throw new ApiError(400, "The project of this invitation is no longer available");
+    }
+
+    return invitation;
+};
+
+/**
+ * Get all invitations of a project (Admin only)
+ * GET /api/v1/projects/:projectId/invitations
+ */
+export const getProjectInvitations = asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+    const { status } = req.query;
+
+    const filter = { project: projectId };
+    if (status) {
+        filter.status = status;
+    }
+
+    const invitations = await ProjectInvitation.find(filter)
+        .select("-tokenHash")
+        .populate('invitedBy', 'username email')
+        .populate('acceptedBy', 'username email')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    const now = new Date();
+    const invitationList = invitations.map((invitation) => ({
+        ...invitation,
+        isExpired: invitation.status === 'pending' && invitation.expiresAt <= now
+    }));
+
+    res.status(200).json(
+        new ApiResponse(200, invitationList, "Invitations retrieved successfully")
+    );
+});
+
+/**
+ * Resend a pending invitation with a new link and expiry (Admin only)
+ * POST /api/v1/projects/:projectId/invitations/:invitationId/resend
+ */
+export const resendProjectInvitation = asyncHandler(async (req, res) => {
+    const { projectId, invitationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+        throw new ApiError(400, "Invalid invitation ID");
+    }
+
+    const invitation = await ProjectInvitation.findOne({
+        _id: invitationId,
+        project: projectId
+    });
+
+    if (!invitation) {
+        throw new ApiError(404, "Invitation not found");
+    }
+
+    if (invitation.status !== 'pending') {
+        throw new ApiError(409, `Invitation has already been ${invitation.status}`);
+    }
+
+    const project = await Project.findById(projectId);
+
+    await sendProjectInvitation(invitation, project, req.user);
+
+    await recordAuditEvent(req, {
+        action: "project.invitation.resent",
+        category: AuditCategoryEnum.MEMBERSHIP,
+        target: { type: "ProjectInvitation", id: invitation._id, label: invitation.email },
+        project: projectId
+    });
+
+    const invitationData = invitation.toObject();
+    delete invitationData.tokenHash;
+
+    res.status(200).json(
+        new ApiResponse(200, invitationData, "Invitation resent successfully")
+    );
+});
+
+/**
+ * Revoke a pending invitation (Admin only)
+ * DELETE /api/v1/projects/:projectId/invitations/:invitationId
+ */
+export const revokeProjectInvitation = asyncHandler(async (req, res) => {
+    const { projectId, invitationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+        throw new ApiError(400, "Invalid invitation ID");
+    }
+
+    const invitation = await ProjectInvitation.findOneAndUpdate(
+        { _id: invitationId, project: projectId, status: 'pending' },
+        { $set: { status: 'revoked' }, $unset: { tokenHash: "" } },
+        { new: true }
+    );
+
+    if (!invitation) {
+        throw new ApiError(404, "Pending invitation not found");
+    }
+
+    await recordAuditEvent(req, {
+        action: "project.invitation.revoked",
+        category: AuditCategoryEnum.MEMBERSHIP,
+        target: { type: "ProjectInvitation", id: invitation._id, label: invitation.email },
+        project: projectId
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, null, "Invitation revoked successfully")
+    );
+});
+
+/**
+ * Preview an invitation before accepting it
+ * GET /api/v1/invitations/:invitationToken
+ */
+export const getInvitationDetails = asyncHandler(async (req, res) => {
+    const { invitationToken } = req.params;
+
+    const invitation = await findInvitationByToken(invitationToken);
+
+    await invitation.populate('project', 'name description');
+    await invitation.populate('invitedBy', 'username fullName');
+
+    // Tells the client whether to show a sign-up form or a plain accept button
+    const hasAccount = Boolean(await User.exists({ email: invitation.email }));
+
+    res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                email: invitation.email,
+                role: invitation.role,
+                project: invitation.project,
+                invitedBy: invitation.invitedBy,
+                expiresAt: invitation.expiresAt,
+                hasAccount
+            },
+            "Invitation retrieved successfully"
+        )
+    );
+});
+
+/**
+ * Accept an invitation
+ * POST /api/v1/invitations/:invitationToken/accept
+ * Links the invited email's existing account, or registers a new one from
+ * username, password and fullName in the body. The email is marked verified
+ * because following the emailed link proves ownership of the address.
+ */
+export const acceptInvitation = asyncHandler(async (req, res) => {
+    const { invitationToken } = req.params;
+    const { username, password, fullName } = req.body;
+
+    const invitation = await findInvitationByToken(invitationToken);
+
+    const existingUser = await User.findOne({ email: invitation.email });
+
+    if (!existingUser) {
+        if (!username || !password) {
+            throw new ApiError(400, "Username and password are required to create your account");
+        }
+
+        const existingUsername = await User.findOne({ username: username.toLowerCase().trim() });
+        if (existingUsername) {
+            throw new ApiError(409, "Username is already taken");
+        }
+    }
+
+    const membership = await retryOperation(async () => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            let user = existingUser;
+
+            if (!user) {
+                [user] = await User.create([{
+                    email: invitation.email,
+                    username,
+                    password,
+                    fullName,
+                    isEmailVerified: true
+                }], { session });
+            }
+
+            // Guards against the same link being accepted twice concurrently
+            const result = await ProjectInvitation.updateOne(
+                { _id: invitation._id, status: 'pending' },
+                {
+                    $set: { status: 'accepted', acceptedBy: user._id, acceptedAt: new Date() },
+                    $unset: { tokenHash: "" }
+                },
+                { session }
+            );
+
+            if (result.modifiedCount === 0) {
+                throw new ApiError(409, "Invitation has already been used");
+            }
+
+            // Joining a project also makes the user a member of its workspace
+            const workspaceMembership = await WorkspaceMember.findOne({
+                workspace: invitation.workspace,
+                user: user._id
+            }).session(session);
+
+            if (!workspaceMembership) {
+                await WorkspaceMember.create([{
+                    workspace: invitation.workspace,
+                    user: user._id,
+                    role: WorkspaceRolesEnum.MEMBER,
+                    addedBy: invitation.invitedBy
+                }], { session });
+            }
+
+            // The user may have been added directly while the invitation was pending
+            let projectMembership = await ProjectMember.findOne({
+                project: invitation.project,
+                user: user._id
+            }).session(session);
+
+            if (!projectMembership) {
+                [projectMembership] = await ProjectMember.create([{
+                    project: invitation.project,
+                    user: user._id,
+                    role: invitation.role,
+                    addedBy: invitation.invitedBy
+                }], { session });
+            }
+
+            await session.commitTransaction();
+
+            return projectMembership;
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }, {
+        maxRetries: 3,
+        initialDelay: 100
+    });
+
+    await membership.populate('project', 'name description');
+    await membership.populate('user', 'username email fullName');
+
+    await recordAuditEvent(req, {
+        action: "project.invitation.accepted",
+        category: AuditCategoryEnum.MEMBERSHIP,
+        actor: membership.user,
+        target: { type: "ProjectInvitation", id: invitation._id, label: invitation.email },
+        project: invitation.project,
+        metadata: { role: membership.role, accountCreated: !existingUser }
+    });
+
+    await recordProjectActivity(req, {
+        project: invitation.project,
+        action: "member.joined",
+        actor: membership.user,
+        entityType: ActivityEntityTypeEnum.MEMBER,
+        entity: { id: membership.user._id, label: membership.user.username },
+        metadata: { role: membership.role, invitedBy: invitation.invitedBy }
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, membership, "Invitation accepted successfully")
+    );
+});
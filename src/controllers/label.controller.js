@@ -0,0 +1,163 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { ApiError } from "../utils/api-error.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { Label } from "../models/label.models.js";
+import { Task } from "../models/task.models.js";
+import { retryOperation } from "../utils/retry-handler.js";
+import { buildAuditDiff, recordAuditEvent } from "../utils/audit-log.js";
+import { AuditCategoryEnum } from "../utils/constants.js";
+import mongoose from "mongoose";
+
+/**
+ * Find a label of the project from the route parameters
+ */
+const findProjectLabel = async (projectId, labelId) => {
+    if (!mongoose.Types.ObjectId.isValid(labelId)) {
+        throw new ApiError(400, "Invalid label ID format");
+    }
+
+    const label = await Label.findOne({ _id: labelId, project: projectId });
+
+    if (!label) {
+        throw new ApiError(404, "Label not found");
+    }
+
+    return label;
+};
+
+/**
+ * Turn a duplicate name into a conflict instead of a server error
+ */
+const saveLabel = async (label) => {
+    try {
+        return await label.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ApiError(409, `A label named "${label.name}" already exists in this project`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * List the labels of a project with the number of tasks using each
+ * GET /api/v1/projects/:projectId/labels
+ */
+export const getProjectLabels = asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+
+    const labels = await Label.find({ project: projectId })
+        .select("name color createdAt updatedAt")
+        .collation({ locale: "en", strength: 2 })
+        .sort({ name: 1 })
+        .lean();
+
+    const taskCounts = await Task.aggregate([
+        { $match: { project: new mongoose.Types.ObjectId(projectId), labels: { $exists: true, $ne: [] } } },
+        { $unwind: "$labels" },
+        { $group: { _id: "$labels", count: { $sum: 1 } } }
+    ]);
+
+    const labelsWithCounts = labels.map(label => ({
+        ...label,
+        taskCount: taskCounts.find(item => item._id.equals(label._id))?.count || 0
+    }));
+
+    res.status(200).json(
+        new ApiResponse(200, labelsWithCounts, "Labels retrieved successfully")
+    );
+});
+
+/**
+ * Create a label in a project (Admin or Project Admin only)
+ * POST /api/v1/projects/:projectId/labels
+ */
+export const createLabel = asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+    const { name, color } = req.body;
+
+    const label = await saveLabel(new Label({
+        project: projectId,
+        name,
+        color,
+        createdBy: req.user._id
+    }));
+
+    res.status(201).json(
+        new ApiResponse(201, label, "Label created successfully")
+    );
+});
+
+/**
+ * Rename or recolor a label (Admin or Project Admin only)
+ * PATCH /api/v1/projects/:projectId/labels/:labelId
+ */
+export const updateLabel = asyncHandler(async (req, res) => {
+    const { projectId, labelId } = req.params;
+    const { name, color } = req.body;
+
+    const label = await findProjectLabel(projectId, labelId);
+
+    if (name !== undefined) {
+        label.name = name;
+    }
+
+    if (color !== undefined) {
+        label.color = color;
+    }
+
+    await saveLabel(label);
+
+    res.status(200).json(
+        new ApiResponse(200, label, "Label updated successfully")
+    );
+});
+
+/**
+ * Delete a label and remove it from every task (Admin or Project Admin only)
+ * DELETE /api/v1/projects/:projectId/labels/:labelId
+ */
+export const deleteLabel = asyncHandler(async (req, res) => {
+    const { projectId, labelId } = req.params;
+
+    const label = await findProjectLabel(projectId, labelId);
+
+    const { modifiedCount } = await retryOperation(async () => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            const result = await Task.updateMany(
+                { project: projectId, labels: label._id },
+                { $pull: { labels: label._id } }
+            ).session(session);
+
+            await Label.deleteOne({ _id: label._id }).session(session);
+
+            await session.commitTransaction();
+
+            return result;
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }, {
+        maxRetries: 3,
+        initialDelay: 100
+    });
+
+    await recordAuditEvent(req, {
+        action: "label.deleted",
+        category: AuditCategoryEnum.DESTRUCTIVE,
+        target: { type: "Label", id: label._id, label: label.name },
+        project: projectId,
+        diff: buildAuditDiff({ name: label.name, color: label.color }, {}),
+        metadata: { tasksUpdated: modifiedCount }
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, { tasksUpdated: modifiedCount }, "Label deleted successfully")
+    );
+});
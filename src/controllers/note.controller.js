@@ -3,6 +3,9 @@ import { ApiError } from "../utils/api-error.js";
 import { ApiResponse } from "../utils/api-response.js";
 import { Note } from "../models/note.models.js";
 import { Project } from "../models/project.models.js";
+import { buildAuditDiff, recordAuditEvent } from "../utils/audit-log.js";
+import { recordProjectActivity } from "../utils/project-activity.js";
+import { ActivityEntityTypeEnum, AuditCategoryEnum } from "../utils/constants.js";
 
 /**
  * Create a new note (Admin only)
@@ -31,6 +34,13 @@ export const createNote = asyncHandler(async (req, res) => {
         createdBy: req.user._id
     });
 
+    await recordProjectActivity(req, {
+        project: projectId,
+        action: "note.created",
+        entityType: ActivityEntityTypeEnum.NOTE,
+        entity: { id: note._id, label: note.title }
+    });
+
     // Populate references for response
     await note.populate('createdBy', 'username email');
 
@@ -89,6 +99,8 @@ export const updateNote = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Note not found");
     }
 
+    const previousTitle = note.title;
+
     // Update fields if provided
     if (title !== undefined) {
         if (!title.trim()) {
@@ -101,8 +113,22 @@ export const updateNote = asyncHandler(async (req, res) => {
         note.content = content.trim();
     }
 
+    // Content can be long, so the feed only records that it changed
+    const changedFields = note.modifiedPaths().filter(field => ["title", "content"].includes(field));
+
     await note.save();
 
+    if (changedFields.length > 0) {
+        await recordProjectActivity(req, {
+            project: projectId,
+            action: "note.updated",
+            entityType: ActivityEntityTypeEnum.NOTE,
+            entity: { id: note._id, label: note.title },
+            changes: buildAuditDiff({ title: previousTitle }, { title: note.title }),
+            metadata: { fields: changedFields }
+        });
+    }
+
     // Populate references for response
     await note.populate('createdBy', 'username email');
 
@@ -127,6 +153,20 @@ export const deleteNote = asyncHandler(async (req, res) => {
     // Delete the note
     await Note.findByIdAndDelete(noteId);
 
+    await recordAuditEvent(req, {
+        action: "note.deleted",
+        category: AuditCategoryEnum.DESTRUCTIVE,
+        target: { type: "Note", id: note._id, label: note.title },
+        project: projectId
+    });
+
+    await recordProjectActivity(req, {
+        project: projectId,
+        action: "note.deleted",
+        entityType: ActivityEntityTypeEnum.NOTE,
+        entity: { id: note._id, label: note.title }
+    });
+
     res.status(200).json(
         new ApiResponse(200, null, "Note deleted successfully")
     );
@@ -0,0 +1,100 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { ApiError } from "../utils/api-error.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { PersonalAccessToken } from "../models/personalAccessToken.models.js";
+import { recordAuditEvent } from "../utils/audit-log.js";
+import { AuditCategoryEnum } from "../utils/constants.js";
+import mongoose from "mongoose";
+
+const DEFAULT_TOKEN_EXPIRY_DAYS = 30;
+
+/**
+ * Create a personal access token for the authenticated user
+ * POST /api/v1/auth/tokens
+ * The raw token is only returned in this response
+ */
+export const createPersonalAccessToken = asyncHandler(async (req, res) => {
+    const { name, scopes, expiresInDays = DEFAULT_TOKEN_EXPIRY_DAYS } = req.body;
+
+    const { token, tokenHash, tokenHint } = PersonalAccessToken.generateToken();
+
+    const accessToken = await PersonalAccessToken.create({
+        user: req.user._id,
+        name: name.trim(),
+        tokenHash,
+        tokenHint,
+        scopes: [...new Set(scopes)],
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    await recordAuditEvent(req, {
+        action: "auth.token.created",
+        category: AuditCategoryEnum.AUTH,
+        target: { type: "PersonalAccessToken", id: accessToken._id, label: accessToken.name },
+        metadata: { scopes: accessToken.scopes, expiresAt: accessToken.expiresAt }
+    });
+
+    const tokenData = accessToken.toObject();
+    delete tokenData.tokenHash;
+
+    res.status(201).json(
+        new ApiResponse(
+            201,
+            { ...tokenData, token },
+            "Personal access token created successfully. Copy it now, it will not be shown again"
+        )
+    );
+});
+
+/**
+ * List the authenticated user's personal access tokens
+ * GET /api/v1/auth/tokens
+ */
+export const getPersonalAccessTokens = asyncHandler(async (req, res) => {
+    const tokens = await PersonalAccessToken.find({ user: req.user._id })
+        .select("-tokenHash")
+        .sort({ createdAt: -1 })
+        .lean();
+
+    const now = new Date();
+    const tokenList = tokens.map((token) => ({
+        ...token,
+        isActive: !token.revokedAt && token.expiresAt > now
+    }));
+
+    res.status(200).json(
+        new ApiResponse(200, tokenList, "Personal access tokens retrieved successfully")
+    );
+});
+
+/**
+ * Revoke one of the authenticated user's personal access tokens
+ * DELETE /api/v1/auth/tokens/:tokenId
+ */
+export const revokePersonalAccessToken = asyncHandler(async (req, res) => {
+    const { tokenId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(tokenId)) {
+        throw new ApiError(400, "Invalid token ID");
+    }
+
+    const accessToken = await PersonalAccessToken.findOneAndUpdate(
+        { _id: tokenId, user: req.user._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!accessToken) {
+        throw new ApiError(404, "Personal access token not found");
+    }
+
+    await recordAuditEvent(req, {
+        action: "auth.token.revoked",
+        category: AuditCategoryEnum.AUTH,
+        target: { type: "PersonalAccessToken", id: accessToken._id, label: accessToken.name }
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, null, "Personal access token revoked successfully")
+    );
+});
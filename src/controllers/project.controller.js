@@ -2,15 +2,25 @@ import { asyncHandler } from "../utils/async-handler.js";
 import { ApiError } from "../utils/api-error.js";
 import { ApiResponse } from "../utils/api-response.js";
 import { Project } from "../models/project.models.js";
-import { ProjectMember } from "../models/projectMember.models.js";
 import { Task } from "../models/task.models.js";
-import { Subtask } from "../models/subtask.models.js";
-import { Note } from "../models/note.models.js";
+import { ProjectMember } from "../models/projectMember.models.js";
+import { ProjectInvitation } from "../models/projectInvitation.models.js";
+import { WorkspaceMember } from "../models/workspaceMember.models.js";
+import { User } from "../models/user.models.js";
+import { sendProjectInvitation } from "./invitation.controller.js";
 import mongoose from "mongoose";
 import { retryWithOptimisticLocking, retryOperation } from "../utils/retry-handler.js";
+import { getProjectTrashConfig } from "../utils/project-purge.js";
+import { buildBlueprintFromProject, createProjectFromBlueprint, resolveCopyOptions } from "../utils/project-blueprint.js";
+import { buildAuditDiff, recordAuditEvent } from "../utils/audit-log.js";
+import { recordProjectActivity } from "../utils/project-activity.js";
+import { findWorkflowStatus, getClosedStatusKeys, getProjectWorkflow } from "../utils/task-workflow.js";
+import { assertAssignableProjectRole, assertPermissionsWithinCaller, filterProjectsByPermission, resolveProjectRole } from "../utils/project-roles.js";
+import { ActivityEntityTypeEnum, AuditCategoryEnum, ProjectPermissionsEnum, ProjectRolesEnum, WorkspaceRolesEnum } from "../utils/constants.js";
+import { projectOwnershipReceivedMailgenContent, projectOwnershipTransferredMailgenContent, sendEmail } from "../utils/mail.js";
 
 /**
- * Create a new project (Admin only)
+ * Create a new project in the current workspace (Workspace Admin only)
  * POST /api/v1/projects
  * Requirements: 1.1, 1.2, 1.3, 1.4
  */
@@ -41,6 +51,7 @@ export const createProject = asyncHandler(async (req, res) => {
             const [newProject] = await Project.create([{
                 name: trimmedName,
                 description: trimmedDescription,
+                workspace: req.workspace._id,
                 owner: req.user._id
             }], { session });
 
@@ -69,46 +80,150 @@ export const createProject = asyncHandler(async (req, res) => {
         initialDelay: 100
     });
 
+    await recordAuditEvent(req, {
+        action: "project.created",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "Project", id: project._id, label: project.name },
+        project: project._id
+    });
+
     res.status(201).json(
         new ApiResponse(201, project, "Project created successfully")
     );
 });
 
+// Sort options of the project list: field compared and direction
+const PROJECT_LIST_SORTS = {
+    lastActivity: { field: { $ifNull: ["$project.lastActivityAt", "$project.updatedAt"] }, direction: -1, isDate: true },
+    createdAt: { field: "$project.createdAt", direction: -1, isDate: true },
+    name: { field: { $toLower: "$project.name" }, direction: 1, isDate: false }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Opaque cursor pointing after the last project of a page
+ */
+const encodeProjectCursor = (sort, item) => Buffer.from(JSON.stringify({
+    sort,
+    isFavorite: item.isFavorite,
+    sortValue: item.sortValue,
+    projectId: item.project._id
+})).toString("base64url");
+
+const decodeProjectCursor = (sort, cursor) => {
+    let decoded;
+
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch (error) {
+        throw new ApiError(400, "Invalid cursor");
+    }
+
+    // A cursor only makes sense for the sort it was issued for
+    if (decoded?.sort !== sort
+        || ![0, 1].includes(decoded.isFavorite)
+        || typeof decoded.sortValue !== "string"
+        || !mongoose.Types.ObjectId.isValid(decoded.projectId)) {
+        throw new ApiError(400, "Invalid cursor");
+    }
+
+    return {
+        isFavorite: decoded.isFavorite,
+        sortValue: PROJECT_LIST_SORTS[sort].isDate ? new Date(decoded.sortValue) : decoded.sortValue,
+        projectId: new mongoose.Types.ObjectId(decoded.projectId)
+    };
+};
+
 /**
- * Get all projects for the authenticated user
+ * Get the projects of the current workspace the authenticated user is a member of
  * GET /api/v1/projects
  * Requirements: 2.1, 2.2, 2.3, 2.4
+ * Query: search (name or description), role (comma-separated role keys), sort (lastActivity | name | createdAt,
+ * default lastActivity), cursor, limit (default 20, at most 100). Favorites come first, then the rest,
+ * each in the chosen order; pass pagination.nextCursor as cursor to get the next page
  */
 export const getUserProjects = asyncHandler(async (req, res) => {
-    // Find all project memberships for the user with proper population
-    const memberships = await ProjectMember.find({ user: req.user._id })
-        .populate('project', 'name description owner createdAt updatedAt')
-        .lean();
+    const { search, role, cursor } = req.query;
+    const sort = req.query.sort || "lastActivity";
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { field, direction } = PROJECT_LIST_SORTS[sort];
 
-    // Handle case where user has no project memberships
-    if (!memberships || memberships.length === 0) {
-        return res.status(200).json(
-            new ApiResponse(200, [], "Projects retrieved successfully")
-        );
+    const membershipFilter = { user: req.user._id };
+
+    if (role) {
+        membershipFilter.role = { $in: role.split(",").map(key => key.trim()).filter(Boolean) };
     }
 
-    // Extract project IDs for member count aggregation
-    const projectIds = memberships.map(m => m.project._id);
+    // Only projects of the current workspace are listed, and projects in the trash are left out
+    const projectFilter = [
+        { $eq: ["$_id", "$$projectId"] },
+        { $eq: ["$workspace", req.workspace._id] },
+        { $eq: ["$deletedAt", null] }
+    ];
+
+    const projectMatch = {};
+    if (search?.trim()) {
+        const pattern = new RegExp(escapeRegex(search.trim()), "i");
+        projectMatch.$or = [{ name: pattern }, { description: pattern }];
+    }
 
-    // Aggregate member count for each project
-    const memberCounts = await ProjectMember.aggregate([
+    const pipeline = [
+        { $match: membershipFilter },
         {
-            $match: {
-                project: { $in: projectIds }
+            $lookup: {
+                from: Project.collection.name,
+                let: { projectId: "$project" },
+                pipeline: [
+                    { $match: { $expr: { $and: projectFilter } } },
+                    { $match: projectMatch },
+                    { $project: { name: 1, description: 1, owner: 1, lastActivityAt: 1, createdAt: 1, updatedAt: 1 } }
+                ],
+                as: "project"
             }
         },
+        { $unwind: "$project" },
         {
-            $group: {
-                _id: '$project',
-                memberCount: { $sum: 1 }
+            $addFields: {
+                isFavorite: { $cond: [{ $ne: [{ $ifNull: ["$pinnedAt", null] }, null] }, 1, 0] },
+                sortValue: field
             }
         }
-    ]);
+    ];
+
+    // Continue after the last project of the previous page: favorites first, then sort value, then project ID
+    if (cursor) {
+        const after = decodeProjectCursor(sort, cursor);
+        const beyond = direction === 1 ? "$gt" : "$lt";
+
+        pipeline.push({
+            $match: {
+                $or: [
+                    { isFavorite: { $lt: after.isFavorite } },
+                    { isFavorite: after.isFavorite, sortValue: { [beyond]: after.sortValue } },
+                    { isFavorite: after.isFavorite, sortValue: after.sortValue, "project._id": { [beyond]: after.projectId } }
+                ]
+            }
+        });
+    }
+
+    // One extra document tells whether another page follows
+    pipeline.push(
+        { $sort: { isFavorite: -1, sortValue: direction, "project._id": direction } },
+        { $limit: limit + 1 }
+    );
+
+    const memberships = await ProjectMember.aggregate(pipeline);
+    const hasMore = memberships.length > limit;
+    const page = memberships.slice(0, limit);
+
+    // Aggregate member count for the projects of this page
+    const memberCounts = page.length > 0
+        ? await ProjectMember.aggregate([
+            { $match: { project: { $in: page.map(m => m.project._id) } } },
+            { $group: { _id: '$project', memberCount: { $sum: 1 } } }
+        ])
+        : [];
 
     // Create a map for quick lookup of member counts
     const memberCountMap = {};
@@ -117,20 +232,69 @@ export const getUserProjects = asyncHandler(async (req, res) => {
     });
 
     // Build enriched project list with user's role and member count
-    const projects = memberships.map(membership => ({
+    const projects = page.map(membership => ({
         _id: membership.project._id,
         name: membership.project.name,
         description: membership.project.description,
         owner: membership.project.owner,
         createdAt: membership.project.createdAt,
         updatedAt: membership.project.updatedAt,
+        lastActivityAt: membership.project.lastActivityAt || membership.project.updatedAt,
         role: membership.role,
+        isFavorite: membership.isFavorite === 1,
+        pinnedAt: membership.pinnedAt || null,
         memberCount: memberCountMap[membership.project._id.toString()] || 0,
         joinedAt: membership.joinedAt
     }));
 
+    const lastItem = page[page.length - 1];
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            projects,
+            pagination: {
+                limit,
+                hasMore,
+                nextCursor: hasMore
+                    ? encodeProjectCursor(sort, {
+                        ...lastItem,
+                        sortValue: lastItem.sortValue instanceof Date ? lastItem.sortValue.toISOString() : lastItem.sortValue
+                    })
+                    : null
+            }
+        }, "Projects retrieved successfully")
+    );
+});
+
+/**
+ * Pin a project as a favorite of the authenticated user
+ * PUT /api/v1/projects/:projectId/favorite
+ */
+export const addProjectFavorite = asyncHandler(async (req, res) => {
+    const membership = req.projectMembership;
+
+    // Pinning again keeps the original date
+    if (!membership.pinnedAt) {
+        membership.pinnedAt = new Date();
+        await ProjectMember.updateOne({ _id: membership._id }, { $set: { pinnedAt: membership.pinnedAt } });
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, { project: membership.project, isFavorite: true, pinnedAt: membership.pinnedAt }, "Project added to favorites")
+    );
+});
+
+/**
+ * Unpin a favorite project of the authenticated user
+ * DELETE /api/v1/projects/:projectId/favorite
+ */
+export const removeProjectFavorite = asyncHandler(async (req, res) => {
+    const membership = req.projectMembership;
+
+    await ProjectMember.updateOne({ _id: membership._id }, { $set: { pinnedAt: null } });
+
     res.status(200).json(
-        new ApiResponse(200, projects, "Projects retrieved successfully")
+        new ApiResponse(200, { project: membership.project, isFavorite: false, pinnedAt: null }, "Project removed from favorites")
     );
 });
 
@@ -170,6 +334,7 @@ export const getProjectById = asyncHandler(async (req, res) => {
         createdAt: project.createdAt, // Project metadata (Requirement 3.3)
         updatedAt: project.updatedAt, // Project metadata (Requirement 3.3)
         userRole: req.projectMembership.role, // Current user's role in the project
+        userPermissions: (await resolveProjectRole(req.project, req.projectMembership.role))?.permissions || [],
         members: members, // Complete member list (Requirement 3.4)
         memberCount: members.length
     };
@@ -188,8 +353,11 @@ export const updateProject = asyncHandler(async (req, res) => {
     const { projectId } = req.params;
     const { name, description } = req.body;
 
-    // Authorization check is handled by verifyProjectMembership and verifyProjectRole middleware
-    // This ensures the user is a member with admin role (Requirements 4.2, 4.4)
+    // Authorization check is handled by verifyProjectMembership and verifyProjectPermission middleware
+    // This ensures the user is a member whose role has the project.update permission (Requirements 4.2, 4.4)
+
+    // Values before the update, captured from the fresh document of the successful attempt
+    let previousValues;
 
     // Use retry logic with optimistic locking to handle concurrent updates (Requirement 11.4)
     const updatedProject = await retryWithOptimisticLocking(
@@ -203,6 +371,8 @@ export const updateProject = asyncHandler(async (req, res) => {
         },
         // Apply updates
         async (project) => {
+            previousValues = { name: project.name, description: project.description };
+
             // Ensure partial update support - only update provided fields (Requirement 4.1)
             if (name !== undefined) {
                 // Comprehensive input validation for name (Requirement 4.3)
@@ -227,64 +397,130 @@ export const updateProject = asyncHandler(async (req, res) => {
         }
     );
 
+    await recordAuditEvent(req, {
+        action: "project.updated",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "Project", id: updatedProject._id, label: updatedProject.name },
+        project: updatedProject._id,
+        diff: buildAuditDiff(previousValues, { name: updatedProject.name, description: updatedProject.description })
+    });
+
     res.status(200).json(
         new ApiResponse(200, updatedProject, "Project updated successfully")
     );
 });
 
 /**
- * Delete a project with cascade deletion (Admin only)
- * DELETE /api/v1/projects/:projectId
- * Requirements: 5.1, 5.2, 5.3, 5.4, 5.5
+ * Get the task workflow of a project
+ * GET /api/v1/projects/:projectId/workflow
  */
-export const deleteProject = asyncHandler(async (req, res) => {
+export const getProjectWorkflowStatuses = asyncHandler(async (req, res) => {
     const { projectId } = req.params;
 
-    // Authorization check is handled by verifyProjectMembership and verifyProjectRole middleware
-    // This ensures the user is a member with admin role (Requirements 5.2, 5.5)
-
-    // Verify project exists (Requirement 5.3)
-    const project = await Project.findById(projectId);
+    const project = await Project.findById(projectId).select("workflow").lean();
 
     if (!project) {
         throw new ApiError(404, "Project not found");
     }
 
-    // Use retry logic to handle transient transaction errors (Requirement 11.4)
-    await retryOperation(async () => {
-        // Start a session for atomic transaction (Requirement 5.4)
+    const workflow = getProjectWorkflow(project);
+
+    // Number of tasks in each status, for showing columns and planning removals
+    const statusCounts = await Task.aggregate([
+        { $match: { project: project._id } },
+        { $group: { _id: "$status", count: { $sum: 1 } } }
+    ]);
+
+    const statuses = workflow.map(status => ({
+        ...status,
+        taskCount: statusCounts.find(item => item._id === status.key)?.count || 0
+    }));
+
+    res.status(200).json(
+        new ApiResponse(200, statuses, "Project workflow retrieved successfully")
+    );
+});
+
+/**
+ * Replace the task workflow of a project (Admin only)
+ * PUT /api/v1/projects/:projectId/workflow
+ * Body: statuses (ordered { key, name, category }) and statusMapping ({ removedKey: newKey })
+ * Tasks in a removed status must be mapped to a status of the new workflow
+ */
+export const updateProjectWorkflow = asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+    const { statuses, statusMapping = {} } = req.body;
+
+    const workflow = statuses.map(({ key, name, category }) => ({ key, name: name.trim(), category }));
+
+    let previousWorkflow;
+    let movedTasks = {};
+
+    const project = await retryOperation(async () => {
         const session = await mongoose.startSession();
         session.startTransaction();
 
         try {
-            // Get all tasks for this project
-            const tasks = await Task.find({ project: projectId }).session(session);
-            const taskIds = tasks.map(task => task._id);
+            const project = await Project.findOne({ _id: projectId, deletedAt: null }).session(session);
+
+            if (!project) {
+                throw new ApiError(404, "Project not found");
+            }
 
-            // Cascade deletion in proper order (Requirement 5.1, 5.4):
-            // 1. Delete all subtasks associated with tasks in this project
-            await Subtask.deleteMany({ task: { $in: taskIds } }).session(session);
+            previousWorkflow = getProjectWorkflow(project);
 
-            // 2. Delete all tasks in this project
-            await Task.deleteMany({ project: projectId }).session(session);
+            const removedKeys = previousWorkflow
+                .map(status => status.key)
+                .filter(key => !findWorkflowStatus(workflow, key));
 
-            // 3. Delete all notes in this project
-            await Note.deleteMany({ project: projectId }).session(session);
+            const statusCounts = removedKeys.length > 0
+                ? await Task.aggregate([
+                    { $match: { project: project._id, status: { $in: removedKeys } } },
+                    { $group: { _id: "$status", count: { $sum: 1 } } }
+                ]).session(session)
+                : [];
 
-            // 4. Delete all project memberships
-            await ProjectMember.deleteMany({ project: projectId }).session(session);
+            const unmapped = statusCounts.filter(item => !findWorkflowStatus(workflow, statusMapping[item._id]));
 
-            // 5. Delete the project itself
-            await Project.findByIdAndDelete(projectId).session(session);
+            if (unmapped.length > 0) {
+                throw new ApiError(
+                    409,
+                    "Map the tasks of removed statuses to a status of the new workflow in statusMapping",
+                    unmapped.map(item => ({ status: item._id, taskCount: item.count }))
+                );
+            }
+
+            movedTasks = {};
+            for (const item of statusCounts) {
+                await Task.updateMany(
+                    { project: project._id, status: item._id },
+                    { $set: { status: statusMapping[item._id] } }
+                ).session(session);
+
+                movedTasks[item._id] = { to: statusMapping[item._id], taskCount: item.count };
+            }
+
+            // Keep completion dates in line with the categories of the new workflow
+            const closedKeys = getClosedStatusKeys(workflow);
+            await Task.updateMany(
+                { project: project._id, status: { $in: closedKeys }, completedAt: null },
+                { $set: { completedAt: new Date() } }
+            ).session(session);
+            await Task.updateMany(
+                { project: project._id, status: { $nin: closedKeys }, completedAt: { $ne: null } },
+                { $set: { completedAt: null } }
+            ).session(session);
+
+            project.workflow = workflow;
+            await project.save({ session });
 
-            // Commit the transaction (Requirement 5.4)
             await session.commitTransaction();
+
+            return project;
         } catch (error) {
-            // Rollback transaction on error (Requirement 5.4)
             await session.abortTransaction();
             throw error;
         } finally {
-            // End the session
             session.endSession();
         }
     }, {
@@ -292,15 +528,289 @@ export const deleteProject = asyncHandler(async (req, res) => {
         initialDelay: 100
     });
 
+    await recordAuditEvent(req, {
+        action: "project.workflow.updated",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "Project", id: project._id, label: project.name },
+        project: project._id,
+        diff: buildAuditDiff(
+            { workflow: previousWorkflow.map(status => `${status.key} (${status.category})`).join(", ") },
+            { workflow: workflow.map(status => `${status.key} (${status.category})`).join(", ") }
+        ),
+        metadata: { movedTasks }
+    });
+
     res.status(200).json(
-        new ApiResponse(200, null, "Project deleted successfully")
+        new ApiResponse(200, getProjectWorkflow(project), "Project workflow updated successfully")
     );
 });
 
 /**
- * Add a member to a project (Admin only)
+ * Move a project to the trash (Admin only)
+ * DELETE /api/v1/projects/:projectId
+ * The project is hidden from members and permanently purged after the retention window,
+ * until then an admin can restore it
+ */
+export const deleteProject = asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+
+    // Authorization check is handled by verifyProjectMembership and verifyProjectPermission middleware
+    // This ensures the user is a member whose role has the project.delete permission
+
+    const { retentionDays } = getProjectTrashConfig();
+    const deletedAt = new Date();
+
+    const project = await Project.findOneAndUpdate(
+        { _id: projectId, deletedAt: null },
+        {
+            $set: {
+                deletedAt,
+                deletedBy: req.user._id,
+                purgeAfter: new Date(deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+            }
+        },
+        { new: true }
+    );
+
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+
+    await recordAuditEvent(req, {
+        action: "project.deleted",
+        category: AuditCategoryEnum.DESTRUCTIVE,
+        target: { type: "Project", id: project._id, label: project.name },
+        project: project._id,
+        metadata: { purgeAfter: project.purgeAfter }
+    });
+
+    res.status(200).json(
+        new ApiResponse(
+            200,
+            { _id: project._id, deletedAt: project.deletedAt, purgeAfter: project.purgeAfter },
+            `Project moved to trash. It will be permanently deleted after ${retentionDays} day(s)`
+        )
+    );
+});
+
+/**
+ * List trashed projects the authenticated user can restore
+ * GET /api/v1/projects/trash
+ * Restoring needs the project.delete permission, which built-in or custom roles may grant
+ */
+export const getDeletedProjects = asyncHandler(async (req, res) => {
+    const memberships = await ProjectMember.find({ user: req.user._id })
+        .select("project role")
+        .lean();
+
+    const deletedProjects = await Project.find({
+        _id: { $in: memberships.map(m => m.project) },
+        workspace: req.workspace._id,
+        deletedAt: { $ne: null }
+    })
+        .select("name description owner workspace deletedAt deletedBy purgeAfter createdAt")
+        .populate('deletedBy', 'username email')
+        .sort({ deletedAt: -1 })
+        .lean();
+
+    const projects = await filterProjectsByPermission(deletedProjects, memberships, ProjectPermissionsEnum.PROJECT_DELETE);
+
+    res.status(200).json(
+        new ApiResponse(200, projects, "Deleted projects retrieved successfully")
+    );
+});
+
+/**
+ * Restore a project from the trash (Admin only)
+ * POST /api/v1/projects/:projectId/restore
+ */
+export const restoreProject = asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+
+    const project = await Project.findOneAndUpdate(
+        { _id: projectId, deletedAt: { $ne: null } },
+        {
+            $set: { deletedAt: null },
+            $unset: { deletedBy: 1, purgeAfter: 1 }
+        },
+        { new: true }
+    );
+
+    if (!project) {
+        throw new ApiError(404, "Deleted project not found");
+    }
+
+    await recordAuditEvent(req, {
+        action: "project.restored",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "Project", id: project._id, label: project.name },
+        project: project._id
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, project, "Project restored successfully")
+    );
+});
+
+/**
+ * Transfer ownership of a project to another member
+ * POST /api/v1/projects/:projectId/transfer-ownership
+ * Allowed for the current owner, or a workspace admin who is a project member (e.g. when the owner has left).
+ * The new owner is promoted to project admin; the previous owner keeps their membership.
+ */
+export const transferProjectOwnership = asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+    const { newOwnerId } = req.body;
+
+    const project = await Project.findOne({ _id: projectId, deletedAt: null });
+
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+
+    if (!project.owner.equals(req.user._id) && req.workspaceMembership.role !== WorkspaceRolesEnum.ADMIN) {
+        throw new ApiError(403, "Only the project owner or a workspace admin can transfer ownership");
+    }
+
+    if (project.owner.equals(newOwnerId)) {
+        throw new ApiError(400, "This user already owns the project");
+    }
+
+    const newOwnerMembership = await ProjectMember.findOne({ project: projectId, user: newOwnerId });
+
+    if (!newOwnerMembership) {
+        throw new ApiError(400, "The new owner must be a member of the project");
+    }
+
+    const [newOwner, previousOwner] = await Promise.all([
+        User.findById(newOwnerId).select("username email fullName isSuspended"),
+        User.findById(project.owner).select("username email fullName isDeletedUserPlaceholder")
+    ]);
+
+    if (!newOwner || newOwner.isSuspended) {
+        throw new ApiError(409, "Ownership cannot be transferred to a suspended account");
+    }
+
+    const previousRole = newOwnerMembership.role;
+
+    // Owner and membership role change together so the owner is never left without admin rights
+    await retryOperation(async () => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            await Project.updateOne(
+                { _id: project._id },
+                { $set: { owner: newOwner._id } }
+            ).session(session);
+
+            await ProjectMember.updateOne(
+                { _id: newOwnerMembership._id },
+                { $set: { role: 'admin' } }
+            ).session(session);
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }, {
+        maxRetries: 3,
+        initialDelay: 100
+    });
+
+    await recordAuditEvent(req, {
+        action: "project.ownership.transferred",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "Project", id: project._id, label: project.name },
+        project: project._id,
+        diff: buildAuditDiff({ owner: project.owner }, { owner: newOwner._id }),
+        metadata: { newOwnerPreviousRole: previousRole }
+    });
+
+    await recordProjectActivity(req, {
+        project: project._id,
+        action: "member.ownership_received",
+        entityType: ActivityEntityTypeEnum.MEMBER,
+        entity: { id: newOwner._id, label: newOwner.username },
+        changes: buildAuditDiff({ role: previousRole }, { role: 'admin' })
+    });
+
+    const newOwnerName = newOwner.fullName || newOwner.username;
+    const previousOwnerName = previousOwner ? previousOwner.fullName || previousOwner.username : "An administrator";
+
+    await sendEmail(
+        {
+            email: newOwner.email,
+            subject: `You are now the owner of ${project.name}`,
+            mailgenContent: projectOwnershipReceivedMailgenContent(newOwner.username, project.name, previousOwnerName),
+        });
+
+    if (previousOwner && !previousOwner.isDeletedUserPlaceholder) {
+        await sendEmail(
+            {
+                email: previousOwner.email,
+                subject: `Ownership of ${project.name} has been transferred`,
+                mailgenContent: projectOwnershipTransferredMailgenContent(previousOwner.username, project.name, newOwnerName),
+            });
+    }
+
+    project.owner = newOwner._id;
+
+    res.status(200).json(
+        new ApiResponse(200, project, "Project ownership transferred successfully")
+    );
+});
+
+/**
+ * Create a new project as a copy of an existing one in the same workspace (Workspace Admin only)
+ * POST /api/v1/projects/:projectId/clone
+ * The include option picks which tasks, subtasks, notes and members are copied;
+ * the workflow is copied, tasks start in its first not-started status, subtasks as incomplete,
+ * and attachments are not copied
+ */
+export const cloneProject = asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+    const { name, description } = req.body;
+
+    const sourceProject = await Project.findOne({ _id: projectId, deletedAt: null });
+
+    if (!sourceProject) {
+        throw new ApiError(404, "Project not found");
+    }
+
+    const include = resolveCopyOptions(req.body.include);
+    const blueprint = await buildBlueprintFromProject(sourceProject._id, include);
+
+    const { project, copied } = await createProjectFromBlueprint({
+        name: name?.trim() || `${sourceProject.name} (copy)`,
+        description: description !== undefined ? description.trim() : sourceProject.description,
+        workspace: sourceProject.workspace,
+        owner: req.user._id,
+        blueprint
+    });
+
+    await recordAuditEvent(req, {
+        action: "project.cloned",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "Project", id: project._id, label: project.name },
+        project: project._id,
+        metadata: { sourceProject: sourceProject._id, include, copied }
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, { project, copied }, "Project cloned successfully")
+    );
+});
+
+/**
+ * Add a member to a project (Workspace Admin only)
  * POST /api/v1/projects/:projectId/members
  * Requirements: 6.1, 6.2, 6.3, 6.4, 6.5
+ * Members of the project's workspace are added directly; anyone else is invited by email
+ * and joins the workspace when accepting.
  */
 export const addProjectMember = asyncHandler(async (req, res) => {
     const { projectId } = req.params;
@@ -315,23 +825,62 @@ export const addProjectMember = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Role is required");
     }
 
-    // Validate role value (Requirement 6.5)
-    const validRoles = ['admin', 'project_admin', 'member'];
-    if (!validRoles.includes(role)) {
-        throw new ApiError(400, `Invalid role. Must be one of: ${validRoles.join(', ')}`);
-    }
-
     // Add project existence validation (Requirement 6.1)
-    const project = await Project.findById(projectId);
+    const project = await Project.findOne({ _id: projectId, deletedAt: null });
     if (!project) {
         throw new ApiError(404, "Project not found");
     }
 
+    // Validate role value against the built-in and custom roles of the project (Requirement 6.5)
+    const assignedRole = await assertAssignableProjectRole(project, role);
+    assertPermissionsWithinCaller(assignedRole.permissions, req.projectPermissions);
+
     // Add user existence validation by email (Requirement 6.1, 6.3)
-    const { User } = await import("../models/user.models.js");
-    const userToAdd = await User.findOne({ email: email.toLowerCase().trim() });
-    if (!userToAdd) {
-        throw new ApiError(404, "User with this email does not exist");
+    const normalizedEmail = email.toLowerCase().trim();
+    const userToAdd = await User.findOne({ email: normalizedEmail });
+
+    const isWorkspaceMember = userToAdd
+        ? await WorkspaceMember.exists({ workspace: project.workspace, user: userToAdd._id })
+        : false;
+
+    // People without an account, or outside the workspace, get an emailed invitation instead
+    if (!isWorkspaceMember) {
+        const pendingInvitation = await ProjectInvitation.findOne({
+            project: projectId,
+            email: normalizedEmail,
+            status: 'pending'
+        });
+
+        if (pendingInvitation) {
+            throw new ApiError(409, "An invitation is already pending for this email");
+        }
+
+        const invitation = new ProjectInvitation({
+            project: projectId,
+            workspace: project.workspace,
+            email: normalizedEmail,
+            role: role,
+            invitedBy: req.user._id
+        });
+
+        await sendProjectInvitation(invitation, project, req.user);
+
+        await recordAuditEvent(req, {
+            action: "project.invitation.sent",
+            category: AuditCategoryEnum.MEMBERSHIP,
+            target: { type: "ProjectInvitation", id: invitation._id, label: normalizedEmail },
+            project: projectId,
+            metadata: { role }
+        });
+
+        const invitationData = invitation.toObject();
+        delete invitationData.tokenHash;
+
+        return res.status(201).json(
+            new ApiResponse(201, { invitation: invitationData }, userToAdd
+                ? "User is not a member of this workspace yet. Invitation sent successfully"
+                : "User does not have an account yet. Invitation sent successfully")
+        );
     }
 
     // Prevent duplicate membership (Requirement 6.2)
@@ -356,6 +905,22 @@ export const addProjectMember = asyncHandler(async (req, res) => {
     await membership.populate('user', 'username email fullName');
     await membership.populate('addedBy', 'username email');
 
+    await recordAuditEvent(req, {
+        action: "project.member.added",
+        category: AuditCategoryEnum.MEMBERSHIP,
+        target: { type: "User", id: userToAdd._id, label: userToAdd.email },
+        project: projectId,
+        diff: buildAuditDiff({}, { role })
+    });
+
+    await recordProjectActivity(req, {
+        project: projectId,
+        action: "member.added",
+        entityType: ActivityEntityTypeEnum.MEMBER,
+        entity: { id: userToAdd._id, label: userToAdd.username },
+        metadata: { role }
+    });
+
     res.status(201).json(
         new ApiResponse(201, membership, "Member added successfully")
     );
@@ -392,6 +957,22 @@ export const getProjectMembers = asyncHandler(async (req, res) => {
     );
 });
 
+/**
+ * Ensure the caller's role covers every permission of a member's current role before changing or removing them
+ * Roles that no longer resolve carry no permissions
+ * @param {Object} req - Express request object with project and projectPermissions
+ * @param {Object} membership - Membership being changed or removed
+ */
+const assertManageableMember = async (req, membership) => {
+    const currentRole = await resolveProjectRole(req.project, membership.role);
+
+    assertPermissionsWithinCaller(
+        currentRole?.permissions || [],
+        req.projectPermissions,
+        "You cannot manage a member whose role has permissions your own role does not have"
+    );
+};
+
 /**
  * Update a member's role in a project (Admin only)
  * PUT /api/v1/projects/:projectId/members/:userId
@@ -401,22 +982,32 @@ export const updateProjectMemberRole = asyncHandler(async (req, res) => {
     const { projectId, userId } = req.params;
     const { role } = req.body;
 
-    // Authorization check is handled by verifyProjectMembership and verifyProjectRole middleware
-    // This ensures the user is a member with admin role (Requirements 8.2, 8.5)
+    // Authorization check is handled by verifyProjectMembership and verifyProjectPermission middleware
+    // This ensures the user is a member whose role has the member.update permission (Requirements 8.2, 8.5)
     // verifyProjectMembership ensures admin is a member of the project (Requirement 8.5)
-    // verifyProjectRole(['admin']) ensures only admins can update roles (Requirement 8.2)
+    // verifyProjectPermission('member.update') ensures only allowed roles can update roles (Requirement 8.2)
 
     // Validate required fields
     if (!role) {
         throw new ApiError(400, "Role is required");
     }
 
-    // Validate role value (Requirement 8.4)
-    const validRoles = ['admin', 'project_admin', 'member'];
-    if (!validRoles.includes(role)) {
-        throw new ApiError(400, `Invalid role. Must be one of: ${validRoles.join(', ')}`);
+    // The owner must stay an admin; ownership has to move to someone else first
+    if (req.project.owner.toString() === userId) {
+        throw new ApiError(409, "The project owner's role cannot be changed. Transfer ownership to another member first");
+    }
+
+    // Only admins may change their own role; anyone else could promote themselves
+    if (userId === req.user._id.toString() && req.projectMembership.role !== ProjectRolesEnum.ADMIN) {
+        throw new ApiError(403, "You cannot change your own project role");
     }
 
+    // Validate role value against the built-in and custom roles of the project (Requirement 8.4)
+    const assignedRole = await assertAssignableProjectRole(req.project, role);
+    assertPermissionsWithinCaller(assignedRole.permissions, req.projectPermissions);
+
+    let previousRole;
+
     // Use retry logic with optimistic locking to handle concurrent updates (Requirement 11.4)
     const updatedMembership = await retryWithOptimisticLocking(
         // Fetch fresh document
@@ -431,6 +1022,8 @@ export const updateProjectMemberRole = asyncHandler(async (req, res) => {
                 throw new ApiError(404, "Member not found in this project");
             }
 
+            await assertManageableMember(req, membership);
+
             return membership;
         },
         // Apply updates
@@ -441,6 +1034,7 @@ export const updateProjectMemberRole = asyncHandler(async (req, res) => {
             // - addedBy reference
             // - project reference
             // - user reference
+            previousRole = membership.role;
             membership.role = role;
             // The save operation is handled by retryWithOptimisticLocking
         },
@@ -454,6 +1048,22 @@ export const updateProjectMemberRole = asyncHandler(async (req, res) => {
     await updatedMembership.populate('user', 'username email fullName');
     await updatedMembership.populate('addedBy', 'username email');
 
+    await recordAuditEvent(req, {
+        action: "project.member.role_updated",
+        category: AuditCategoryEnum.ROLE,
+        target: { type: "User", id: updatedMembership.user._id, label: updatedMembership.user.email },
+        project: projectId,
+        diff: buildAuditDiff({ role: previousRole }, { role: updatedMembership.role })
+    });
+
+    await recordProjectActivity(req, {
+        project: projectId,
+        action: "member.role_changed",
+        entityType: ActivityEntityTypeEnum.MEMBER,
+        entity: { id: updatedMembership.user._id, label: updatedMembership.user.username },
+        changes: buildAuditDiff({ role: previousRole }, { role: updatedMembership.role })
+    });
+
     res.status(200).json(
         new ApiResponse(200, updatedMembership, "Member role updated successfully")
     );
@@ -467,10 +1077,15 @@ export const updateProjectMemberRole = asyncHandler(async (req, res) => {
 export const removeProjectMember = asyncHandler(async (req, res) => {
     const { projectId, userId } = req.params;
 
-    // Authorization check is handled by verifyProjectMembership and verifyProjectRole middleware
-    // This ensures the user is a member with admin role (Requirements 9.2, 9.5)
+    // Authorization check is handled by verifyProjectMembership and verifyProjectPermission middleware
+    // This ensures the user is a member whose role has the member.remove permission (Requirements 9.2, 9.5)
     // verifyProjectMembership ensures admin is a member of the project (Requirement 9.5)
-    // verifyProjectRole(['admin']) ensures only admins can remove members (Requirement 9.2)
+    // verifyProjectPermission('member.remove') ensures only allowed roles can remove members (Requirement 9.2)
+
+    // The owner must stay a member; ownership has to move to someone else first
+    if (req.project.owner.toString() === userId) {
+        throw new ApiError(409, "The project owner cannot be removed. Transfer ownership to another member first");
+    }
 
     // Find the membership (Requirement 9.3)
     const membership = await ProjectMember.findOne({
@@ -483,11 +1098,31 @@ export const removeProjectMember = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Member not found in this project");
     }
 
+    await assertManageableMember(req, membership);
+
     // Delete the membership (Requirement 9.1)
     // Note: Historical data (tasks, notes) created by this member is preserved (Requirement 9.4)
     // Only the membership record is deleted, not the user's contributions
     await ProjectMember.findByIdAndDelete(membership._id);
 
+    await membership.populate('user', 'username email');
+
+    await recordAuditEvent(req, {
+        action: "project.member.removed",
+        category: AuditCategoryEnum.MEMBERSHIP,
+        target: { type: "User", id: membership.user?._id || userId, label: membership.user?.email },
+        project: projectId,
+        diff: buildAuditDiff({ role: membership.role }, {})
+    });
+
+    await recordProjectActivity(req, {
+        project: projectId,
+        action: "member.removed",
+        entityType: ActivityEntityTypeEnum.MEMBER,
+        entity: { id: membership.user?._id || userId, label: membership.user?.username },
+        metadata: { role: membership.role }
+    });
+
     res.status(200).json(
         new ApiResponse(200, null, "Member removed successfully")
     );
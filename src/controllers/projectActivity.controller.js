@@ -0,0 +1,51 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ProjectActivity } from "../models/projectActivity.models.js";
+
+/**
+ * Get the activity feed of a project
+ * GET /api/v1/projects/:projectId/activity
+ * Query: actor, entityType, from, to, page, limit (default 20, at most 100); newest entries first
+ */
+export const getProjectActivity = asyncHandler(async (req, res) => {
+    const { actor, entityType, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = { project: req.project._id };
+
+    if (actor) filter.actor = actor;
+    if (entityType) filter.entityType = entityType;
+
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [activities, total] = await Promise.all([
+        ProjectActivity.find(filter)
+            .populate('actor', 'username fullName avatar')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        ProjectActivity.countDocuments(filter)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                activities,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            },
+            "Project activity retrieved successfully"
+        )
+    );
+});
@@ -0,0 +1,78 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { ApiError } from "../utils/api-error.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { buildProjectBundle, importProjectBundle, readProjectBundle } from "../utils/project-bundle.js";
+import { recordAuditEvent } from "../utils/audit-log.js";
+import { AuditCategoryEnum } from "../utils/constants.js";
+import fs from "fs";
+
+/**
+ * Download a project as a portable bundle (Admin only)
+ * GET /api/v1/projects/:projectId/export
+ * The gzipped JSON bundle contains the workflow, member emails, tasks with attachment files, subtasks and notes
+ */
+export const exportProject = asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+
+    const { buffer, project, counts } = await buildProjectBundle(projectId);
+
+    await recordAuditEvent(req, {
+        action: "project.exported",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "Project", id: project._id, label: project.name },
+        project: project._id,
+        metadata: counts
+    });
+
+    const slug = project.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "project";
+    const fileName = `project-${slug}-${new Date().toISOString().slice(0, 10)}.json.gz`;
+
+    res.status(200)
+        .set("Content-Type", "application/gzip")
+        .set("Content-Disposition", `attachment; filename="${fileName}"`)
+        .send(buffer);
+});
+
+/**
+ * Create a project from an uploaded bundle in the current workspace (Workspace Admin only)
+ * POST /api/v1/projects/import
+ * Multipart field: bundle. Members are matched by email; the ones without an active
+ * account in the workspace are reported in unmatchedMembers
+ */
+export const importProject = asyncHandler(async (req, res) => {
+    if (!req.file) {
+        throw new ApiError(400, "Upload the project bundle in the 'bundle' field");
+    }
+
+    let bundle;
+
+    try {
+        bundle = await readProjectBundle(await fs.promises.readFile(req.file.path));
+    } finally {
+        await fs.promises.unlink(req.file.path).catch(() => {});
+    }
+
+    const { project, counts, unmatchedMembers } = await importProjectBundle(bundle, req.user, req.workspace);
+
+    await recordAuditEvent(req, {
+        action: "project.imported",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "Project", id: project._id, label: project.name },
+        project: project._id,
+        metadata: {
+            exportedAt: bundle.exportedAt,
+            counts,
+            unmatchedMembers: unmatchedMembers.map(member => member.email)
+        }
+    });
+
+    res.status(201).json(
+        new ApiResponse(
+            201,
+            { project, counts, unmatchedMembers },
+            unmatchedMembers.length > 0
+                ? `Project imported; ${unmatchedMembers.length} member(s) could not be matched`
+                : "Project imported successfully"
+        )
+    );
+});
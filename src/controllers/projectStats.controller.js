@@ -0,0 +1,186 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { ApiError } from "../utils/api-error.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { Project } from "../models/project.models.js";
+import { Task } from "../models/task.models.js";
+import { Subtask } from "../models/subtask.models.js";
+import { User } from "../models/user.models.js";
+import { AvailableTaskStatusCategories } from "../utils/constants.js";
+import { getClosedStatusKeys, getProjectWorkflow } from "../utils/task-workflow.js";
+
+const DEFAULT_STATS_WEEKS = 12;
+
+/**
+ * Monday 00:00 UTC of the week containing the date
+ */
+const getWeekStart = (date) => {
+    const weekStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    weekStart.setUTCDate(weekStart.getUTCDate() - ((weekStart.getUTCDay() + 6) % 7));
+    return weekStart;
+};
+
+/**
+ * Aggregation expression for the Monday of the ISO week of a date field
+ */
+const weekStartExpression = (field) => ({
+    $dateFromParts: {
+        isoWeekYear: { $isoWeekYear: field },
+        isoWeek: { $isoWeek: field }
+    }
+});
+
+/**
+ * Get progress statistics of a project
+ * GET /api/v1/projects/:projectId/stats
+ * Query: weeks (1-52, default 12) for the created/completed timeline
+ * Everything is computed in one aggregation over the project's tasks, so no task is loaded into memory
+ */
+export const getProjectStats = asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+    const weeks = Number(req.query.weeks || DEFAULT_STATS_WEEKS);
+
+    const project = await Project.findById(projectId).select("workflow").lean();
+
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+
+    const workflow = getProjectWorkflow(project);
+    const closedKeys = getClosedStatusKeys(workflow);
+
+    const since = getWeekStart(new Date());
+    since.setUTCDate(since.getUTCDate() - (weeks - 1) * 7);
+
+    // Tasks closed before completion dates were tracked fall back to their last update
+    const completedAt = { $ifNull: ["$completedAt", "$updatedAt"] };
+
+    const [stats] = await Task.aggregate([
+        { $match: { project: project._id } },
+        {
+            $facet: {
+                byStatus: [
+                    { $group: { _id: "$status", count: { $sum: 1 } } }
+                ],
+                byAssignee: [
+                    {
+                        $group: {
+                            _id: "$assignee",
+                            total: { $sum: 1 },
+                            closed: { $sum: { $cond: [{ $in: ["$status", closedKeys] }, 1, 0] } }
+                        }
+                    },
+                    { $sort: { total: -1 } }
+                ],
+                subtasks: [
+                    {
+                        $lookup: {
+                            from: Subtask.collection.name,
+                            let: { taskId: "$_id" },
+                            pipeline: [
+                                { $match: { $expr: { $eq: ["$task", "$$taskId"] } } },
+                                { $project: { isCompleted: 1 } }
+                            ],
+                            as: "subtasks"
+                        }
+                    },
+                    { $unwind: "$subtasks" },
+                    {
+                        $group: {
+                            _id: null,
+                            total: { $sum: 1 },
+                            completed: { $sum: { $cond: ["$subtasks.isCompleted", 1, 0] } }
+                        }
+                    }
+                ],
+                createdPerWeek: [
+                    { $match: { createdAt: { $gte: since } } },
+                    { $group: { _id: weekStartExpression("$createdAt"), count: { $sum: 1 } } }
+                ],
+                completedPerWeek: [
+                    { $match: { status: { $in: closedKeys } } },
+                    { $project: { completedAt } },
+                    { $match: { completedAt: { $gte: since } } },
+                    { $group: { _id: weekStartExpression("$completedAt"), count: { $sum: 1 } } }
+                ],
+                attachments: [
+                    { $unwind: "$attachments" },
+                    {
+                        $group: {
+                            _id: null,
+                            count: { $sum: 1 },
+                            totalBytes: { $sum: { $ifNull: ["$attachments.size", 0] } }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    // Statuses in workflow order; counts for statuses no longer in the workflow are listed after them
+    const byStatus = workflow.map(status => ({
+        ...status,
+        count: stats.byStatus.find(item => item._id === status.key)?.count || 0
+    }));
+
+    for (const item of stats.byStatus) {
+        if (!workflow.some(status => status.key === item._id)) {
+            byStatus.push({ key: item._id, name: item._id, category: null, count: item.count });
+        }
+    }
+
+    const byCategory = Object.fromEntries(AvailableTaskStatusCategories.map(category => [
+        category,
+        byStatus.filter(status => status.category === category).reduce((sum, status) => sum + status.count, 0)
+    ]));
+
+    const assignees = await User.find({ _id: { $in: stats.byAssignee.map(item => item._id).filter(Boolean) } })
+        .select("username email fullName")
+        .lean();
+
+    const byAssignee = stats.byAssignee.map(item => ({
+        assignee: item._id ? assignees.find(user => user._id.equals(item._id)) || null : null,
+        total: item.total,
+        closed: item.closed
+    }));
+
+    const subtaskTotals = stats.subtasks[0] || { total: 0, completed: 0 };
+
+    const timeline = [];
+    for (let week = 0; week < weeks; week++) {
+        const weekStart = new Date(since);
+        weekStart.setUTCDate(since.getUTCDate() + week * 7);
+
+        const matchesWeek = item => item._id.getTime() === weekStart.getTime();
+
+        timeline.push({
+            weekStart: weekStart.toISOString().slice(0, 10),
+            created: stats.createdPerWeek.find(matchesWeek)?.count || 0,
+            completed: stats.completedPerWeek.find(matchesWeek)?.count || 0
+        });
+    }
+
+    const attachmentTotals = stats.attachments[0] || { count: 0, totalBytes: 0 };
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            tasks: {
+                total: byStatus.reduce((sum, status) => sum + status.count, 0),
+                byStatus,
+                byCategory,
+                byAssignee
+            },
+            subtasks: {
+                total: subtaskTotals.total,
+                completed: subtaskTotals.completed,
+                completionRatio: subtaskTotals.total > 0
+                    ? Math.round((subtaskTotals.completed / subtaskTotals.total) * 1000) / 1000
+                    : 0
+            },
+            timeline,
+            attachments: {
+                count: attachmentTotals.count,
+                totalBytes: attachmentTotals.totalBytes
+            }
+        }, "Project statistics retrieved successfully")
+    );
+});
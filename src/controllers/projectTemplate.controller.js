@@ -0,0 +1,197 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { ApiError } from "../utils/api-error.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { Project } from "../models/project.models.js";
+import { ProjectTemplate } from "../models/projectTemplate.models.js";
+import { User } from "../models/user.models.js";
+import { WorkspaceMember } from "../models/workspaceMember.models.js";
+import { buildBlueprintFromProject, buildBlueprintFromTemplate, createProjectFromBlueprint, resolveCopyOptions } from "../utils/project-blueprint.js";
+import { recordAuditEvent } from "../utils/audit-log.js";
+import { AuditCategoryEnum } from "../utils/constants.js";
+import mongoose from "mongoose";
+
+/**
+ * Find a template of the current workspace by the templateId route parameter
+ */
+const findTemplate = async (templateId, workspaceId) => {
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        throw new ApiError(400, "Invalid template ID format");
+    }
+
+    const template = await ProjectTemplate.findOne({ _id: templateId, workspace: workspaceId });
+
+    if (!template) {
+        throw new ApiError(404, "Project template not found");
+    }
+
+    return template;
+};
+
+/**
+ * Save a project's structure as a reusable template (Workspace Admin only)
+ * POST /api/v1/projects/:projectId/template
+ * The workflow, labels, task and subtask titles and descriptions, notes and optionally the member list are stored;
+ * task statuses, assignees and attachments are not part of a template
+ */
+export const createTemplateFromProject = asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+    const { name, description } = req.body;
+
+    const project = await Project.findOne({ _id: projectId, deletedAt: null });
+
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+
+    const include = resolveCopyOptions(req.body.include);
+    const blueprint = await buildBlueprintFromProject(project._id, include);
+
+    const template = await ProjectTemplate.create({
+        name: name?.trim() || project.name,
+        description: description !== undefined ? description.trim() : project.description,
+        sourceProject: project._id,
+        workspace: project.workspace,
+        createdBy: req.user._id,
+        workflow: blueprint.workflow,
+        labels: blueprint.labels,
+        tasks: blueprint.tasks.map(task => ({
+            title: task.title,
+            description: task.description,
+            labels: task.labels,
+            subtasks: task.subtasks
+        })),
+        notes: blueprint.notes,
+        members: blueprint.members
+    });
+
+    await recordAuditEvent(req, {
+        action: "project.template.created",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "ProjectTemplate", id: template._id, label: template.name },
+        project: project._id,
+        metadata: { include }
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, template, "Project template created successfully")
+    );
+});
+
+/**
+ * List project templates (Workspace Admin only)
+ * GET /api/v1/project-templates
+ */
+export const getProjectTemplates = asyncHandler(async (req, res) => {
+    const templates = await ProjectTemplate.aggregate([
+        { $match: { workspace: req.workspace._id } },
+        { $sort: { createdAt: -1 } },
+        {
+            $project: {
+                name: 1,
+                description: 1,
+                sourceProject: 1,
+                createdBy: 1,
+                createdAt: 1,
+                updatedAt: 1,
+                taskCount: { $size: "$tasks" },
+                noteCount: { $size: "$notes" },
+                memberCount: { $size: "$members" }
+            }
+        }
+    ]);
+
+    await ProjectTemplate.populate(templates, { path: 'createdBy', select: 'username email' });
+
+    res.status(200).json(
+        new ApiResponse(200, templates, "Project templates retrieved successfully")
+    );
+});
+
+/**
+ * Get a project template with its content (Workspace Admin only)
+ * GET /api/v1/project-templates/:templateId
+ */
+export const getProjectTemplateById = asyncHandler(async (req, res) => {
+    const template = await findTemplate(req.params.templateId, req.workspace._id);
+
+    await template.populate([
+        { path: 'createdBy', select: 'username email' },
+        { path: 'members.user', select: 'username email fullName' }
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, template, "Project template retrieved successfully")
+    );
+});
+
+/**
+ * Delete a project template (Workspace Admin only)
+ * DELETE /api/v1/project-templates/:templateId
+ * Projects created from the template are not affected
+ */
+export const deleteProjectTemplate = asyncHandler(async (req, res) => {
+    const template = await findTemplate(req.params.templateId, req.workspace._id);
+
+    await template.deleteOne();
+
+    await recordAuditEvent(req, {
+        action: "project.template.deleted",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "ProjectTemplate", id: template._id, label: template.name }
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, { _id: template._id }, "Project template deleted successfully")
+    );
+});
+
+/**
+ * Create a new project from a template (Workspace Admin only)
+ * POST /api/v1/project-templates/:templateId/projects
+ * The include option picks which parts of the template are used; members whose
+ * accounts were deleted or suspended, or who left the workspace, since the template was saved are skipped
+ */
+export const createProjectFromTemplate = asyncHandler(async (req, res) => {
+    const { name, description } = req.body;
+
+    const template = await findTemplate(req.params.templateId, req.workspace._id);
+
+    const include = resolveCopyOptions(req.body.include);
+    const blueprint = buildBlueprintFromTemplate(template, include);
+
+    if (blueprint.members.length > 0) {
+        const workspaceUserIds = await WorkspaceMember.find({
+            workspace: req.workspace._id,
+            user: { $in: blueprint.members.map(member => member.user) }
+        }).distinct("user");
+
+        const activeUserIds = await User.find({
+            _id: { $in: workspaceUserIds },
+            isSuspended: { $ne: true }
+        }).distinct("_id");
+
+        blueprint.members = blueprint.members.filter(member =>
+            activeUserIds.some(userId => userId.equals(member.user))
+        );
+    }
+
+    const { project, copied } = await createProjectFromBlueprint({
+        name: name?.trim() || template.name,
+        description: description !== undefined ? description.trim() : template.description,
+        workspace: req.workspace._id,
+        owner: req.user._id,
+        blueprint
+    });
+
+    await recordAuditEvent(req, {
+        action: "project.created_from_template",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "Project", id: project._id, label: project.name },
+        project: project._id,
+        metadata: { template: template._id, include, copied }
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, { project, copied }, "Project created from template successfully")
+    );
+});
@@ -0,0 +1,273 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { ApiError } from "../utils/api-error.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { Role } from "../models/role.models.js";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectMember.models.js";
+import { ProjectInvitation } from "../models/projectInvitation.models.js";
+import { assertPermissionsWithinCaller, getAvailableProjectRoles } from "../utils/project-roles.js";
+import { buildAuditDiff, recordAuditEvent } from "../utils/audit-log.js";
+import { AuditCategoryEnum, AvailableProjectPermissions, BUILT_IN_PROJECT_ROLES } from "../utils/constants.js";
+import mongoose from "mongoose";
+
+/**
+ * Find a custom role defined directly on a project or workspace
+ * @param {Object} scope - { workspace, project } where project is null for workspace roles
+ */
+const findCustomRole = async (scope, roleId) => {
+    if (!mongoose.Types.ObjectId.isValid(roleId)) {
+        throw new ApiError(400, "Invalid role ID format");
+    }
+
+    const role = await Role.findOne({ _id: roleId, workspace: scope.workspace, project: scope.project });
+
+    if (!role) {
+        throw new ApiError(404, "Role not found");
+    }
+
+    return role;
+};
+
+/**
+ * Turn a duplicate key into a conflict instead of a server error
+ */
+const saveRole = async (role) => {
+    try {
+        return await role.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ApiError(409, `A role with the key "${role.key}" already exists in this workspace`);
+        }
+        throw error;
+    }
+};
+
+// Permission lists are compared and audited as text
+const formatPermissions = (permissions) => [...permissions].sort().join(", ");
+
+/**
+ * Project roles may only hold permissions the caller's own role has
+ * Workspace roles are managed by workspace admins, who are not limited by a project role
+ */
+const assertDefinableRole = (req, scope, permissions) => {
+    if (scope.project) {
+        assertPermissionsWithinCaller(permissions, req.projectPermissions);
+    }
+};
+
+const createRole = async (req, scope) => {
+    const { key, name, description, permissions } = req.body;
+
+    assertDefinableRole(req, scope, permissions);
+
+    const role = await saveRole(new Role({
+        workspace: scope.workspace,
+        project: scope.project,
+        key,
+        name,
+        description,
+        permissions: [...new Set(permissions)],
+        createdBy: req.user._id
+    }));
+
+    await recordAuditEvent(req, {
+        action: "role.created",
+        category: AuditCategoryEnum.ROLE,
+        target: { type: "Role", id: role._id, label: role.key },
+        project: scope.project,
+        diff: buildAuditDiff({}, { name: role.name, permissions: formatPermissions(role.permissions) }),
+        metadata: { workspace: scope.workspace }
+    });
+
+    return role;
+};
+
+const updateRole = async (req, scope) => {
+    const { name, description, permissions } = req.body;
+
+    const role = await findCustomRole(scope, req.params.roleId);
+    const before = { name: role.name, description: role.description, permissions: formatPermissions(role.permissions) };
+
+    if (name !== undefined) {
+        role.name = name;
+    }
+
+    if (description !== undefined) {
+        role.description = description;
+    }
+
+    if (permissions !== undefined) {
+        assertDefinableRole(req, scope, permissions);
+        role.permissions = [...new Set(permissions)];
+    }
+
+    await saveRole(role);
+
+    await recordAuditEvent(req, {
+        action: "role.updated",
+        category: AuditCategoryEnum.ROLE,
+        target: { type: "Role", id: role._id, label: role.key },
+        project: scope.project,
+        diff: buildAuditDiff(before, { name: role.name, description: role.description, permissions: formatPermissions(role.permissions) }),
+        metadata: { workspace: scope.workspace }
+    });
+
+    return role;
+};
+
+/**
+ * Delete a custom role that no member or pending invitation uses
+ */
+const deleteRole = async (req, scope) => {
+    const role = await findCustomRole(scope, req.params.roleId);
+
+    const projectIds = scope.project
+        ? [scope.project]
+        : await Project.find({ workspace: scope.workspace }).distinct("_id");
+
+    const [memberCount, invitationCount] = await Promise.all([
+        ProjectMember.countDocuments({ project: { $in: projectIds }, role: role.key }),
+        ProjectInvitation.countDocuments({ project: { $in: projectIds }, role: role.key, status: 'pending' })
+    ]);
+
+    if (memberCount > 0 || invitationCount > 0) {
+        throw new ApiError(
+            409,
+            `The role is still given to ${memberCount} member(s) and ${invitationCount} pending invitation(s). Change their role first`
+        );
+    }
+
+    await role.deleteOne();
+
+    await recordAuditEvent(req, {
+        action: "role.deleted",
+        category: AuditCategoryEnum.ROLE,
+        target: { type: "Role", id: role._id, label: role.key },
+        project: scope.project,
+        diff: buildAuditDiff({ name: role.name, permissions: formatPermissions(role.permissions) }, {}),
+        metadata: { workspace: scope.workspace }
+    });
+
+    return role;
+};
+
+const projectScope = (req) => ({ workspace: req.project.workspace, project: req.project._id });
+
+const workspaceScope = (req) => ({ workspace: req.workspace._id, project: null });
+
+/**
+ * List the roles that can be given in a project with the number of members holding each
+ * GET /api/v1/projects/:projectId/roles
+ * Also returns every known permission, for building role editors
+ */
+export const getProjectRoles = asyncHandler(async (req, res) => {
+    const roles = await getAvailableProjectRoles(req.project);
+
+    const memberCounts = await ProjectMember.aggregate([
+        { $match: { project: req.project._id } },
+        { $group: { _id: "$role", count: { $sum: 1 } } }
+    ]);
+
+    const rolesWithCounts = roles.map(role => ({
+        ...role,
+        scope: role.isBuiltIn ? "built_in" : role.project ? "project" : "workspace",
+        memberCount: memberCounts.find(item => item._id === role.key)?.count || 0
+    }));
+
+    res.status(200).json(
+        new ApiResponse(200, { permissions: AvailableProjectPermissions, roles: rolesWithCounts }, "Project roles retrieved successfully")
+    );
+});
+
+/**
+ * Create a role available only in this project
+ * POST /api/v1/projects/:projectId/roles
+ */
+export const createProjectRole = asyncHandler(async (req, res) => {
+    const role = await createRole(req, projectScope(req));
+
+    res.status(201).json(
+        new ApiResponse(201, role, "Role created successfully")
+    );
+});
+
+/**
+ * Rename a project role or change its permissions
+ * PATCH /api/v1/projects/:projectId/roles/:roleId
+ * Roles of the workspace are changed through the workspace routes
+ */
+export const updateProjectRole = asyncHandler(async (req, res) => {
+    const role = await updateRole(req, projectScope(req));
+
+    res.status(200).json(
+        new ApiResponse(200, role, "Role updated successfully")
+    );
+});
+
+/**
+ * Delete a project role that is not in use
+ * DELETE /api/v1/projects/:projectId/roles/:roleId
+ */
+export const deleteProjectRole = asyncHandler(async (req, res) => {
+    const role = await deleteRole(req, projectScope(req));
+
+    res.status(200).json(
+        new ApiResponse(200, { _id: role._id }, "Role deleted successfully")
+    );
+});
+
+/**
+ * List the built-in roles and the roles a workspace shares with all its projects
+ * GET /api/v1/workspaces/:workspaceId/roles
+ */
+export const getWorkspaceRoles = asyncHandler(async (req, res) => {
+    const customRoles = await Role.find({ workspace: req.workspace._id, project: null })
+        .sort({ name: 1 })
+        .lean();
+
+    const roles = [
+        ...BUILT_IN_PROJECT_ROLES.map(role => ({ ...role, isBuiltIn: true })),
+        ...customRoles.map(role => ({ ...role, isBuiltIn: false }))
+    ];
+
+    res.status(200).json(
+        new ApiResponse(200, { permissions: AvailableProjectPermissions, roles }, "Workspace roles retrieved successfully")
+    );
+});
+
+/**
+ * Create a role available in every project of the workspace (Workspace Admin only)
+ * POST /api/v1/workspaces/:workspaceId/roles
+ */
+export const createWorkspaceRole = asyncHandler(async (req, res) => {
+    const role = await createRole(req, workspaceScope(req));
+
+    res.status(201).json(
+        new ApiResponse(201, role, "Role created successfully")
+    );
+});
+
+/**
+ * Rename a workspace role or change its permissions (Workspace Admin only)
+ * PATCH /api/v1/workspaces/:workspaceId/roles/:roleId
+ * Changes apply at once to members holding the role in any project
+ */
+export const updateWorkspaceRole = asyncHandler(async (req, res) => {
+    const role = await updateRole(req, workspaceScope(req));
+
+    res.status(200).json(
+        new ApiResponse(200, role, "Role updated successfully")
+    );
+});
+
+/**
+ * Delete a workspace role that no project uses (Workspace Admin only)
+ * DELETE /api/v1/workspaces/:workspaceId/roles/:roleId
+ */
+export const deleteWorkspaceRole = asyncHandler(async (req, res) => {
+    const role = await deleteRole(req, workspaceScope(req));
+
+    res.status(200).json(
+        new ApiResponse(200, { _id: role._id }, "Role deleted successfully")
+    );
+});
@@ -1,11 +1,40 @@
 import { asyncHandler } from "../utils/async-handler.js";
 import { ApiError } from "../utils/api-error.js";
 import { ApiResponse } from "../utils/api-response.js";
+import { Project } from "../models/project.models.js";
 import { Task } from "../models/task.models.js";
+import { Label } from "../models/label.models.js";
 import { Subtask } from "../models/subtask.models.js";
 import { User } from "../models/user.models.js";
+import { buildAuditDiff, recordAuditEvent } from "../utils/audit-log.js";
+import { recordProjectActivity } from "../utils/project-activity.js";
+import { ActivityEntityTypeEnum, AuditCategoryEnum, ProjectPermissionsEnum, TaskStatusCategoryEnum } from "../utils/constants.js";
+import { findWorkflowStatus, getInitialStatus, getProjectWorkflow } from "../utils/task-workflow.js";
+import { resolveProjectRole } from "../utils/project-roles.js";
 import fs from "fs";
 import path from "path";
+import mongoose from "mongoose";
+
+/**
+ * Check that every label ID belongs to the project
+ * @param {String} projectId - Project of the task
+ * @param {Array<String>} labels - Label IDs from the request body
+ * @returns {Promise<Array<String>>} Unique label IDs
+ */
+const resolveTaskLabels = async (projectId, labels) => {
+    if (!Array.isArray(labels) || labels.some(labelId => !mongoose.Types.ObjectId.isValid(labelId))) {
+        throw new ApiError(400, "Labels must be an array of label IDs");
+    }
+
+    const labelIds = [...new Set(labels.map(String))];
+    const labelCount = await Label.countDocuments({ _id: { $in: labelIds }, project: projectId });
+
+    if (labelCount !== labelIds.length) {
+        throw new ApiError(400, "Every label must belong to this project");
+    }
+
+    return labelIds;
+};
 
 /**
  * Create a new task (Admin or Project Admin only)
@@ -13,13 +42,15 @@ import path from "path";
  */
 export const createTask = asyncHandler(async (req, res) => {
     const { projectId } = req.params;
-    const { title, description, assignee } = req.body;
+    const { title, description, assignee, labels } = req.body;
 
     // Validate required fields
     if (!title || !title.trim()) {
         throw new ApiError(400, "Task title is required");
     }
 
+    const labelIds = labels !== undefined ? await resolveTaskLabels(projectId, labels) : [];
+
     // Validate assignee if provided
     if (assignee) {
         const assigneeUser = await User.findById(assignee);
@@ -28,19 +59,32 @@ export const createTask = asyncHandler(async (req, res) => {
         }
     }
 
+    // New tasks start in the first not-started status of the project's workflow
+    const project = await Project.findById(projectId).select("workflow").lean();
+
     // Create the task
     const task = await Task.create({
         project: projectId,
         title: title.trim(),
         description: description?.trim() || "",
         assignee: assignee || null,
-        status: 'todo',
+        status: getInitialStatus(getProjectWorkflow(project)),
+        labels: labelIds,
         createdBy: req.user._id
     });
 
+    await recordProjectActivity(req, {
+        project: projectId,
+        action: "task.created",
+        entityType: ActivityEntityTypeEnum.TASK,
+        entity: { id: task._id, label: task.title },
+        metadata: { status: task.status, assignee: task.assignee }
+    });
+
     // Populate references for response
     await task.populate('assignee', 'username email');
     await task.populate('createdBy', 'username email');
+    await task.populate('labels', 'name color');
 
     res.status(201).json(
         new ApiResponse(201, task, "Task created successfully")
@@ -50,14 +94,28 @@ export const createTask = asyncHandler(async (req, res) => {
 /**
  * Get all tasks for a project
  * GET /api/v1/tasks/:projectId
+ * Query: label - label ID, repeated or comma-separated; only tasks with all given labels are returned
  */
 export const getProjectTasks = asyncHandler(async (req, res) => {
     const { projectId } = req.params;
 
+    const filter = { project: projectId };
+
+    if (req.query.label !== undefined) {
+        const labelIds = [req.query.label].flat().flatMap(value => String(value).split(",")).filter(Boolean);
+
+        if (labelIds.some(labelId => !mongoose.Types.ObjectId.isValid(labelId))) {
+            throw new ApiError(400, "Invalid label ID format");
+        }
+
+        filter.labels = { $all: labelIds };
+    }
+
     // Find all tasks for this project
-    const tasks = await Task.find({ project: projectId })
+    const tasks = await Task.find(filter)
         .populate('assignee', 'username email')
         .populate('createdBy', 'username email')
+        .populate('labels', 'name color')
         .sort({ createdAt: -1 });
 
     res.status(200).json(
@@ -74,7 +132,8 @@ export const getTaskById = asyncHandler(async (req, res) => {
 
     const task = await Task.findOne({ _id: taskId, project: projectId })
         .populate('assignee', 'username email')
-        .populate('createdBy', 'username email');
+        .populate('createdBy', 'username email')
+        .populate('labels', 'name color');
 
     if (!task) {
         throw new ApiError(404, "Task not found");
@@ -91,7 +150,7 @@ export const getTaskById = asyncHandler(async (req, res) => {
  */
 export const updateTask = asyncHandler(async (req, res) => {
     const { projectId, taskId } = req.params;
-    const { title, description, assignee, status } = req.body;
+    const { title, description, assignee, status, labels } = req.body;
 
     const task = await Task.findOne({ _id: taskId, project: projectId });
 
@@ -107,14 +166,28 @@ export const updateTask = asyncHandler(async (req, res) => {
         }
     }
 
-    // Validate status if provided
+    // Validate status against the project's workflow if provided
+    let newStatus;
     if (status !== undefined) {
-        const validStatuses = ['todo', 'in_progress', 'done'];
-        if (!validStatuses.includes(status)) {
-            throw new ApiError(400, `Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+        const project = await Project.findById(projectId).select("workflow").lean();
+        const workflow = getProjectWorkflow(project);
+
+        newStatus = findWorkflowStatus(workflow, status);
+        if (!newStatus) {
+            throw new ApiError(400, `Invalid status. Must be one of: ${workflow.map(s => s.key).join(', ')}`);
         }
     }
 
+    // Field values for the activity feed; labels are compared as text
+    const trackedFields = (current) => ({
+        title: current.title,
+        description: current.description,
+        assignee: current.assignee,
+        labels: current.labels.map(String).sort().join(",")
+    });
+    const before = trackedFields(task);
+    const previousStatus = task.status;
+
     // Update fields if provided
     if (title !== undefined) {
         if (!title.trim()) {
@@ -131,15 +204,51 @@ export const updateTask = asyncHandler(async (req, res) => {
         task.assignee = assignee;
     }
 
-    if (status !== undefined) {
-        task.status = status;
+    // Labels are replaced as a whole
+    if (labels !== undefined) {
+        task.labels = await resolveTaskLabels(projectId, labels);
+    }
+
+    if (newStatus) {
+        task.status = newStatus.key;
+
+        // Track when the task was closed, keeping the original date while it stays closed
+        if (newStatus.category !== TaskStatusCategoryEnum.CLOSED) {
+            task.completedAt = null;
+        } else if (!task.completedAt) {
+            task.completedAt = new Date();
+        }
     }
 
     await task.save();
 
+    const changes = buildAuditDiff(before, trackedFields(task));
+
+    if (changes) {
+        await recordProjectActivity(req, {
+            project: projectId,
+            action: "task.updated",
+            entityType: ActivityEntityTypeEnum.TASK,
+            entity: { id: task._id, label: task.title },
+            changes
+        });
+    }
+
+    if (task.status !== previousStatus) {
+        await recordProjectActivity(req, {
+            project: projectId,
+            action: "task.status_changed",
+            entityType: ActivityEntityTypeEnum.TASK,
+            entity: { id: task._id, label: task.title },
+            changes: buildAuditDiff({ status: previousStatus }, { status: task.status }),
+            metadata: { category: newStatus.category }
+        });
+    }
+
     // Populate references for response
     await task.populate('assignee', 'username email');
     await task.populate('createdBy', 'username email');
+    await task.populate('labels', 'name color');
 
     res.status(200).json(
         new ApiResponse(200, task, "Task updated successfully")
@@ -179,6 +288,22 @@ export const deleteTask = asyncHandler(async (req, res) => {
     // Delete the task itself
     await Task.findByIdAndDelete(taskId);
 
+    await recordAuditEvent(req, {
+        action: "task.deleted",
+        category: AuditCategoryEnum.DESTRUCTIVE,
+        target: { type: "Task", id: task._id, label: task.title },
+        project: projectId,
+        metadata: { status: task.status, attachmentCount: task.attachments.length }
+    });
+
+    await recordProjectActivity(req, {
+        project: projectId,
+        action: "task.deleted",
+        entityType: ActivityEntityTypeEnum.TASK,
+        entity: { id: task._id, label: task.title },
+        metadata: { status: task.status }
+    });
+
     res.status(200).json(
         new ApiResponse(200, null, "Task deleted successfully")
     );
@@ -222,10 +347,10 @@ export const createSubtask = asyncHandler(async (req, res) => {
 });
 
 /**
- * Update a subtask with conditional logic based on role
+ * Update a subtask with conditional logic based on the role's permissions
  * PUT /api/v1/tasks/:projectId/st/:subtaskId
- * - Members can only update isCompleted field
- * - Project Admins can update all fields
+ * - Roles without subtask.update can only update isCompleted field
+ * - Roles with subtask.update can update all fields
  */
 export const updateSubtask = asyncHandler(async (req, res) => {
     const { projectId, subtaskId } = req.params;
@@ -243,15 +368,17 @@ export const updateSubtask = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Subtask not found in this project");
     }
 
+    const wasCompleted = subtask.isCompleted;
+
     // Get user's project role from middleware
-    const userRole = req.projectMembership.role;
+    const userRole = await resolveProjectRole(req.project, req.projectMembership.role);
 
-    // Members can only update isCompleted field
-    if (userRole === 'member') {
+    // Roles without the subtask.update permission can only update isCompleted field
+    if (!userRole?.permissions.includes(ProjectPermissionsEnum.SUBTASK_UPDATE)) {
         if (title !== undefined || description !== undefined) {
             throw new ApiError(
                 403, 
-                "Members can only update the completion status of subtasks"
+                "Your project role can only update the completion status of subtasks"
             );
         }
 
@@ -259,8 +386,8 @@ export const updateSubtask = asyncHandler(async (req, res) => {
             subtask.isCompleted = isCompleted;
         }
     } 
-    // Project Admins and Admins can update all fields
-    else if (userRole === 'admin' || userRole === 'project_admin') {
+    // Roles with the subtask.update permission can update all fields
+    else {
         if (title !== undefined) {
             if (!title.trim()) {
                 throw new ApiError(400, "Subtask title cannot be empty");
@@ -279,6 +406,16 @@ export const updateSubtask = asyncHandler(async (req, res) => {
 
     await subtask.save();
 
+    if (subtask.isCompleted !== wasCompleted) {
+        await recordProjectActivity(req, {
+            project: projectId,
+            action: subtask.isCompleted ? "subtask.completed" : "subtask.reopened",
+            entityType: ActivityEntityTypeEnum.SUBTASK,
+            entity: { id: subtask._id, label: subtask.title },
+            metadata: { task: subtask.task._id, taskTitle: subtask.task.title }
+        });
+    }
+
     // Populate references for response
     await subtask.populate('createdBy', 'username email');
 
@@ -309,6 +446,14 @@ export const deleteSubtask = asyncHandler(async (req, res) => {
     // Delete the subtask
     await Subtask.findByIdAndDelete(subtaskId);
 
+    await recordAuditEvent(req, {
+        action: "subtask.deleted",
+        category: AuditCategoryEnum.DESTRUCTIVE,
+        target: { type: "Subtask", id: subtask._id, label: subtask.title },
+        project: projectId,
+        metadata: { task: subtask.task._id }
+    });
+
     res.status(200).json(
         new ApiResponse(200, null, "Subtask deleted successfully")
     );
@@ -345,6 +490,17 @@ export const uploadTaskAttachments = asyncHandler(async (req, res) => {
     task.attachments.push(...attachments);
     await task.save();
 
+    await recordProjectActivity(req, {
+        project: projectId,
+        action: "attachment.uploaded",
+        entityType: ActivityEntityTypeEnum.ATTACHMENT,
+        entity: { id: task._id, label: task.title },
+        metadata: {
+            count: attachments.length,
+            files: req.files.map(file => ({ name: file.originalname, size: file.size }))
+        }
+    });
+
     res.status(200).json(
         new ApiResponse(200, { attachments }, "Files uploaded successfully")
     );
@@ -385,6 +541,14 @@ export const deleteTaskAttachment = asyncHandler(async (req, res) => {
     task.attachments.pull(attachmentId);
     await task.save();
 
+    await recordAuditEvent(req, {
+        action: "task.attachment.deleted",
+        category: AuditCategoryEnum.DESTRUCTIVE,
+        target: { type: "Task", id: task._id, label: task.title },
+        project: projectId,
+        metadata: { attachmentId, url: attachment.url, size: attachment.size }
+    });
+
     res.status(200).json(
         new ApiResponse(200, null, "Attachment deleted successfully")
     );
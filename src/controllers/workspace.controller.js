@@ -0,0 +1,441 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { ApiError } from "../utils/api-error.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { Workspace } from "../models/workspace.models.js";
+import { WorkspaceMember } from "../models/workspaceMember.models.js";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectMember.models.js";
+import { ProjectInvitation } from "../models/projectInvitation.models.js";
+import { Task } from "../models/task.models.js";
+import { User } from "../models/user.models.js";
+import { retryOperation } from "../utils/retry-handler.js";
+import { buildAuditDiff, recordAuditEvent } from "../utils/audit-log.js";
+import { AuditCategoryEnum, WorkspaceRolesEnum } from "../utils/constants.js";
+import mongoose from "mongoose";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toSlug = (value) => value.toLowerCase().trim().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+/**
+ * Load a membership of the current workspace from the :userId route parameter
+ */
+const findWorkspaceMembership = async (workspaceId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApiError(400, "Invalid user ID format");
+    }
+
+    const membership = await WorkspaceMember.findOne({ workspace: workspaceId, user: userId });
+
+    if (!membership) {
+        throw new ApiError(404, "Member not found in this workspace");
+    }
+
+    return membership;
+};
+
+/**
+ * Refuse changes that would leave a workspace without an admin
+ */
+const assertNotLastWorkspaceAdmin = async (membership) => {
+    if (membership.role !== WorkspaceRolesEnum.ADMIN) {
+        return;
+    }
+
+    const adminCount = await WorkspaceMember.countDocuments({
+        workspace: membership.workspace,
+        role: WorkspaceRolesEnum.ADMIN
+    });
+
+    if (adminCount <= 1) {
+        throw new ApiError(409, "A workspace needs at least one admin");
+    }
+};
+
+/**
+ * Create a workspace (System Admin only)
+ * POST /api/v1/workspaces
+ * Body: name, optional slug and description, and adminEmail of the first workspace admin (defaults to the caller)
+ */
+export const createWorkspace = asyncHandler(async (req, res) => {
+    const { name, slug, description, adminEmail } = req.body;
+
+    const admin = adminEmail
+        ? await User.findOne({ email: adminEmail.toLowerCase().trim(), isDeletedUserPlaceholder: { $ne: true } })
+        : req.user;
+
+    if (!admin) {
+        throw new ApiError(404, "No account found for the workspace admin email");
+    }
+
+    const workspaceSlug = toSlug(slug || name);
+
+    if (!workspaceSlug) {
+        throw new ApiError(400, "The workspace needs a slug made of letters or digits");
+    }
+
+    if (await Workspace.exists({ slug: workspaceSlug })) {
+        throw new ApiError(409, `The workspace slug "${workspaceSlug}" is already taken`);
+    }
+
+    const workspace = await retryOperation(async () => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            const [newWorkspace] = await Workspace.create([{
+                name: name.trim(),
+                slug: workspaceSlug,
+                description: description?.trim() || "",
+                createdBy: req.user._id
+            }], { session });
+
+            await WorkspaceMember.create([{
+                workspace: newWorkspace._id,
+                user: admin._id,
+                role: WorkspaceRolesEnum.ADMIN,
+                addedBy: req.user._id
+            }], { session });
+
+            await session.commitTransaction();
+
+            return newWorkspace;
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }, {
+        maxRetries: 3,
+        initialDelay: 100
+    });
+
+    await recordAuditEvent(req, {
+        action: "workspace.created",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "Workspace", id: workspace._id, label: workspace.name },
+        metadata: { slug: workspace.slug, admin: admin._id }
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, workspace, "Workspace created successfully")
+    );
+});
+
+/**
+ * List the workspaces of the authenticated user with their role in each
+ * GET /api/v1/workspaces
+ */
+export const getUserWorkspaces = asyncHandler(async (req, res) => {
+    const memberships = await WorkspaceMember.find({ user: req.user._id })
+        .populate('workspace', 'name slug description createdAt')
+        .sort({ joinedAt: 1 })
+        .lean();
+
+    const workspaces = memberships
+        .filter(membership => membership.workspace)
+        .map(membership => ({
+            ...membership.workspace,
+            role: membership.role,
+            joinedAt: membership.joinedAt
+        }));
+
+    res.status(200).json(
+        new ApiResponse(200, workspaces, "Workspaces retrieved successfully")
+    );
+});
+
+/**
+ * Get a workspace with its member and project counts
+ * GET /api/v1/workspaces/:workspaceId
+ */
+export const getWorkspaceById = asyncHandler(async (req, res) => {
+    const [memberCount, projectCount] = await Promise.all([
+        WorkspaceMember.countDocuments({ workspace: req.workspace._id }),
+        Project.countDocuments({ workspace: req.workspace._id, deletedAt: null })
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            ...req.workspace.toObject(),
+            role: req.workspaceMembership.role,
+            memberCount,
+            projectCount
+        }, "Workspace retrieved successfully")
+    );
+});
+
+/**
+ * Rename a workspace or change its description (Workspace Admin only)
+ * PATCH /api/v1/workspaces/:workspaceId
+ */
+export const updateWorkspace = asyncHandler(async (req, res) => {
+    const { name, description } = req.body;
+    const workspace = req.workspace;
+
+    const previousValues = { name: workspace.name, description: workspace.description };
+
+    if (name !== undefined) {
+        workspace.name = name.trim();
+    }
+
+    if (description !== undefined) {
+        workspace.description = description.trim();
+    }
+
+    await workspace.save();
+
+    await recordAuditEvent(req, {
+        action: "workspace.updated",
+        category: AuditCategoryEnum.ADMIN,
+        target: { type: "Workspace", id: workspace._id, label: workspace.name },
+        diff: buildAuditDiff(previousValues, { name: workspace.name, description: workspace.description })
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, workspace, "Workspace updated successfully")
+    );
+});
+
+/**
+ * List and search the members of a workspace
+ * GET /api/v1/workspaces/:workspaceId/members
+ * Query: search (username, email or full name), role, page, limit
+ * User search is limited to the workspace so members of other workspaces stay invisible
+ */
+export const getWorkspaceMembers = asyncHandler(async (req, res) => {
+    const { search, role } = req.query;
+    const page = Number(req.query.page || 1);
+    const limit = Number(req.query.limit || 20);
+
+    const membershipFilter = { workspace: req.workspace._id };
+
+    if (role) {
+        membershipFilter.role = role;
+    }
+
+    const userFilter = {};
+
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search.trim()), "i");
+        userFilter.$or = [
+            { "user.username": pattern },
+            { "user.email": pattern },
+            { "user.fullName": pattern }
+        ];
+    }
+
+    const [result] = await WorkspaceMember.aggregate([
+        { $match: membershipFilter },
+        {
+            $lookup: {
+                from: User.collection.name,
+                let: { userId: "$user" },
+                pipeline: [
+                    { $match: { $expr: { $eq: ["$_id", "$$userId"] } } },
+                    { $project: { username: 1, email: 1, fullName: 1, avatar: 1 } }
+                ],
+                as: "user"
+            }
+        },
+        { $unwind: "$user" },
+        { $match: userFilter },
+        {
+            $facet: {
+                members: [
+                    { $sort: { "user.username": 1 } },
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    { $project: { user: 1, role: 1, joinedAt: 1 } }
+                ],
+                total: [{ $count: "count" }]
+            }
+        }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            members: result.members,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, "Workspace members retrieved successfully")
+    );
+});
+
+/**
+ * Add an existing account to a workspace (Workspace Admin only)
+ * POST /api/v1/workspaces/:workspaceId/members
+ * People without an account join through a project invitation instead
+ */
+export const addWorkspaceMember = asyncHandler(async (req, res) => {
+    const { email, role } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase().trim(), isDeletedUserPlaceholder: { $ne: true } });
+
+    if (!user) {
+        throw new ApiError(404, "No account found for this email. Invite them to a project of the workspace instead");
+    }
+
+    if (await WorkspaceMember.exists({ workspace: req.workspace._id, user: user._id })) {
+        throw new ApiError(409, "User is already a member of this workspace");
+    }
+
+    const membership = await WorkspaceMember.create({
+        workspace: req.workspace._id,
+        user: user._id,
+        role,
+        addedBy: req.user._id
+    });
+
+    await membership.populate('user', 'username email fullName');
+
+    await recordAuditEvent(req, {
+        action: "workspace.member.added",
+        category: AuditCategoryEnum.MEMBERSHIP,
+        target: { type: "User", id: user._id, label: user.email },
+        diff: buildAuditDiff({}, { role }),
+        metadata: { workspace: req.workspace._id }
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, membership, "Member added to workspace successfully")
+    );
+});
+
+/**
+ * Change a member's workspace role (Workspace Admin only)
+ * PATCH /api/v1/workspaces/:workspaceId/members/:userId
+ */
+export const updateWorkspaceMemberRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const membership = await findWorkspaceMembership(req.workspace._id, userId);
+    const previousRole = membership.role;
+
+    if (role !== WorkspaceRolesEnum.ADMIN) {
+        await assertNotLastWorkspaceAdmin(membership);
+    }
+
+    membership.role = role;
+    await membership.save();
+
+    await membership.populate('user', 'username email fullName');
+
+    await recordAuditEvent(req, {
+        action: "workspace.member.role_updated",
+        category: AuditCategoryEnum.ROLE,
+        target: { type: "User", id: membership.user._id, label: membership.user.email },
+        diff: buildAuditDiff({ role: previousRole }, { role }),
+        metadata: { workspace: req.workspace._id }
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, membership, "Workspace member role updated successfully")
+    );
+});
+
+/**
+ * Remove a member from a workspace and from all of its projects (Workspace Admin only)
+ * DELETE /api/v1/workspaces/:workspaceId/members/:userId
+ * Members who own projects of the workspace must transfer them first
+ */
+export const removeWorkspaceMember = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    const membership = await findWorkspaceMembership(req.workspace._id, userId);
+
+    await assertNotLastWorkspaceAdmin(membership);
+
+    const ownedProjects = await Project.find({ workspace: req.workspace._id, owner: membership.user })
+        .select("name")
+        .lean();
+
+    if (ownedProjects.length > 0) {
+        throw new ApiError(
+            409,
+            "Transfer the projects this member owns before removing them from the workspace",
+            ownedProjects.map(project => ({ projectId: project._id, name: project.name }))
+        );
+    }
+
+    const projectIds = await Project.find({ workspace: req.workspace._id }).distinct("_id");
+
+    await retryOperation(async () => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            await ProjectMember.deleteMany({ project: { $in: projectIds }, user: membership.user }).session(session);
+            await Task.updateMany(
+                { project: { $in: projectIds }, assignee: membership.user },
+                { $unset: { assignee: 1 } }
+            ).session(session);
+            await WorkspaceMember.deleteOne({ _id: membership._id }).session(session);
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }, {
+        maxRetries: 3,
+        initialDelay: 100
+    });
+
+    await membership.populate('user', 'email');
+
+    await recordAuditEvent(req, {
+        action: "workspace.member.removed",
+        category: AuditCategoryEnum.MEMBERSHIP,
+        target: { type: "User", id: membership.user?._id || userId, label: membership.user?.email },
+        diff: buildAuditDiff({ role: membership.role }, {}),
+        metadata: { workspace: req.workspace._id }
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, null, "Member removed from workspace successfully")
+    );
+});
+
+/**
+ * List the project invitations of a workspace (Workspace Admin only)
+ * GET /api/v1/workspaces/:workspaceId/invitations
+ * Query: status (pending | accepted | revoked)
+ */
+export const getWorkspaceInvitations = asyncHandler(async (req, res) => {
+    const filter = { workspace: req.workspace._id };
+
+    if (req.query.status) {
+        filter.status = req.query.status;
+    }
+
+    const invitations = await ProjectInvitation.find(filter)
+        .select("-tokenHash")
+        .populate('project', 'name')
+        .populate('invitedBy', 'username email')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    const now = new Date();
+
+    res.status(200).json(
+        new ApiResponse(
+            200,
+            invitations.map(invitation => ({
+                ...invitation,
+                isExpired: invitation.status === 'pending' && invitation.expiresAt <= now
+            })),
+            "Workspace invitations retrieved successfully"
+        )
+    );
+});
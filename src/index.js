@@ -1,6 +1,7 @@
 import dotenv from "dotenv";
 import app from "./app.js";
 import connectDB from "./db/index.js"
+import { startProjectPurgeJob } from "./utils/project-purge.js";
 
 dotenv.config({
     path: "./.env",
@@ -13,6 +14,8 @@ connectDB()
     app.listen(port, () => {
       console.log(`Example app listening on port https://localhost:${port}`);
     });
+
+    startProjectPurgeJob();
   })
   .catch((err) => {
     console.error("MongoDB connection error", err);
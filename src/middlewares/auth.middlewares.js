@@ -2,12 +2,24 @@ import mongoose from "mongoose";
 import { User } from "../models/user.models.js";
 import { ProjectMember } from "../models/projectMember.models.js";
 import { Project } from "../models/project.models.js";
+import { Workspace } from "../models/workspace.models.js";
+import { WorkspaceMember } from "../models/workspaceMember.models.js";
+import { PersonalAccessToken, PERSONAL_ACCESS_TOKEN_PREFIX } from "../models/personalAccessToken.models.js";
+import { Session } from "../models/session.models.js";
 import{ ApiError } from "../utils/api-error.js";
 import { asyncHandler } from "../utils/async-handler.js";
-import jwt from "jsonwebtoken";
+import { AuditCategoryEnum, AvailableProjectPermissions, AvailableTokenScopes, WORKSPACE_HEADER } from "../utils/constants.js";
+import { recordAuditEvent } from "../utils/audit-log.js";
+import { verifyAccessToken } from "../utils/jwt-keys.js";
+import { resolveProjectRole } from "../utils/project-roles.js";
+
+// Fields never attached to req.user
+const SENSITIVE_USER_FIELDS = "-password -forgotPasswordToken -forgotPasswordExpiry -emailVerificationToken -emailVerificationExpiry -emailChangeToken -emailChangeExpiry -twoFactorChallengeToken -twoFactorChallengeExpiry -accountUnlockToken -accountUnlockExpiry -magicLinkToken -magicLinkExpiry";
 
 /**
  * Logs authorization failures for security auditing
+ * Written to the console and, without blocking the request, to the persistent audit trail.
+ * Only failures of authenticated users are persisted, so anonymous traffic cannot grow the audit log
  * @param {Object} req - Express request object
  * @param {String} errorMessage - Error message to log
  * @param {Number} statusCode - HTTP status code
@@ -20,11 +32,74 @@ const logAuthorizationFailure = (req, errorMessage, statusCode) => {
         statusCode,
         timestamp: new Date().toISOString()
     });
+
+    if (!req.user) {
+        return;
+    }
+
+    const { projectId } = req.params || {};
+
+    recordAuditEvent(req, {
+        action: "authorization.denied",
+        category: AuditCategoryEnum.AUTHORIZATION,
+        outcome: "failure",
+        project: mongoose.Types.ObjectId.isValid(projectId) ? projectId : null,
+        metadata: { reason: errorMessage, statusCode }
+    });
+};
+
+/**
+ * Rejects suspended accounts even when their credentials are otherwise valid
+ * @param {Object} req - Express request object
+ * @param {Object} user - Authenticated user
+ */
+const assertUserNotSuspended = (req, user) => {
+    if (user.isSuspended) {
+        const errorMessage = "Your account has been suspended. Please contact system administrator";
+        logAuthorizationFailure(req, errorMessage, 403);
+        throw new ApiError(403, errorMessage);
+    }
+};
+
+/**
+ * Authenticates a personal access token and attaches the owning user and token to request
+ * @param {Object} req - Express request object
+ * @param {String} token - Raw personal access token
+ */
+const authenticatePersonalAccessToken = async (req, token) => {
+    const accessToken = await PersonalAccessToken.findOne({
+        tokenHash: PersonalAccessToken.hashToken(token)
+    });
+
+    if (!accessToken || !accessToken.isActive()) {
+        const errorMessage = "Personal access token is invalid, expired or revoked";
+        logAuthorizationFailure(req, errorMessage, 401);
+        throw new ApiError(401, errorMessage);
+    }
+
+    const user = await User.findById(accessToken.user).select(SENSITIVE_USER_FIELDS);
+
+    if (!user) {
+        const errorMessage = "User associated with this token no longer exists";
+        logAuthorizationFailure(req, errorMessage, 401);
+        throw new ApiError(401, errorMessage);
+    }
+
+    assertUserNotSuspended(req, user);
+
+    await PersonalAccessToken.updateOne(
+        { _id: accessToken._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+    );
+
+    req.user = user;
+    req.personalAccessToken = accessToken;
 };
 
 /**
  * Middleware that verifies JWT token and attaches authenticated user to request
  * Handles token extraction from cookies or Authorization header
+ * Also accepts personal access tokens, whose scopes are enforced by verifyTokenScope
  * Provides detailed error messages for different failure scenarios
  */
 export const verifyJWT = asyncHandler(async (req, res, next) =>{
@@ -36,9 +111,14 @@ export const verifyJWT = asyncHandler(async (req, res, next) =>{
         throw new ApiError(401, errorMessage);
     }
 
+    if (token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)) {
+        await authenticatePersonalAccessToken(req, token);
+        return next();
+    }
+
     try {
         // Verify token signature and expiration
-        const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+        const decodedToken = verifyAccessToken(token);
         
         // Validate decoded token has required fields
         if (!decodedToken?._id) {
@@ -47,8 +127,19 @@ export const verifyJWT = asyncHandler(async (req, res, next) =>{
             throw new ApiError(401, errorMessage);
         }
 
+        // Access tokens stop working as soon as the device session they were issued for is revoked or expires
+        const session = mongoose.Types.ObjectId.isValid(decodedToken.sessionId)
+            ? await Session.findOne({ _id: decodedToken.sessionId, user: decodedToken._id })
+            : null;
+
+        if (!session || !session.isActive()) {
+            const errorMessage = "Session has been revoked or has expired. Please login again";
+            logAuthorizationFailure(req, errorMessage, 401);
+            throw new ApiError(401, errorMessage);
+        }
+
         // Fetch user from database, excluding sensitive fields
-        const user = await User.findById(decodedToken._id).select("-password -refreshTokens -forgotPasswordToken -forgotPasswordExpiry -emailVerificationToken -emailVerificationExpiry");
+        const user = await User.findById(decodedToken._id).select(SENSITIVE_USER_FIELDS);
 
         if(!user){
             const errorMessage = "User associated with this token no longer exists. Please login again";
@@ -56,8 +147,11 @@ export const verifyJWT = asyncHandler(async (req, res, next) =>{
             throw new ApiError(401, errorMessage);
         }
 
-        // Attach user object to request for downstream middleware/controllers
+        assertUserNotSuspended(req, user);
+
+        // Attach user object and the device session the token was issued for to request for downstream middleware/controllers
         req.user = user;
+        req.sessionId = decodedToken.sessionId;
         next();
 
     } catch (error) {
@@ -81,6 +175,48 @@ export const verifyJWT = asyncHandler(async (req, res, next) =>{
 
 })
 
+/**
+ * Middleware factory that restricts personal access tokens to routes covered by their scopes
+ * Requests authenticated with a JWT session are not scope-limited and pass through
+ * Must be used after verifyJWT middleware
+ * @param {String} requiredScope - Scope the token must grant, e.g. 'tasks:write'
+ * @returns {Function} Express middleware function
+ */
+export const verifyTokenScope = (requiredScope) => {
+    if (!AvailableTokenScopes.includes(requiredScope)) {
+        throw new Error(`verifyTokenScope requires a valid scope, got '${requiredScope}'`);
+    }
+
+    return asyncHandler(async (req, res, next) => {
+        if (!req.personalAccessToken) {
+            return next();
+        }
+
+        if (!req.personalAccessToken.hasScope(requiredScope)) {
+            const errorMessage = `Insufficient token scope. This endpoint requires the '${requiredScope}' scope`;
+            logAuthorizationFailure(req, errorMessage, 403);
+            throw new ApiError(403, errorMessage);
+        }
+
+        next();
+    });
+};
+
+/**
+ * Middleware that rejects personal access tokens on account-management routes
+ * Tokens must not be able to mint new tokens, manage sessions or change credentials
+ * Must be used after verifyJWT middleware
+ */
+export const disallowPersonalAccessToken = (req, res, next) => {
+    if (req.personalAccessToken) {
+        const errorMessage = "This endpoint cannot be accessed with a personal access token. Please login instead";
+        logAuthorizationFailure(req, errorMessage, 403);
+        throw new ApiError(403, errorMessage);
+    }
+
+    next();
+};
+
 /**
  * Middleware factory that creates role verification middleware
  * Validates user's system-level role against allowed roles
@@ -130,11 +266,11 @@ export const verifyRoles = (allowedRoles) => {
 }
 
 /**
- * Middleware that verifies user is a member of the specified project
- * Extracts projectId from req.params and validates membership
- * Attaches membership object to req.projectMembership for downstream use
+ * Builds the project membership check
+ * @param {Boolean} inTrash - Whether the project must be in the trash (restore routes) or active (all other routes)
+ * @returns {Function} Express middleware function
  */
-export const verifyProjectMembership = asyncHandler(async (req, res, next) => {
+const buildProjectMembershipVerifier = (inTrash) => asyncHandler(async (req, res, next) => {
     // Ensure user exists (verifyJWT should have run first)
     if (!req.user) {
         const errorMessage = "Authentication required. User not found in request";
@@ -158,9 +294,12 @@ export const verifyProjectMembership = asyncHandler(async (req, res, next) => {
         throw new ApiError(400, errorMessage);
     }
 
-    // Check if project exists
-    const project = await Project.findById(projectId);
-    
+    // Check if project exists; projects in the trash are hidden from every route but restore
+    const project = await Project.findOne({
+        _id: projectId,
+        deletedAt: inTrash ? { $ne: null } : null
+    });
+
     if (!project) {
         const errorMessage = `Project not found with ID: ${projectId}`;
         logAuthorizationFailure(req, errorMessage, 404);
@@ -190,58 +329,181 @@ export const verifyProjectMembership = asyncHandler(async (req, res, next) => {
         timestamp: new Date().toISOString()
     });
 
-    // Attach membership object to req.projectMembership including role
+    // Attach membership object to req.projectMembership including role, and the project it belongs to
     req.projectMembership = membership;
+    req.project = project;
 
     // Call next() when membership is valid
     next();
 });
 
 /**
- * Middleware factory that verifies user has specific role within a project
+ * Middleware that verifies user is a member of the specified project
+ * Extracts projectId from req.params and validates membership
+ * Attaches membership object to req.projectMembership and the project to req.project for downstream use
+ */
+export const verifyProjectMembership = buildProjectMembershipVerifier(false);
+
+/**
+ * Middleware that verifies user is a member of the specified project while it is in the trash
+ */
+export const verifyDeletedProjectMembership = buildProjectMembershipVerifier(true);
+
+/**
+ * Middleware factory that verifies the user's project role grants a permission
  * Must be used after verifyProjectMembership middleware
- * @param {Array<String>} allowedRoles - Array of project roles that can access
+ * Built-in and custom roles are resolved the same way; the role's permissions are attached to
+ * req.projectPermissions for downstream use
+ * @param {String} permission - Permission required, e.g. 'task.create'
  * @returns {Function} Express middleware function
  */
-export const verifyProjectRole = (allowedRoles) => {
-    // Validate allowedRoles parameter
-    if (!Array.isArray(allowedRoles) || allowedRoles.length === 0) {
-        throw new Error("verifyProjectRole requires a non-empty array of allowed roles");
+export const verifyProjectPermission = (permission) => {
+    // Validate permission parameter
+    if (!AvailableProjectPermissions.includes(permission)) {
+        throw new Error(`verifyProjectPermission requires a known permission, got '${permission}'`);
     }
 
     return asyncHandler(async (req, res, next) => {
         // Ensure verifyProjectMembership has already run
-        if (!req.projectMembership) {
-            const errorMessage = "Project membership validation required before role check. Ensure verifyProjectMembership middleware runs first";
+        if (!req.projectMembership || !req.project) {
+            const errorMessage = "Project membership validation required before permission check. Ensure verifyProjectMembership middleware runs first";
             logAuthorizationFailure(req, errorMessage, 500);
             throw new ApiError(500, errorMessage);
         }
 
-        // Check if membership has a role field
-        if (!req.projectMembership.role) {
-            const errorMessage = "Project role not defined for this membership. Please contact system administrator";
+        const role = await resolveProjectRole(req.project, req.projectMembership.role);
+
+        // Memberships can outlive a custom role only through direct database changes
+        if (!role) {
+            const errorMessage = `Project role '${req.projectMembership.role}' no longer exists. Please contact a project admin`;
             logAuthorizationFailure(req, errorMessage, 403);
             throw new ApiError(403, errorMessage);
         }
 
-        // Validate project role against allowedRoles array
-        if (!allowedRoles.includes(req.projectMembership.role)) {
-            const errorMessage = `Insufficient project permissions. Your project role '${req.projectMembership.role}' does not have access. Required project role: ${allowedRoles.join(' or ')}`;
+        // Validate the role's permissions against the required permission
+        if (!role.permissions.includes(permission)) {
+            const errorMessage = `Insufficient project permissions. Your project role '${role.key}' does not have the '${permission}' permission`;
             logAuthorizationFailure(req, errorMessage, 403);
             throw new ApiError(403, errorMessage);
         }
 
-        // Log successful project role authorization for security auditing
-        console.log(`Project role authorization successful: User ${req.user._id} with project role '${req.projectMembership.role}' accessed ${req.method} ${req.path}`, {
+        // Log successful project permission authorization for security auditing
+        console.log(`Project permission authorization successful: User ${req.user._id} with project role '${role.key}' used '${permission}' on ${req.method} ${req.path}`, {
             userId: req.user._id.toString(),
             projectId: req.projectMembership.project.toString(),
-            projectRole: req.projectMembership.role,
+            projectRole: role.key,
+            permission,
             endpoint: req.path,
             method: req.method,
             timestamp: new Date().toISOString()
         });
 
-        // User has required project role, proceed
+        req.projectPermissions = role.permissions;
+
+        // User's role grants the permission, proceed
+        next();
+    });
+};
+
+/**
+ * Middleware that resolves the workspace a request works in and verifies the user belongs to it
+ * The workspace comes from the :workspaceId route parameter, the workspace of the :projectId project
+ * (which must not be in the trash), or the X-Workspace-Id header; users who belong to a single
+ * workspace may omit the header
+ * Attaches req.workspace and req.workspaceMembership for downstream use
+ */
+export const verifyWorkspaceMembership = asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+        const errorMessage = "Authentication required. User not found in request";
+        logAuthorizationFailure(req, errorMessage, 401);
+        throw new ApiError(401, errorMessage);
+    }
+
+    let workspaceId = req.params.workspaceId;
+
+    if (!workspaceId && req.params.projectId) {
+        if (!mongoose.Types.ObjectId.isValid(req.params.projectId)) {
+            const errorMessage = `Invalid project ID format: ${req.params.projectId}`;
+            logAuthorizationFailure(req, errorMessage, 400);
+            throw new ApiError(400, errorMessage);
+        }
+
+        const project = await Project.findOne({ _id: req.params.projectId, deletedAt: null }).select("workspace").lean();
+
+        if (!project) {
+            const errorMessage = `Project not found with ID: ${req.params.projectId}`;
+            logAuthorizationFailure(req, errorMessage, 404);
+            throw new ApiError(404, errorMessage);
+        }
+
+        workspaceId = project.workspace;
+    }
+
+    workspaceId = workspaceId || req.get(WORKSPACE_HEADER);
+
+    let membership;
+
+    if (workspaceId) {
+        if (!mongoose.Types.ObjectId.isValid(workspaceId)) {
+            const errorMessage = `Invalid workspace ID format: ${workspaceId}`;
+            logAuthorizationFailure(req, errorMessage, 400);
+            throw new ApiError(400, errorMessage);
+        }
+
+        membership = await WorkspaceMember.findOne({ workspace: workspaceId, user: req.user._id });
+    } else {
+        const memberships = await WorkspaceMember.find({ user: req.user._id }).limit(2);
+
+        if (memberships.length !== 1) {
+            const errorMessage = memberships.length === 0
+                ? "You are not a member of any workspace"
+                : `Select a workspace with the ${WORKSPACE_HEADER} header`;
+            logAuthorizationFailure(req, errorMessage, memberships.length === 0 ? 403 : 400);
+            throw new ApiError(memberships.length === 0 ? 403 : 400, errorMessage);
+        }
+
+        membership = memberships[0];
+    }
+
+    // Workspaces the user does not belong to are reported as missing so their IDs are not disclosed
+    const workspace = membership && await Workspace.findById(membership.workspace);
+
+    if (!workspace) {
+        const errorMessage = `Workspace not found with ID: ${workspaceId}`;
+        logAuthorizationFailure(req, errorMessage, 404);
+        throw new ApiError(404, errorMessage);
+    }
+
+    req.workspace = workspace;
+    req.workspaceMembership = membership;
+
+    next();
+});
+
+/**
+ * Middleware factory that verifies the user has a specific role within the current workspace
+ * Must be used after verifyWorkspaceMembership middleware
+ * @param {Array<String>} allowedRoles - Array of workspace roles that can access
+ * @returns {Function} Express middleware function
+ */
+export const verifyWorkspaceRole = (allowedRoles) => {
+    if (!Array.isArray(allowedRoles) || allowedRoles.length === 0) {
+        throw new Error("verifyWorkspaceRole requires a non-empty array of allowed roles");
+    }
+
+    return asyncHandler(async (req, res, next) => {
+        if (!req.workspaceMembership) {
+            const errorMessage = "Workspace membership validation required before role check. Ensure verifyWorkspaceMembership middleware runs first";
+            logAuthorizationFailure(req, errorMessage, 500);
+            throw new ApiError(500, errorMessage);
+        }
+
+        if (!allowedRoles.includes(req.workspaceMembership.role)) {
+            const errorMessage = `Insufficient workspace permissions. Your workspace role '${req.workspaceMembership.role}' does not have access. Required workspace role: ${allowedRoles.join(' or ')}`;
+            logAuthorizationFailure(req, errorMessage, 403);
+            throw new ApiError(403, errorMessage);
+        }
+
         next();
     });
-};
\ No newline at end of file
+};
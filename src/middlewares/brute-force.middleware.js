@@ -0,0 +1,48 @@
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { ThrottleScopeEnum, getActiveThrottle, getThrottleSubjects } from "../utils/brute-force.js";
+
+/**
+ * Middleware factory that rejects requests from throttled IPs or accounts with 429
+ * Sets a Retry-After header so clients know when to try again
+ * Controllers record failures with recordFailedAttempt using req.throttleSubjects
+ * @param {String} scope - One of ThrottleScopeEnum
+ * @returns {Function} Express middleware function
+ */
+export const bruteForceGuard = (scope) => {
+    if (!Object.values(ThrottleScopeEnum).includes(scope)) {
+        throw new Error(`bruteForceGuard requires a valid throttle scope, got '${scope}'`);
+    }
+
+    return asyncHandler(async (req, res, next) => {
+        // Only login requests carry an account identifier; reset tokens are throttled per IP
+        const account = scope === ThrottleScopeEnum.LOGIN && typeof req.body?.email === "string"
+            ? req.body.email
+            : undefined;
+
+        const subjects = getThrottleSubjects(scope, req.ip, account);
+        const throttle = await getActiveThrottle(subjects);
+
+        if (throttle) {
+            const retryAfterSeconds = Math.ceil(throttle.retryAfterMs / 1000);
+            const errorMessage = throttle.locked
+                ? `Too many failed attempts. Access is temporarily locked, try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s)`
+                : `Too many failed attempts. Please wait ${retryAfterSeconds} second(s) before trying again`;
+
+            console.error(`Brute-force protection triggered: ${errorMessage}`, {
+                scope,
+                subjectType: throttle.subjectType,
+                ipAddress: req.ip,
+                endpoint: req.path,
+                method: req.method,
+                timestamp: new Date().toISOString()
+            });
+
+            res.set("Retry-After", String(retryAfterSeconds));
+            throw new ApiError(429, errorMessage);
+        }
+
+        req.throttleSubjects = subjects;
+        next();
+    });
+};
@@ -1,6 +1,8 @@
 import multer from "multer";
 import path from "path";
+import os from "os";
 import { ApiError } from "../utils/api-error.js";
+import { AvailableAttachmentMimeTypes, MAX_ATTACHMENT_SIZE } from "../utils/constants.js";
 
 // Configure storage
 const storage = multer.diskStorage({
@@ -13,31 +15,40 @@ const storage = multer.diskStorage({
     }
 });
 
+// Project bundles are read once during import, so they stay out of the public directory
+const bundleStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, os.tmpdir());
+    },
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+        cb(null, "project-bundle-" + uniqueSuffix + ".json.gz");
+    }
+});
+
 // File filter to validate file types
 const fileFilter = (req, file, cb) => {
     // Allow common file types for project management
+    if (AvailableAttachmentMimeTypes.includes(file.mimetype)) {
+        cb(null, true);
+    } else {
+        cb(new ApiError(400, "Invalid file type. Only images, PDFs, documents, and zip files are allowed."), false);
+    }
+};
+
+// File filter for avatars: still images only
+const imageFileFilter = (req, file, cb) => {
     const allowedMimeTypes = [
         'image/jpeg',
         'image/jpg',
         'image/png',
-        'image/gif',
-        'image/webp',
-        'application/pdf',
-        'application/msword',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'application/vnd.ms-excel',
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'application/vnd.ms-powerpoint',
-        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-        'text/plain',
-        'application/zip',
-        'application/x-zip-compressed'
+        'image/webp'
     ];
 
     if (allowedMimeTypes.includes(file.mimetype)) {
         cb(null, true);
     } else {
-        cb(new ApiError(400, "Invalid file type. Only images, PDFs, documents, and zip files are allowed."), false);
+        cb(new ApiError(400, "Invalid file type. Only JPEG, PNG and WebP images are allowed."), false);
     }
 };
 
@@ -46,6 +57,23 @@ export const upload = multer({
     storage: storage,
     fileFilter: fileFilter,
     limits: {
-        fileSize: 10 * 1024 * 1024 // 10MB limit
+        fileSize: MAX_ATTACHMENT_SIZE
+    }
+});
+
+export const uploadAvatar = multer({
+    storage: storage,
+    fileFilter: imageFileFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+        files: 1
+    }
+});
+
+export const uploadProjectBundle = multer({
+    storage: bundleStorage,
+    limits: {
+        fileSize: 50 * 1024 * 1024, // 50MB limit, bundles carry attachment files
+        files: 1
     }
 });
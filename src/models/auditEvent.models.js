@@ -0,0 +1,98 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableAuditCategories } from "../utils/constants.js";
+
+const auditEventSchema = new Schema(
+    {
+        action: {
+            type: String,
+            required: true
+        },
+        category: {
+            type: String,
+            enum: AvailableAuditCategories,
+            required: true
+        },
+        outcome: {
+            type: String,
+            enum: ['success', 'failure'],
+            default: 'success'
+        },
+        actor: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        },
+        // Snapshot so the event stays readable after the actor account is changed or removed
+        actorEmail: {
+            type: String
+        },
+        targetType: {
+            type: String
+        },
+        targetId: {
+            type: Schema.Types.ObjectId,
+            default: null
+        },
+        targetLabel: {
+            type: String
+        },
+        project: {
+            type: Schema.Types.ObjectId,
+            ref: "Project",
+            default: null
+        },
+        ipAddress: {
+            type: String
+        },
+        userAgent: {
+            type: String
+        },
+        endpoint: {
+            type: String
+        },
+        method: {
+            type: String
+        },
+        diff: {
+            before: {
+                type: Schema.Types.Mixed
+            },
+            after: {
+                type: Schema.Types.Mixed
+            }
+        },
+        metadata: {
+            type: Schema.Types.Mixed
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ targetId: 1, createdAt: -1 });
+auditEventSchema.index({ project: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+// The audit trail is append-only: existing events can never be modified or removed through the model
+const rejectMutation = function () {
+    throw new Error("Audit events are append-only and cannot be modified or deleted");
+};
+
+auditEventSchema.pre("save", function () {
+    if (!this.isNew) {
+        rejectMutation();
+    }
+});
+
+auditEventSchema.pre(
+    ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"],
+    { document: false, query: true },
+    rejectMutation
+);
+
+auditEventSchema.pre(["updateOne", "deleteOne"], { document: true, query: false }, rejectMutation);
+
+export const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
@@ -0,0 +1,53 @@
+import mongoose, { Schema } from "mongoose";
+
+// Failed-attempt counters for brute-force protection, one document per scope + subject (IP or account)
+const authThrottleSchema = new Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        scope: {
+            type: String,
+            required: true
+        },
+        subjectType: {
+            type: String,
+            enum: ['ip', 'account'],
+            required: true
+        },
+        subject: {
+            type: String,
+            required: true
+        },
+        failedCount: {
+            type: Number,
+            default: 0
+        },
+        lastFailedAt: {
+            type: Date
+        },
+        nextAttemptAt: {
+            type: Date
+        },
+        lockedUntil: {
+            type: Date
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Index for admin lookups of lockouts by account or IP
+authThrottleSchema.index({ subjectType: 1, subject: 1 });
+
+// Stale counters are removed automatically by MongoDB
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AuthThrottle = mongoose.model("AuthThrottle", authThrottleSchema);
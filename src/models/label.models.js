@@ -0,0 +1,36 @@
+import mongoose, { Schema } from "mongoose";
+
+const labelSchema = new Schema(
+    {
+        project: {
+            type: Schema.Types.ObjectId,
+            ref: "Project",
+            required: true
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        // Hex color such as #D73A4A
+        color: {
+            type: String,
+            required: true,
+            uppercase: true,
+            match: /^#[0-9A-F]{6}$/i
+        },
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Label names are unique within a project, ignoring case
+labelSchema.index({ project: 1, name: 1 }, { unique: true, collation: { locale: "en", strength: 2 } });
+
+export const Label = mongoose.model("Label", labelSchema);
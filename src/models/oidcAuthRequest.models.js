@@ -0,0 +1,37 @@
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+
+// Pending OIDC authorization requests, kept between the redirect to the provider and its callback
+const oidcAuthRequestSchema = new Schema(
+    {
+        stateHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        nonce: {
+            type: String,
+            required: true
+        },
+        codeVerifier: {
+            type: String,
+            required: true
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Abandoned login attempts are removed automatically by MongoDB
+oidcAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+oidcAuthRequestSchema.statics.hashState = function (state) {
+    return crypto.createHash("sha256").update(state).digest("hex");
+};
+
+export const OidcAuthRequest = mongoose.model("OidcAuthRequest", oidcAuthRequestSchema);
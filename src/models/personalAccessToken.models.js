@@ -0,0 +1,99 @@
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+import { AvailableTokenScopes } from "../utils/constants.js";
+
+// Prefix makes personal access tokens recognizable in verifyJWT and in leaked-secret scanners
+export const PERSONAL_ACCESS_TOKEN_PREFIX = "pat_";
+
+const personalAccessTokenSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        // First characters of the token, shown in listings so users can tell tokens apart
+        tokenHint: {
+            type: String,
+            required: true
+        },
+        scopes: [
+            {
+                type: String,
+                enum: AvailableTokenScopes
+            }
+        ],
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null
+        },
+        lastUsedIp: {
+            type: String
+        },
+        revokedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Index for efficient listing of a user's tokens
+personalAccessTokenSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Hash a personal access token so only its digest is stored at rest
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+personalAccessTokenSchema.statics.hashToken = function (token) {
+    return crypto
+        .createHash("sha256")
+        .update(token)
+        .digest("hex");
+};
+
+/**
+ * Generate a new random token
+ * @returns {{ token: String, tokenHash: String, tokenHint: String }}
+ */
+personalAccessTokenSchema.statics.generateToken = function () {
+    const token = PERSONAL_ACCESS_TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+    return {
+        token,
+        tokenHash: this.hashToken(token),
+        tokenHint: token.slice(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 6)
+    };
+};
+
+personalAccessTokenSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+personalAccessTokenSchema.methods.hasScope = function (scope) {
+    if (this.scopes.includes(scope)) {
+        return true;
+    }
+
+    // Write access to a resource implies read access
+    return scope.endsWith(":read") && this.scopes.includes(scope.replace(/:read$/, ":write"));
+};
+
+export const PersonalAccessToken = mongoose.model("PersonalAccessToken", personalAccessTokenSchema);
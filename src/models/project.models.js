@@ -1,4 +1,29 @@
 import mongoose, { Schema } from "mongoose";
+import { AvailableTaskStatusCategories, DEFAULT_TASK_WORKFLOW } from "../utils/constants.js";
+
+// One column of a project's task workflow; the order of the workflow array is the board order
+const workflowStatusSchema = new Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        category: {
+            type: String,
+            enum: AvailableTaskStatusCategories,
+            required: true
+        }
+    },
+    {
+        _id: false
+    }
+);
 
 const projectSchema = new Schema(
     {
@@ -11,10 +36,36 @@ const projectSchema = new Schema(
             type: String,
             trim: true
         },
+        workspace: {
+            type: Schema.Types.ObjectId,
+            ref: "Workspace",
+            required: true
+        },
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User",
             required: true
+        },
+        // Moved forward by every entry of the project's activity feed; drives the "last activity" sort
+        lastActivityAt: {
+            type: Date,
+            default: Date.now
+        },
+        workflow: {
+            type: [workflowStatusSchema],
+            default: () => DEFAULT_TASK_WORKFLOW.map(status => ({ ...status }))
+        },
+        // Set while the project is in the trash; it is purged for good after purgeAfter
+        deletedAt: {
+            type: Date,
+            default: null
+        },
+        deletedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        purgeAfter: {
+            type: Date
         }
     },
     {
@@ -23,4 +74,10 @@ const projectSchema = new Schema(
     }
 );
 
+// Index for listing the projects of a workspace
+projectSchema.index({ workspace: 1, deletedAt: 1 });
+
+// Index for the background purge of expired trashed projects
+projectSchema.index({ purgeAfter: 1 }, { partialFilterExpression: { deletedAt: { $type: "date" } } });
+
 export const Project = mongoose.model("Project", projectSchema);
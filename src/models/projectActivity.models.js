@@ -0,0 +1,56 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableActivityEntityTypes } from "../utils/constants.js";
+
+const projectActivitySchema = new Schema(
+    {
+        project: {
+            type: Schema.Types.ObjectId,
+            ref: "Project",
+            required: true
+        },
+        actor: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        // Dotted action name, e.g. 'task.status_changed'
+        action: {
+            type: String,
+            required: true
+        },
+        entityType: {
+            type: String,
+            enum: AvailableActivityEntityTypes,
+            required: true
+        },
+        entityId: {
+            type: Schema.Types.ObjectId,
+            required: true
+        },
+        // Snapshot so the entry stays readable after the entity is renamed or deleted
+        entityLabel: {
+            type: String
+        },
+        changes: {
+            before: {
+                type: Schema.Types.Mixed
+            },
+            after: {
+                type: Schema.Types.Mixed
+            }
+        },
+        metadata: {
+            type: Schema.Types.Mixed
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+// Indexes for the feed, newest first, with its actor and entity type filters
+projectActivitySchema.index({ project: 1, createdAt: -1 });
+projectActivitySchema.index({ project: 1, actor: 1, createdAt: -1 });
+projectActivitySchema.index({ project: 1, entityType: 1, createdAt: -1 });
+
+export const ProjectActivity = mongoose.model("ProjectActivity", projectActivitySchema);
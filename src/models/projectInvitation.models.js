@@ -0,0 +1,116 @@
+import mongoose, { Schema } from "mongoose";
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+
+const projectInvitationSchema = new Schema(
+    {
+        project: {
+            type: Schema.Types.ObjectId,
+            ref: "Project",
+            required: true
+        },
+        // Workspace of the project; accepting the invitation also joins it
+        workspace: {
+            type: Schema.Types.ObjectId,
+            ref: "Workspace",
+            required: true
+        },
+        email: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true
+        },
+        // Key of a built-in role or of a custom role of the project or its workspace
+        role: {
+            type: String,
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'accepted', 'revoked'],
+            default: 'pending'
+        },
+        // Hash of the most recently issued token; resending replaces it so older links stop working
+        tokenHash: {
+            type: String
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        invitedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        acceptedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        acceptedAt: {
+            type: Date
+        },
+        sentCount: {
+            type: Number,
+            default: 0
+        },
+        lastSentAt: {
+            type: Date
+        }
+    },
+    {
+        timestamps: true,
+        optimisticConcurrency: true // Enable optimistic locking with version key
+    }
+);
+
+// Only one pending invitation per email and project
+projectInvitationSchema.index(
+    { project: 1, email: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Index for listing the invitations of a workspace
+projectInvitationSchema.index({ workspace: 1, status: 1 });
+
+/**
+ * Hash an invitation token for storage or lookup
+ * @param {String} token - Raw invitation token
+ * @returns {String} SHA-256 hex digest
+ */
+projectInvitationSchema.statics.hashToken = function (token) {
+    return crypto
+        .createHash("sha256")
+        .update(token)
+        .digest("hex");
+};
+
+/**
+ * Issue a new signed invitation token and reset the expiry
+ * The caller is responsible for saving the invitation
+ * @returns {String} Raw token to embed in the invitation link
+ */
+projectInvitationSchema.methods.generateInvitationToken = function () {
+    const expiryDays = Number(process.env.INVITATION_EXPIRY_DAYS || 7);
+
+    const token = jwt.sign(
+        {
+            invitationId: this._id,
+            nonce: crypto.randomBytes(8).toString("hex")
+        },
+        process.env.INVITATION_TOKEN_SECRET,
+        { expiresIn: `${expiryDays}d` }
+    );
+
+    this.tokenHash = this.constructor.hashToken(token);
+    this.expiresAt = new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
+
+    return token;
+};
+
+projectInvitationSchema.methods.isUsable = function () {
+    return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+export const ProjectInvitation = mongoose.model("ProjectInvitation", projectInvitationSchema);
@@ -12,15 +12,20 @@ const projectMemberSchema = new Schema(
             ref: "User",
             required: true
         },
+        // Key of a built-in role or of a custom role of the project or its workspace
         role: {
             type: String,
-            enum: ['admin', 'project_admin', 'member'],
             required: true
         },
         joinedAt: {
             type: Date,
             default: Date.now
         },
+        // Set while the member has pinned the project as a favorite; favorites are listed first
+        pinnedAt: {
+            type: Date,
+            default: null
+        },
         addedBy: {
             type: Schema.Types.ObjectId,
             ref: "User",
@@ -0,0 +1,124 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableTaskStatusCategories } from "../utils/constants.js";
+
+// Reusable snapshot of a project's tasks, subtasks, notes and members used to start new projects
+const projectTemplateSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        // Templates are shared within one workspace
+        workspace: {
+            type: Schema.Types.ObjectId,
+            ref: "Workspace",
+            required: true
+        },
+        sourceProject: {
+            type: Schema.Types.ObjectId,
+            ref: "Project"
+        },
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        // Task workflow of the source project; projects created from the template get the same columns
+        workflow: [
+            {
+                _id: false,
+                key: {
+                    type: String,
+                    required: true
+                },
+                name: {
+                    type: String,
+                    required: true
+                },
+                category: {
+                    type: String,
+                    enum: AvailableTaskStatusCategories,
+                    required: true
+                }
+            }
+        ],
+        labels: [
+            {
+                _id: false,
+                name: {
+                    type: String,
+                    required: true
+                },
+                color: {
+                    type: String,
+                    required: true
+                }
+            }
+        ],
+        tasks: [
+            {
+                title: {
+                    type: String,
+                    required: true,
+                    trim: true
+                },
+                description: {
+                    type: String,
+                    trim: true
+                },
+                // Names of the template's labels
+                labels: [String],
+                subtasks: [
+                    {
+                        title: {
+                            type: String,
+                            required: true,
+                            trim: true
+                        },
+                        description: {
+                            type: String,
+                            trim: true
+                        }
+                    }
+                ]
+            }
+        ],
+        notes: [
+            {
+                title: {
+                    type: String,
+                    required: true,
+                    trim: true
+                },
+                content: {
+                    type: String,
+                    trim: true
+                }
+            }
+        ],
+        members: [
+            {
+                user: {
+                    type: Schema.Types.ObjectId,
+                    ref: "User",
+                    required: true
+                },
+                // Roles missing from the workspace when the template is used fall back to member
+                role: {
+                    type: String,
+                    required: true
+                }
+            }
+        ]
+    },
+    {
+        timestamps: true
+    }
+);
+
+export const ProjectTemplate = mongoose.model("ProjectTemplate", projectTemplateSchema);
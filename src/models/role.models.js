@@ -0,0 +1,58 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableProjectPermissions } from "../utils/constants.js";
+
+const roleSchema = new Schema(
+    {
+        workspace: {
+            type: Schema.Types.ObjectId,
+            ref: "Workspace",
+            required: true
+        },
+        // Roles without a project are available in every project of the workspace
+        project: {
+            type: Schema.Types.ObjectId,
+            ref: "Project",
+            default: null
+        },
+        // Stored in memberships and invitations, so it never changes once the role exists
+        key: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true,
+            match: /^[a-z0-9][a-z0-9_]{0,39}$/
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        description: {
+            type: String,
+            trim: true,
+            default: ""
+        },
+        permissions: [
+            {
+                type: String,
+                enum: AvailableProjectPermissions
+            }
+        ],
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Role keys are unique within a workspace, so a key means the same role in all of its projects
+roleSchema.index({ workspace: 1, key: 1 }, { unique: true });
+
+// Index for listing the roles available in a project
+roleSchema.index({ workspace: 1, project: 1 });
+
+export const Role = mongoose.model("Role", roleSchema);
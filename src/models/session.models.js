@@ -0,0 +1,69 @@
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+
+const sessionSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        refreshTokenHash: {
+            type: String,
+            required: true
+        },
+        deviceName: {
+            type: String,
+            trim: true,
+            default: "Unknown device"
+        },
+        ipAddress: {
+            type: String
+        },
+        userAgent: {
+            type: String
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+        revokedReason: {
+            type: String
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Index for efficient lookups of a user's active sessions
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Expired sessions are removed automatically by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a refresh token so only its digest is stored at rest
+ * @param {String} token - Raw refresh token
+ * @returns {String} SHA-256 hex digest
+ */
+sessionSchema.statics.hashToken = function (token) {
+    return crypto
+        .createHash("sha256")
+        .update(token)
+        .digest("hex");
+};
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export const Session = mongoose.model("Session", sessionSchema);
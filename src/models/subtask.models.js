@@ -31,4 +31,7 @@ const subtaskSchema = new Schema(
     }
 );
 
+// Index for looking up the subtasks of a task
+subtaskSchema.index({ task: 1 });
+
 export const Subtask = mongoose.model("Subtask", subtaskSchema);
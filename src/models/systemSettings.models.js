@@ -0,0 +1,40 @@
+import mongoose, { Schema } from "mongoose";
+
+// Deployment-wide settings managed by system admins, stored as a single document
+const SETTINGS_KEY = "global";
+
+const systemSettingsSchema = new Schema(
+    {
+        key: {
+            type: String,
+            default: SETTINGS_KEY,
+            unique: true,
+            immutable: true
+        },
+        requireTwoFactorForAdmins: {
+            type: Boolean,
+            default: false
+        },
+        updatedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Fetch the settings document, creating it with defaults on first access
+ * @returns {Promise<Object>} Settings document
+ */
+systemSettingsSchema.statics.getSettings = async function () {
+    return await this.findOneAndUpdate(
+        { key: SETTINGS_KEY },
+        { $setOnInsert: { key: SETTINGS_KEY } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+export const SystemSettings = mongoose.model("SystemSettings", systemSettingsSchema);
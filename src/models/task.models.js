@@ -20,11 +20,23 @@ const taskSchema = new Schema(
             type: Schema.Types.ObjectId,
             ref: "User"
         },
+        // Key of a status in the project's workflow
         status: {
             type: String,
-            enum: ['todo', 'in_progress', 'done'],
-            default: 'todo'
+            required: true
+        },
+        // When the task entered a closed status; cleared when it is reopened
+        completedAt: {
+            type: Date,
+            default: null
         },
+        // Labels of the task's project
+        labels: [
+            {
+                type: Schema.Types.ObjectId,
+                ref: "Label"
+            }
+        ],
         attachments: [
             {
                 url: {
@@ -52,4 +64,10 @@ const taskSchema = new Schema(
     }
 );
 
+// Index for listing and aggregating the tasks of a project
+taskSchema.index({ project: 1, status: 1 });
+
+// Index for filtering the tasks of a project by label
+taskSchema.index({ project: 1, labels: 1 });
+
 export const Task = mongoose.model("Task", taskSchema);
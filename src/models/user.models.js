@@ -2,6 +2,13 @@ import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
+import { getPasswordPolicy } from "../utils/password-policy.js";
+import { signAccessToken } from "../utils/jwt-keys.js";
+
+export const DEFAULT_AVATAR = {
+    url: "https://placehold.co/200x200",
+    localPath: ""
+};
 
 const userSchema = new Schema(
     {
@@ -10,10 +17,7 @@ const userSchema = new Schema(
                 url: String,
                 localPath: String,
             },
-            default: {
-                url: "https://placehold.co/200x200",
-                localPath: ""
-            }
+            default: () => ({ ...DEFAULT_AVATAR })
         },
         username: {
             type: String,
@@ -36,31 +40,126 @@ const userSchema = new Schema(
         },
         password: {
             type: String,
-            required: [true, "Password is mandatory!"]
+            // Accounts created through single sign-on have no local password
+            required: [function () { return !this.oidc?.subject; }, "Password is mandatory!"]
+        },
+        // Hashes of previous passwords, newest first, so they cannot be reused
+        passwordHistory: {
+            type: [String],
+            select: false,
+            default: undefined
+        },
+        oidc: {
+            issuer: {
+                type: String
+            },
+            subject: {
+                type: String
+            },
+            linkedAt: {
+                type: Date
+            }
         },
         isEmailVerified: {
             type: Boolean,
             default: false
         },
-        refreshTokens: {
-            type: String
-        },
         forgotPasswordToken: {
             type: String
         },
         forgotPasswordExpiry: {
             type: Date
         },
+        // Set when an admin forces a reset; password logins are refused until the reset link is used
+        mustResetPassword: {
+            type: Boolean,
+            default: false
+        },
         emailVerificationToken: {
             type: String
         },
         emailVerificationExpiry: {
             type: Date
         },
+        // New address awaiting verification; email is only replaced once it is confirmed
+        pendingEmail: {
+            type: String,
+            lowercase: true,
+            trim: true
+        },
+        emailChangeToken: {
+            type: String
+        },
+        emailChangeExpiry: {
+            type: Date
+        },
+        magicLinkToken: {
+            type: String
+        },
+        magicLinkExpiry: {
+            type: Date
+        },
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            secret: {
+                type: String,
+                select: false
+            },
+            pendingSecret: {
+                type: String,
+                select: false
+            },
+            recoveryCodes: {
+                type: [String],
+                select: false
+            },
+            lastUsedStep: {
+                type: Number,
+                select: false
+            },
+            enabledAt: {
+                type: Date
+            }
+        },
+        twoFactorChallengeToken: {
+            type: String
+        },
+        twoFactorChallengeExpiry: {
+            type: Date
+        },
+        accountUnlockToken: {
+            type: String
+        },
+        accountUnlockExpiry: {
+            type: Date
+        },
         role: {
             type: String,
             enum: ['admin', 'project_admin', 'member'],
             default: 'member'
+        },
+        isSuspended: {
+            type: Boolean,
+            default: false
+        },
+        suspendedAt: {
+            type: Date
+        },
+        suspendedReason: {
+            type: String,
+            trim: true
+        },
+        suspendedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        // Shared placeholder that takes over the references of deleted accounts
+        isDeletedUserPlaceholder: {
+            type: Boolean,
+            default: undefined
         }
     },
     {
@@ -68,37 +167,113 @@ const userSchema = new Schema(
     }
 );
 
+userSchema.index(
+    { "oidc.issuer": 1, "oidc.subject": 1 },
+    { unique: true, partialFilterExpression: { "oidc.subject": { $exists: true } } }
+);
+
 userSchema.pre("save", async function () {
     if (!this.isModified("password")) return;
 
+    // Keep the replaced hash; loaded fresh because the document may not have the history selected
+    if (!this.isNew) {
+        const { historyCount } = getPasswordPolicy();
+        const previous = await this.constructor.findById(this._id).select("password +passwordHistory").lean();
+
+        if (historyCount > 0 && previous?.password) {
+            this.passwordHistory = [previous.password, ...(previous.passwordHistory || [])].slice(0, historyCount);
+        }
+    }
+
     this.password = await bcrypt.hash(this.password, 10);
 });
 
 userSchema.methods.isPasswordCorrect = async function (password) {
+    if (!this.password || typeof password !== "string") return false;
+
     return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateAccessTokens = function () {
-    return jwt.sign(
+/**
+ * Get (or create on first use) the placeholder user that replaces deleted accounts in
+ * createdBy-style references, so deleted users show up as "Deleted user" instead of dangling IDs
+ * The placeholder has no password and is suspended, so it can never sign in
+ * @returns {Promise<Object>} Placeholder user document
+ */
+userSchema.statics.getDeletedUserPlaceholder = async function () {
+    const placeholder = await this.findOne({ isDeletedUserPlaceholder: true });
+
+    if (placeholder) {
+        return placeholder;
+    }
+
+    try {
+        return await this.findOneAndUpdate(
+            { isDeletedUserPlaceholder: true },
+            {
+                $setOnInsert: {
+                    username: "[deleted]",
+                    email: "deleted-user@deleted.invalid",
+                    fullName: "Deleted user",
+                    isEmailVerified: false,
+                    isSuspended: true,
+                    suspendedReason: "Placeholder for deleted accounts"
+                }
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // Created concurrently by another request
+        if (error.code === 11000) {
+            return await this.findOne({ isDeletedUserPlaceholder: true });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Check a candidate password against the current password and the remembered history
+ * @param {String} password - Candidate password in plain text
+ * @returns {Promise<Boolean>} True when the password was used recently
+ */
+userSchema.methods.isPasswordReused = async function (password) {
+    const { historyCount } = getPasswordPolicy();
+    const stored = await this.constructor.findById(this._id).select("password +passwordHistory").lean();
+
+    const hashes = [stored?.password, ...(stored?.passwordHistory || []).slice(0, historyCount)].filter(Boolean);
+
+    for (const hash of hashes) {
+        if (await bcrypt.compare(password, hash)) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+userSchema.methods.generateAccessTokens = function (sessionId) {
+    return signAccessToken(
         {
             _id: this._id,
             email: this.email,
             username: this.username,
+            sessionId
         },
-        process.env.ACCESS_TOKEN_SECRET,
         { expiresIn: process.env.ACCESS_TOKEN_EXPIRY }
-
     );
 };
 
-userSchema.methods.generateRefreshTokens = function () {
+userSchema.methods.generateRefreshTokens = function (sessionId) {
     return jwt.sign(
         {
             _id: this._id,
+            sessionId
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
-            expiresIn: process.env.REFRESH_TOKEN_EXPIRY
+            expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+            // Tokens issued within the same second must still differ, or a rotated token would stay valid
+            jwtid: crypto.randomUUID()
         }
     );
 };
@@ -0,0 +1,34 @@
+import mongoose, { Schema } from "mongoose";
+
+// A tenant of the deployment: owns projects and has its own members and admins
+const workspaceSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        // URL-friendly identifier, unique across the deployment
+        slug: {
+            type: String,
+            required: true,
+            unique: true,
+            lowercase: true,
+            trim: true
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+export const Workspace = mongoose.model("Workspace", workspaceSchema);
@@ -0,0 +1,42 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableWorkspaceRoles } from "../utils/constants.js";
+
+const workspaceMemberSchema = new Schema(
+    {
+        workspace: {
+            type: Schema.Types.ObjectId,
+            ref: "Workspace",
+            required: true
+        },
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        role: {
+            type: String,
+            enum: AvailableWorkspaceRoles,
+            required: true
+        },
+        joinedAt: {
+            type: Date,
+            default: Date.now
+        },
+        addedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// One membership per user and workspace
+workspaceMemberSchema.index({ workspace: 1, user: 1 }, { unique: true });
+
+// Index for listing a user's workspaces
+workspaceMemberSchema.index({ user: 1 });
+
+export const WorkspaceMember = mongoose.model("WorkspaceMember", workspaceMemberSchema);
@@ -0,0 +1,50 @@
+import { Router } from "express";
+import {
+    getUsers,
+    getUserById,
+    updateUserRole,
+    suspendUser,
+    reactivateUser,
+    forceVerifyEmail,
+    resetUserPassword
+} from "../controllers/admin.controller.js";
+import { getAuditEvents, exportAuditEvents } from "../controllers/auditEvent.controller.js";
+import { verifyJWT, verifyRoles, disallowPersonalAccessToken } from "../middlewares/auth.middlewares.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import { adminUserListValidator, adminUserRoleValidator, adminSuspendUserValidator, auditEventQueryValidator } from "../validators/index.js";
+
+const router = Router();
+
+// Every admin route requires an interactive session of a system admin
+router.use(verifyJWT, disallowPersonalAccessToken, verifyRoles(['admin']));
+
+// User management routes
+router.route("/users")
+    .get(adminUserListValidator(), validate, getUsers);
+
+router.route("/users/:userId")
+    .get(getUserById);
+
+router.route("/users/:userId/role")
+    .patch(adminUserRoleValidator(), validate, updateUserRole);
+
+router.route("/users/:userId/suspend")
+    .post(adminSuspendUserValidator(), validate, suspendUser);
+
+router.route("/users/:userId/reactivate")
+    .post(reactivateUser);
+
+router.route("/users/:userId/verify-email")
+    .post(forceVerifyEmail);
+
+router.route("/users/:userId/reset-password")
+    .post(resetUserPassword);
+
+// Security audit log routes
+router.route("/audit-events")
+    .get(auditEventQueryValidator(), validate, getAuditEvents);
+
+router.route("/audit-events/export")
+    .get(auditEventQueryValidator(), validate, exportAuditEvents);
+
+export default router;
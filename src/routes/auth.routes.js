@@ -1,8 +1,13 @@
 import { Router } from "express";
-import { changeCurrentPassword, forgotPasswordRequest, getCurrentUser, login, logoutUser, refreshAccessToken, registerUser, resendEmailVerification, resetForgotPassword, verifyEmail } from "../controllers/auth.cotrollers.js";
+import { cancelEmailChange, changeCurrentPassword, clearLockout, completeOidcLogin, disableTwoFactor, enableTwoFactor, forgotPasswordRequest, deleteAvatar, getActiveLockouts, getCurrentUser, getTwoFactorPolicy, getUserSessions, login, logoutUser, requestMagicLink, refreshAccessToken, regenerateRecoveryCodes, registerUser, requestEmailChange, resendEmailVerification, resetForgotPassword, revokeAllSessions, revokeSession, setupTwoFactor, setupTwoFactorDuringLogin, startOidcLogin, unlockAccount, updateAvatar, updateProfile, updateTwoFactorPolicy, verifyEmail, verifyEmailChange, verifyMagicLink, verifyTwoFactorLogin } from "../controllers/auth.cotrollers.js";
 import { validate } from "../middlewares/validator.middleware.js";
-import { userRegisterValidator, userLoginValidator, userForgotPasswordValidator, userResetForgotPasswordValidator, userChangeCurrentPasswordValidator } from "../validators/index.js";
-import { verifyJWT } from "../middlewares/auth.middlewares.js";
+import { userRegisterValidator, userLoginValidator, userForgotPasswordValidator, userResetForgotPasswordValidator, userChangeCurrentPasswordValidator, twoFactorChallengeValidator, twoFactorLoginValidator, twoFactorCodeValidator, twoFactorDisableValidator, twoFactorPolicyValidator, clearLockoutValidator, personalAccessTokenValidator, updateProfileValidator, deleteAccountValidator, changeEmailValidator, magicLinkRequestValidator, magicLinkVerifyValidator } from "../validators/index.js";
+import { createPersonalAccessToken, getPersonalAccessTokens, revokePersonalAccessToken } from "../controllers/personalAccessToken.controller.js";
+import { disallowPersonalAccessToken, verifyJWT, verifyRoles } from "../middlewares/auth.middlewares.js";
+import { bruteForceGuard } from "../middlewares/brute-force.middleware.js";
+import { ThrottleScopeEnum } from "../utils/brute-force.js";
+import { uploadAvatar } from "../middlewares/multer.middleware.js";
+import { deleteAccount, exportPersonalData } from "../controllers/account.controller.js";
 
 const router = Router();
 
@@ -11,26 +16,85 @@ const router = Router();
 
 router.route("/register").post(userRegisterValidator(), validate, registerUser);
 
-router.route("/login").post(userLoginValidator(), validate, login);
+router.route("/login").post(userLoginValidator(), validate, bruteForceGuard(ThrottleScopeEnum.LOGIN), login);
+
+router.route("/login/2fa").post(twoFactorLoginValidator(), validate, bruteForceGuard(ThrottleScopeEnum.LOGIN), verifyTwoFactorLogin);
+
+router.route("/magic-link").post(magicLinkRequestValidator(), validate, requestMagicLink);
+
+router.route("/magic-link/verify").post(magicLinkVerifyValidator(), validate, bruteForceGuard(ThrottleScopeEnum.PASSWORD_RESET), verifyMagicLink);
+
+router.route("/oidc/login").get(startOidcLogin);
+
+router.route("/oidc/callback").get(completeOidcLogin);
+
+router.route("/login/2fa/setup").post(twoFactorChallengeValidator(), validate, setupTwoFactorDuringLogin);
+
+router.route("/unlock-account/:unlockToken").get(bruteForceGuard(ThrottleScopeEnum.PASSWORD_RESET), unlockAccount);
 
 router.route("/verify-email/:verificationToken").get( verifyEmail);
 
+router.route("/verify-email-change/:verificationToken").get(verifyEmailChange);
+
 router.route("/refresh-token").post(refreshAccessToken);
 
 router.route("/forgot-password").post(userForgotPasswordValidator(), validate, forgotPasswordRequest);
 
-router.route("/reset-password/:resetToken").post(userResetForgotPasswordValidator(), validate, resetForgotPassword);
+router.route("/reset-password/:resetToken").post(userResetForgotPasswordValidator(), validate, bruteForceGuard(ThrottleScopeEnum.PASSWORD_RESET), resetForgotPassword);
 
 
 // Secured Routes
 
-router.route("/logout").post(verifyJWT, logoutUser);
+router.route("/logout").post(verifyJWT, disallowPersonalAccessToken, logoutUser);
 
 router.route("/current-user").post(verifyJWT, getCurrentUser);
 
-router.route("/change-password").post(userChangeCurrentPasswordValidator(),validate, changeCurrentPassword);
+router.route("/me")
+    .get(verifyJWT, getCurrentUser)
+    .patch(verifyJWT, disallowPersonalAccessToken, updateProfileValidator(), validate, updateProfile)
+    .delete(verifyJWT, disallowPersonalAccessToken, deleteAccountValidator(), validate, deleteAccount);
+
+router.route("/me/export").get(verifyJWT, disallowPersonalAccessToken, exportPersonalData);
+
+router.route("/me/avatar")
+    .post(verifyJWT, disallowPersonalAccessToken, uploadAvatar.single('avatar'), updateAvatar)
+    .delete(verifyJWT, disallowPersonalAccessToken, deleteAvatar);
+
+router.route("/change-password").post(verifyJWT, disallowPersonalAccessToken, userChangeCurrentPasswordValidator(),validate, changeCurrentPassword);
+
+router.route("/change-email")
+    .post(verifyJWT, disallowPersonalAccessToken, changeEmailValidator(), validate, requestEmailChange)
+    .delete(verifyJWT, disallowPersonalAccessToken, cancelEmailChange);
+
+router.route("/resend-email-verification").post(verifyJWT, disallowPersonalAccessToken, resendEmailVerification);
+
+router.route("/sessions")
+    .get(verifyJWT, disallowPersonalAccessToken, getUserSessions)
+    .delete(verifyJWT, disallowPersonalAccessToken, revokeAllSessions);
+
+router.route("/sessions/:sessionId").delete(verifyJWT, disallowPersonalAccessToken, revokeSession);
+
+router.route("/2fa/setup").post(verifyJWT, disallowPersonalAccessToken, setupTwoFactor);
+
+router.route("/2fa/enable").post(verifyJWT, disallowPersonalAccessToken, twoFactorCodeValidator(), validate, enableTwoFactor);
+
+router.route("/2fa/disable").post(verifyJWT, disallowPersonalAccessToken, twoFactorDisableValidator(), validate, disableTwoFactor);
+
+router.route("/2fa/recovery-codes").post(verifyJWT, disallowPersonalAccessToken, twoFactorCodeValidator(), validate, regenerateRecoveryCodes);
+
+router.route("/2fa/policy")
+    .get(verifyJWT, disallowPersonalAccessToken, verifyRoles(['admin']), getTwoFactorPolicy)
+    .put(verifyJWT, disallowPersonalAccessToken, verifyRoles(['admin']), twoFactorPolicyValidator(), validate, updateTwoFactorPolicy);
+
+router.route("/lockouts").get(verifyJWT, disallowPersonalAccessToken, verifyRoles(['admin']), getActiveLockouts);
+
+router.route("/lockouts/clear").post(verifyJWT, disallowPersonalAccessToken, verifyRoles(['admin']), clearLockoutValidator(), validate, clearLockout);
+
+router.route("/tokens")
+    .get(verifyJWT, disallowPersonalAccessToken, getPersonalAccessTokens)
+    .post(verifyJWT, disallowPersonalAccessToken, personalAccessTokenValidator(), validate, createPersonalAccessToken);
 
-router.route("/resend-email-verification").post(verifyJWT, resendEmailVerification);
+router.route("/tokens/:tokenId").delete(verifyJWT, disallowPersonalAccessToken, revokePersonalAccessToken);
 
 
 
@@ -0,0 +1,13 @@
+import { Router } from "express";
+import { acceptInvitation, getInvitationDetails } from "../controllers/invitation.controller.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import { invitationAcceptValidator } from "../validators/index.js";
+
+const router = Router();
+
+// Public routes, the signed invitation token authorizes the request
+router.route("/:invitationToken").get(getInvitationDetails);
+
+router.route("/:invitationToken/accept").post(invitationAcceptValidator(), validate, acceptInvitation);
+
+export default router;
@@ -8,20 +8,21 @@ import {
 } from "../controllers/note.controller.js";
 import { 
     verifyJWT, 
-    verifyRoles,
-    verifyProjectMembership 
+    verifyProjectMembership,
+    verifyProjectPermission,
+    verifyTokenScope
 } from "../middlewares/auth.middlewares.js";
 
 const router = Router();
 
 // Note management routes
 router.route("/:projectId")
-    .post(verifyJWT, verifyRoles(['admin']), createNote)
-    .get(verifyJWT, verifyProjectMembership, getProjectNotes);
+    .post(verifyJWT, verifyTokenScope('notes:write'), verifyProjectMembership, verifyProjectPermission('note.create'), createNote)
+    .get(verifyJWT, verifyTokenScope('notes:read'), verifyProjectMembership, getProjectNotes);
 
 router.route("/:projectId/n/:noteId")
-    .get(verifyJWT, verifyProjectMembership, getNoteById)
-    .put(verifyJWT, verifyRoles(['admin']), updateNote)
-    .delete(verifyJWT, verifyRoles(['admin']), deleteNote);
+    .get(verifyJWT, verifyTokenScope('notes:read'), verifyProjectMembership, getNoteById)
+    .put(verifyJWT, verifyTokenScope('notes:write'), verifyProjectMembership, verifyProjectPermission('note.update'), updateNote)
+    .delete(verifyJWT, verifyTokenScope('notes:write'), verifyProjectMembership, verifyProjectPermission('note.delete'), deleteNote);
 
 export default router;
@@ -2,35 +2,126 @@ import { Router } from "express";
 import {
     createProject,
     getUserProjects,
+    addProjectFavorite,
+    removeProjectFavorite,
     getProjectById,
     updateProject,
     deleteProject,
+    getDeletedProjects,
+    restoreProject,
+    cloneProject,
+    transferProjectOwnership,
+    getProjectWorkflowStatuses,
+    updateProjectWorkflow,
     addProjectMember,
     getProjectMembers,
     updateProjectMemberRole,
     removeProjectMember
 } from "../controllers/project.controller.js";
-import { verifyJWT, verifyRoles, verifyProjectMembership, verifyProjectRole } from "../middlewares/auth.middlewares.js";
+import {
+    getProjectInvitations,
+    resendProjectInvitation,
+    revokeProjectInvitation
+} from "../controllers/invitation.controller.js";
+import { createTemplateFromProject } from "../controllers/projectTemplate.controller.js";
+import { exportProject, importProject } from "../controllers/projectBundle.controller.js";
+import { getProjectStats } from "../controllers/projectStats.controller.js";
+import { getProjectActivity } from "../controllers/projectActivity.controller.js";
+import { getProjectLabels, createLabel, updateLabel, deleteLabel } from "../controllers/label.controller.js";
+import { getProjectRoles, createProjectRole, updateProjectRole, deleteProjectRole } from "../controllers/role.controller.js";
+import { verifyJWT, verifyProjectMembership, verifyDeletedProjectMembership, verifyProjectPermission, verifyTokenScope, verifyWorkspaceMembership, verifyWorkspaceRole } from "../middlewares/auth.middlewares.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import { uploadProjectBundle } from "../middlewares/multer.middleware.js";
+import { customRoleValidator, labelValidator, projectActivityQueryValidator, projectCopyValidator, projectListValidator, projectStatsValidator, projectWorkflowValidator, transferOwnershipValidator } from "../validators/index.js";
 
 const router = Router();
 
-// Admin-only routes
+// Workspace-scoped routes; the workspace comes from the X-Workspace-Id header
 router.route("/")
-    .post(verifyJWT, verifyRoles(['admin']), createProject)
-    .get(verifyJWT, getUserProjects);
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), createProject)
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyWorkspaceMembership, projectListValidator(), validate, getUserProjects);
+
+// Import creates a project, so like project creation it is limited to workspace admins
+router.route("/import")
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), uploadProjectBundle.single('bundle'), importProject);
+
+// Trash routes, registered before /:projectId so "trash" is not read as a project ID
+router.route("/trash")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyWorkspaceMembership, getDeletedProjects);
+
+router.route("/:projectId/restore")
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyDeletedProjectMembership, verifyProjectPermission('project.delete'), restoreProject);
 
 router.route("/:projectId")
-    .get(verifyJWT, verifyProjectMembership, getProjectById)
-    .put(verifyJWT, verifyProjectMembership, verifyProjectRole(['admin']), updateProject)
-    .delete(verifyJWT, verifyProjectMembership, verifyProjectRole(['admin']), deleteProject);
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyProjectMembership, getProjectById)
+    .put(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('project.update'), updateProject)
+    .delete(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('project.delete'), deleteProject);
+
+router.route("/:projectId/stats")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyProjectMembership, projectStatsValidator(), validate, getProjectStats);
+
+// Favorites are personal, so any member can pin or unpin a project for themselves
+router.route("/:projectId/favorite")
+    .put(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, addProjectFavorite)
+    .delete(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, removeProjectFavorite);
+
+router.route("/:projectId/activity")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyProjectMembership, projectActivityQueryValidator(), validate, getProjectActivity);
+
+router.route("/:projectId/export")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyProjectMembership, verifyProjectPermission('project.export'), exportProject);
+
+// Task workflow routes
+router.route("/:projectId/workflow")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyProjectMembership, getProjectWorkflowStatuses)
+    .put(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('workflow.update'), projectWorkflowValidator(), validate, updateProjectWorkflow);
+
+// Owner or workspace admin check happens in the controller
+router.route("/:projectId/transfer-ownership")
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyWorkspaceMembership, transferOwnershipValidator(), validate, transferProjectOwnership);
+
+// Copying routes; the new project is created by a workspace admin who can see the source project
+router.route("/:projectId/clone")
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), projectCopyValidator(), validate, cloneProject);
+
+router.route("/:projectId/template")
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), projectCopyValidator(), validate, createTemplateFromProject);
+
+// Label routes
+router.route("/:projectId/labels")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyProjectMembership, getProjectLabels)
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('label.manage'), labelValidator(), validate, createLabel);
+
+router.route("/:projectId/labels/:labelId")
+    .patch(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('label.manage'), labelValidator(true), validate, updateLabel)
+    .delete(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('label.manage'), deleteLabel);
+
+// Role routes; roles shared by the whole workspace are managed under /api/v1/workspaces
+router.route("/:projectId/roles")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyProjectMembership, getProjectRoles)
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('role.manage'), customRoleValidator(), validate, createProjectRole);
+
+router.route("/:projectId/roles/:roleId")
+    .patch(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('role.manage'), customRoleValidator(true), validate, updateProjectRole)
+    .delete(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('role.manage'), deleteProjectRole);
 
 // Project member management routes
 router.route("/:projectId/members")
-    .post(verifyJWT, verifyRoles(['admin']), addProjectMember)
-    .get(verifyJWT, verifyProjectMembership, getProjectMembers);
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('member.invite'), addProjectMember)
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyProjectMembership, getProjectMembers);
 
 router.route("/:projectId/members/:userId")
-    .put(verifyJWT, verifyProjectMembership, verifyProjectRole(['admin']), updateProjectMemberRole)
-    .delete(verifyJWT, verifyProjectMembership, verifyProjectRole(['admin']), removeProjectMember);
+    .put(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('member.update'), updateProjectMemberRole)
+    .delete(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('member.remove'), removeProjectMember);
+
+// Project invitation management routes
+router.route("/:projectId/invitations")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyProjectMembership, verifyProjectPermission('member.invite'), getProjectInvitations);
+
+router.route("/:projectId/invitations/:invitationId")
+    .delete(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('member.invite'), revokeProjectInvitation);
+
+router.route("/:projectId/invitations/:invitationId/resend")
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyProjectMembership, verifyProjectPermission('member.invite'), resendProjectInvitation);
 
 export default router;
@@ -0,0 +1,25 @@
+import { Router } from "express";
+import {
+    getProjectTemplates,
+    getProjectTemplateById,
+    deleteProjectTemplate,
+    createProjectFromTemplate
+} from "../controllers/projectTemplate.controller.js";
+import { verifyJWT, verifyTokenScope, verifyWorkspaceMembership, verifyWorkspaceRole } from "../middlewares/auth.middlewares.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import { projectCopyValidator } from "../validators/index.js";
+
+const router = Router();
+
+// Templates belong to the current workspace and are used to create projects, so they are managed by workspace admins
+router.route("/")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), getProjectTemplates);
+
+router.route("/:templateId")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), getProjectTemplateById)
+    .delete(verifyJWT, verifyTokenScope('projects:write'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), deleteProjectTemplate);
+
+router.route("/:templateId/projects")
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), projectCopyValidator(), validate, createProjectFromTemplate);
+
+export default router;
@@ -14,7 +14,8 @@ import {
 import { 
     verifyJWT, 
     verifyProjectMembership, 
-    verifyProjectRole 
+    verifyProjectPermission,
+    verifyTokenScope
 } from "../middlewares/auth.middlewares.js";
 import { upload } from "../middlewares/multer.middleware.js";
 
@@ -24,24 +25,27 @@ const router = Router();
 router.route("/:projectId")
     .post(
         verifyJWT, 
+        verifyTokenScope('tasks:write'),
         verifyProjectMembership, 
-        verifyProjectRole(['admin', 'project_admin']), 
+        verifyProjectPermission('task.create'), 
         createTask
     )
-    .get(verifyJWT, verifyProjectMembership, getProjectTasks);
+    .get(verifyJWT, verifyTokenScope('tasks:read'), verifyProjectMembership, getProjectTasks);
 
 router.route("/:projectId/t/:taskId")
-    .get(verifyJWT, verifyProjectMembership, getTaskById)
+    .get(verifyJWT, verifyTokenScope('tasks:read'), verifyProjectMembership, getTaskById)
     .put(
         verifyJWT, 
+        verifyTokenScope('tasks:write'),
         verifyProjectMembership, 
-        verifyProjectRole(['admin', 'project_admin']), 
+        verifyProjectPermission('task.update'), 
         updateTask
     )
     .delete(
         verifyJWT, 
+        verifyTokenScope('tasks:write'),
         verifyProjectMembership, 
-        verifyProjectRole(['admin', 'project_admin']), 
+        verifyProjectPermission('task.delete'), 
         deleteTask
     );
 
@@ -49,21 +53,24 @@ router.route("/:projectId/t/:taskId")
 router.route("/:projectId/t/:taskId/subtasks")
     .post(
         verifyJWT,
+        verifyTokenScope('tasks:write'),
         verifyProjectMembership,
-        verifyProjectRole(['admin', 'project_admin']),
+        verifyProjectPermission('subtask.create'),
         createSubtask
     );
 
 router.route("/:projectId/st/:subtaskId")
     .put(
         verifyJWT,
+        verifyTokenScope('tasks:write'),
         verifyProjectMembership,
         updateSubtask
     )
     .delete(
         verifyJWT,
+        verifyTokenScope('tasks:write'),
         verifyProjectMembership,
-        verifyProjectRole(['admin', 'project_admin']),
+        verifyProjectPermission('subtask.delete'),
         deleteSubtask
     );
 
@@ -71,8 +78,9 @@ router.route("/:projectId/st/:subtaskId")
 router.route("/:projectId/t/:taskId/attachments")
     .post(
         verifyJWT,
+        verifyTokenScope('tasks:write'),
         verifyProjectMembership,
-        verifyProjectRole(['admin', 'project_admin']),
+        verifyProjectPermission('attachment.upload'),
         upload.array('files', 10), // Allow up to 10 files
         uploadTaskAttachments
     );
@@ -80,8 +88,9 @@ router.route("/:projectId/t/:taskId/attachments")
 router.route("/:projectId/t/:taskId/attachments/:attachmentId")
     .delete(
         verifyJWT,
+        verifyTokenScope('tasks:write'),
         verifyProjectMembership,
-        verifyProjectRole(['admin', 'project_admin']),
+        verifyProjectPermission('attachment.delete'),
         deleteTaskAttachment
     );
 
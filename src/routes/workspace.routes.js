@@ -0,0 +1,56 @@
+import { Router } from "express";
+import {
+    createWorkspace,
+    getUserWorkspaces,
+    getWorkspaceById,
+    updateWorkspace,
+    getWorkspaceMembers,
+    addWorkspaceMember,
+    updateWorkspaceMemberRole,
+    removeWorkspaceMember,
+    getWorkspaceInvitations
+} from "../controllers/workspace.controller.js";
+import { getWorkspaceRoles, createWorkspaceRole, updateWorkspaceRole, deleteWorkspaceRole } from "../controllers/role.controller.js";
+import { verifyJWT, verifyRoles, verifyTokenScope, verifyWorkspaceMembership, verifyWorkspaceRole } from "../middlewares/auth.middlewares.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import {
+    workspaceValidator,
+    workspaceMemberValidator,
+    workspaceMemberRoleValidator,
+    workspaceMemberListValidator,
+    customRoleValidator
+} from "../validators/index.js";
+
+const router = Router();
+
+// Workspaces are created by system admins; everything else is managed by the workspace's own admins
+router.route("/")
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyRoles(['admin']), workspaceValidator(), validate, createWorkspace)
+    .get(verifyJWT, verifyTokenScope('projects:read'), getUserWorkspaces);
+
+router.route("/:workspaceId")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyWorkspaceMembership, getWorkspaceById)
+    .patch(verifyJWT, verifyTokenScope('projects:write'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), workspaceValidator(true), validate, updateWorkspace);
+
+// Member routes; listing doubles as the user search of the workspace
+router.route("/:workspaceId/members")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyWorkspaceMembership, workspaceMemberListValidator(), validate, getWorkspaceMembers)
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), workspaceMemberValidator(), validate, addWorkspaceMember);
+
+router.route("/:workspaceId/members/:userId")
+    .patch(verifyJWT, verifyTokenScope('projects:write'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), workspaceMemberRoleValidator(), validate, updateWorkspaceMemberRole)
+    .delete(verifyJWT, verifyTokenScope('projects:write'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), removeWorkspaceMember);
+
+// Custom project roles shared by every project of the workspace
+router.route("/:workspaceId/roles")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyWorkspaceMembership, getWorkspaceRoles)
+    .post(verifyJWT, verifyTokenScope('projects:write'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), customRoleValidator(), validate, createWorkspaceRole);
+
+router.route("/:workspaceId/roles/:roleId")
+    .patch(verifyJWT, verifyTokenScope('projects:write'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), customRoleValidator(true), validate, updateWorkspaceRole)
+    .delete(verifyJWT, verifyTokenScope('projects:write'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), deleteWorkspaceRole);
+
+router.route("/:workspaceId/invitations")
+    .get(verifyJWT, verifyTokenScope('projects:read'), verifyWorkspaceMembership, verifyWorkspaceRole(['admin']), getWorkspaceInvitations);
+
+export default router;
@@ -0,0 +1,50 @@
+/**
+ * Give every project a stored task workflow and move tasks with unknown statuses into it
+ * Projects without a workflow get the default todo / in_progress / done workflow;
+ * tasks whose status is not part of their project's workflow are moved to its first not-started status
+ * Safe to run more than once
+ * Usage: npm run migrate-task-workflows
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { Project } from "../models/project.models.js";
+import { Task } from "../models/task.models.js";
+import { DEFAULT_TASK_WORKFLOW } from "../utils/constants.js";
+import { getInitialStatus, getProjectWorkflow } from "../utils/task-workflow.js";
+
+dotenv.config({
+    path: "./.env",
+});
+
+await connectDB();
+
+try {
+    const { modifiedCount: migratedProjects } = await Project.updateMany(
+        { $or: [{ workflow: { $exists: false } }, { workflow: { $size: 0 } }] },
+        { $set: { workflow: DEFAULT_TASK_WORKFLOW } }
+    );
+
+    console.log(`✅ Added the default workflow to ${migratedProjects} project(s)`);
+
+    let movedTasks = 0;
+
+    for await (const project of Project.find().select("name workflow").lean().cursor()) {
+        const workflow = getProjectWorkflow(project);
+
+        const { modifiedCount } = await Task.updateMany(
+            { project: project._id, status: { $nin: workflow.map(status => status.key) } },
+            { $set: { status: getInitialStatus(workflow) } }
+        );
+
+        if (modifiedCount > 0) {
+            console.log(`Moved ${modifiedCount} task(s) of "${project.name}" to '${getInitialStatus(workflow)}'`);
+            movedTasks += modifiedCount;
+        }
+    }
+
+    console.log(`✅ ${movedTasks} task(s) moved into their project's workflow`);
+} finally {
+    await mongoose.disconnect();
+}
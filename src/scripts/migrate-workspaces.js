@@ -0,0 +1,77 @@
+/**
+ * Move a deployment that predates workspaces into a single default workspace
+ * Creates the "Default workspace" (slug "default") if needed, adds every account to it,
+ * with system admins as workspace admins, and assigns projects, invitations and templates
+ * without a workspace to it
+ * Safe to run more than once; existing memberships keep their role
+ * Usage: npm run migrate-workspaces
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { User } from "../models/user.models.js";
+import { Workspace } from "../models/workspace.models.js";
+import { WorkspaceMember } from "../models/workspaceMember.models.js";
+import { Project } from "../models/project.models.js";
+import { ProjectInvitation } from "../models/projectInvitation.models.js";
+import { ProjectTemplate } from "../models/projectTemplate.models.js";
+import { UserRolesEnum, WorkspaceRolesEnum } from "../utils/constants.js";
+
+dotenv.config({
+    path: "./.env",
+});
+
+await connectDB();
+
+try {
+    const creator = await User.findOne({ role: UserRolesEnum.ADMIN, isDeletedUserPlaceholder: { $ne: true } }).sort({ createdAt: 1 })
+        || await User.findOne({ isDeletedUserPlaceholder: { $ne: true } }).sort({ createdAt: 1 });
+
+    if (!creator) {
+        console.log("No accounts found, nothing to migrate");
+        process.exit(0);
+    }
+
+    let workspace = await Workspace.findOne({ slug: "default" });
+
+    if (!workspace) {
+        workspace = await Workspace.create({
+            name: "Default workspace",
+            slug: "default",
+            description: "Projects created before workspaces were introduced",
+            createdBy: creator._id
+        });
+
+        console.log(`✅ Created workspace "${workspace.name}"`);
+    }
+
+    const users = await User.find({ isDeletedUserPlaceholder: { $ne: true } }).select("role").lean();
+
+    const { upsertedCount } = await WorkspaceMember.bulkWrite(users.map(user => ({
+        updateOne: {
+            filter: { workspace: workspace._id, user: user._id },
+            update: {
+                $setOnInsert: {
+                    role: user.role === UserRolesEnum.ADMIN ? WorkspaceRolesEnum.ADMIN : WorkspaceRolesEnum.MEMBER,
+                    joinedAt: new Date(),
+                    addedBy: creator._id
+                }
+            },
+            upsert: true
+        }
+    })));
+
+    console.log(`✅ Added ${upsertedCount} account(s) to "${workspace.name}"`);
+
+    const withoutWorkspace = { workspace: { $exists: false } };
+    const assignWorkspace = { $set: { workspace: workspace._id } };
+
+    const { modifiedCount: projects } = await Project.updateMany(withoutWorkspace, assignWorkspace);
+    const { modifiedCount: invitations } = await ProjectInvitation.updateMany(withoutWorkspace, assignWorkspace);
+    const { modifiedCount: templates } = await ProjectTemplate.updateMany(withoutWorkspace, assignWorkspace);
+
+    console.log(`✅ Moved ${projects} project(s), ${invitations} invitation(s) and ${templates} template(s) into "${workspace.name}"`);
+} finally {
+    await mongoose.disconnect();
+}
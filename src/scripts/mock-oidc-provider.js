@@ -0,0 +1,156 @@
+/**
+ * Minimal OpenID Connect provider for developing and testing single sign-on locally
+ * Signs users in without a login page: the email comes from the login_hint parameter or MOCK_OIDC_EMAIL
+ * Usage: npm run mock-oidc
+ * Then set OIDC_ISSUER_URL=http://localhost:4000, OIDC_CLIENT_ID=project-camp and
+ * OIDC_REDIRECT_URI=http://localhost:<PORT>/api/v1/auth/oidc/callback in .env
+ */
+
+import http from "http";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+const port = Number(process.env.MOCK_OIDC_PORT || 4000);
+const issuer = `http://localhost:${port}`;
+const clientId = process.env.MOCK_OIDC_CLIENT_ID || "project-camp";
+const clientSecret = process.env.MOCK_OIDC_CLIENT_SECRET;
+const defaultEmail = process.env.MOCK_OIDC_EMAIL || "sso.user@example.com";
+
+const keyId = crypto.randomBytes(8).toString("hex");
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+// Issued authorization codes, valid for one exchange within a minute
+const authorizationCodes = new Map();
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = async (req) => {
+    let body = "";
+    for await (const chunk of req) {
+        body += chunk;
+    }
+    return new URLSearchParams(body);
+};
+
+const authorize = (url, res) => {
+    const params = url.searchParams;
+    const redirectUri = params.get("redirect_uri");
+
+    if (params.get("client_id") !== clientId || !redirectUri) {
+        return sendJson(res, 400, { error: "invalid_request", error_description: "Unknown client or missing redirect_uri" });
+    }
+
+    if (params.get("response_type") !== "code" || params.get("code_challenge_method") !== "S256" || !params.get("code_challenge")) {
+        return sendJson(res, 400, { error: "invalid_request", error_description: "Only the code flow with S256 PKCE is supported" });
+    }
+
+    const email = (params.get("login_hint") || defaultEmail).toLowerCase();
+    const code = crypto.randomBytes(16).toString("hex");
+
+    authorizationCodes.set(code, {
+        redirectUri,
+        codeChallenge: params.get("code_challenge"),
+        nonce: params.get("nonce"),
+        email,
+        expiresAt: Date.now() + 60 * 1000
+    });
+
+    const location = new URL(redirectUri);
+    location.searchParams.set("code", code);
+    location.searchParams.set("state", params.get("state") || "");
+
+    res.writeHead(302, { Location: location.toString() });
+    res.end();
+};
+
+const issueTokens = async (req, res) => {
+    const params = await readBody(req);
+
+    let requestClientId = params.get("client_id");
+    let requestClientSecret = params.get("client_secret");
+
+    const [scheme, credentials] = (req.headers.authorization || "").split(" ");
+    if (scheme === "Basic" && credentials) {
+        const [id, secret] = Buffer.from(credentials, "base64").toString().split(":").map(decodeURIComponent);
+        requestClientId = id;
+        requestClientSecret = secret;
+    }
+
+    if (requestClientId !== clientId || (clientSecret && requestClientSecret !== clientSecret)) {
+        return sendJson(res, 401, { error: "invalid_client" });
+    }
+
+    const code = params.get("code");
+    const grant = authorizationCodes.get(code);
+    authorizationCodes.delete(code);
+
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== params.get("redirect_uri")) {
+        return sendJson(res, 400, { error: "invalid_grant", error_description: "Authorization code is invalid or expired" });
+    }
+
+    const codeChallenge = crypto.createHash("sha256").update(params.get("code_verifier") || "").digest("base64url");
+    if (codeChallenge !== grant.codeChallenge) {
+        return sendJson(res, 400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+    }
+
+    const idToken = jwt.sign(
+        {
+            sub: crypto.createHash("sha256").update(grant.email).digest("hex").slice(0, 24),
+            email: grant.email,
+            email_verified: true,
+            name: grant.email.split("@")[0],
+            preferred_username: grant.email.split("@")[0],
+            nonce: grant.nonce
+        },
+        privateKey,
+        { algorithm: "RS256", keyid: keyId, issuer, audience: clientId, expiresIn: "5m" }
+    );
+
+    sendJson(res, 200, {
+        access_token: crypto.randomBytes(16).toString("hex"),
+        token_type: "Bearer",
+        expires_in: 300,
+        id_token: idToken
+    });
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (req.method === "GET" && url.pathname === "/.well-known/openid-configuration") {
+        return sendJson(res, 200, {
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ["code"],
+            subject_types_supported: ["public"],
+            id_token_signing_alg_values_supported: ["RS256"],
+            code_challenge_methods_supported: ["S256"],
+            token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post", "none"]
+        });
+    }
+
+    if (req.method === "GET" && url.pathname === "/jwks") {
+        return sendJson(res, 200, {
+            keys: [{ ...publicKey.export({ format: "jwk" }), kid: keyId, use: "sig", alg: "RS256" }]
+        });
+    }
+
+    if (req.method === "GET" && url.pathname === "/authorize") {
+        return authorize(url, res);
+    }
+
+    if (req.method === "POST" && url.pathname === "/token") {
+        return issueTokens(req, res);
+    }
+
+    sendJson(res, 404, { error: "not_found" });
+});
+
+server.listen(port, () => {
+    console.log(`⚙️ Mock OIDC provider listening on ${issuer} (client_id: ${clientId})`);
+});
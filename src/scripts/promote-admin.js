@@ -0,0 +1,41 @@
+/**
+ * Promote an existing user to the system admin role
+ * Used to bootstrap the first admin, after which the admin API can manage roles
+ * Usage: npm run promote-admin -- user@example.com
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { User } from "../models/user.models.js";
+import { UserRolesEnum } from "../utils/constants.js";
+
+dotenv.config({
+    path: "./.env",
+});
+
+const email = process.argv[2]?.toLowerCase().trim();
+
+if (!email) {
+    console.error("Usage: npm run promote-admin -- <email>");
+    process.exit(1);
+}
+
+await connectDB();
+
+try {
+    const user = await User.findOneAndUpdate(
+        { email },
+        { $set: { role: UserRolesEnum.ADMIN } },
+        { new: true }
+    );
+
+    if (!user) {
+        console.error(`❌ No user found with email ${email}`);
+        process.exitCode = 1;
+    } else {
+        console.log(`✅ ${user.username} (${user.email}) is now a system admin`);
+    }
+} finally {
+    await mongoose.disconnect();
+}
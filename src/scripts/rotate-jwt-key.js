@@ -0,0 +1,72 @@
+/**
+ * Generate a new access token signing key and make it the active key of the key ring
+ * The previously active key keeps verifying tokens for JWT_KEY_GRACE_PERIOD_HOURS (default 24),
+ * which must be longer than ACCESS_TOKEN_EXPIRY; keys past their grace period are dropped from the ring
+ * Usage: npm run rotate-jwt-key -- [ES256|RS256]
+ */
+
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+dotenv.config({
+    path: "./.env",
+});
+
+const algorithm = (process.argv[2] || "ES256").toUpperCase();
+const keyRingFile = process.env.JWT_KEY_RING_FILE;
+const gracePeriodHours = Number(process.env.JWT_KEY_GRACE_PERIOD_HOURS || 24);
+
+if (!["ES256", "RS256"].includes(algorithm)) {
+    console.error("Usage: npm run rotate-jwt-key -- [ES256|RS256]");
+    process.exit(1);
+}
+
+if (!keyRingFile) {
+    console.error("❌ Set JWT_KEY_RING_FILE in .env to the key ring location, e.g. ./keys/jwt-key-ring.json");
+    process.exit(1);
+}
+
+const resolvedFile = path.resolve(keyRingFile);
+const keyDirectory = path.dirname(resolvedFile);
+
+const keyRing = fs.existsSync(resolvedFile)
+    ? JSON.parse(fs.readFileSync(resolvedFile, "utf8"))
+    : { activeKid: null, keys: [] };
+
+const { privateKey } = algorithm === "ES256"
+    ? crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" })
+    : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+const kid = `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString("hex")}`;
+const privateKeyFile = `${kid}.pem`;
+
+fs.mkdirSync(keyDirectory, { recursive: true });
+fs.writeFileSync(
+    path.join(keyDirectory, privateKeyFile),
+    privateKey.export({ type: "pkcs8", format: "pem" }),
+    { mode: 0o600 }
+);
+
+const now = new Date();
+const notAfter = new Date(now.getTime() + gracePeriodHours * 60 * 60 * 1000).toISOString();
+
+keyRing.keys = keyRing.keys
+    .map((key) => (key.kid === keyRing.activeKid && !key.notAfter ? { ...key, notAfter } : key))
+    .filter((key) => !key.notAfter || new Date(key.notAfter) > now);
+
+keyRing.keys.unshift({ kid, alg: algorithm, privateKeyPath: `./${privateKeyFile}` });
+keyRing.activeKid = kid;
+
+// Written to a temporary file first so the running server never reads a half-written key ring
+const temporaryFile = `${resolvedFile}.tmp`;
+fs.writeFileSync(temporaryFile, JSON.stringify(keyRing, null, 4) + "\n", { mode: 0o600 });
+fs.renameSync(temporaryFile, resolvedFile);
+
+console.log(`✅ Active signing key is now ${kid} (${algorithm})`);
+if (keyRing.keys.length > 1) {
+    console.log(`Previous keys keep verifying tokens until ${notAfter}`);
+} else if (process.env.ACCESS_TOKEN_SECRET && !process.env.ACCESS_TOKEN_SECRET_NOT_AFTER) {
+    console.log(`Tokens signed with ACCESS_TOKEN_SECRET are now rejected. Set ACCESS_TOKEN_SECRET_NOT_AFTER=${notAfter} to keep accepting them during the grace period`);
+}
@@ -0,0 +1,77 @@
+/**
+ * Persistent security audit trail
+ * Records who did what to which resource, from where, into the append-only AuditEvent collection
+ */
+
+import { AuditEvent } from "../models/auditEvent.models.js";
+
+/**
+ * Compute the changed fields between two plain objects
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Object|undefined} { before, after } restricted to changed keys, or undefined when nothing changed
+ */
+export const buildAuditDiff = (before = {}, after = {}) => {
+    const changedBefore = {};
+    const changedAfter = {};
+
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        const previous = before[key] ?? null;
+        const next = after[key] ?? null;
+
+        if (String(previous) !== String(next)) {
+            changedBefore[key] = previous;
+            changedAfter[key] = next;
+        }
+    }
+
+    if (Object.keys(changedAfter).length === 0) {
+        return undefined;
+    }
+
+    return { before: changedBefore, after: changedAfter };
+};
+
+/**
+ * Record an audit event for the current request
+ * Never throws: a failure to write the audit trail is logged but does not fail the user's request
+ * @param {Object|null} req - Express request object, used for actor, IP and endpoint; null for background jobs
+ * @param {Object} event - Event details
+ * @param {String} event.action - Dotted action name, e.g. 'project.member.removed'
+ * @param {String} event.category - One of AuditCategoryEnum
+ * @param {String} [event.outcome] - 'success' (default) or 'failure'
+ * @param {Object} [event.actor] - Acting user when req.user is not set yet (e.g. during login)
+ * @param {Object} [event.target] - { type, id, label } of the affected resource
+ * @param {String} [event.project] - Project the event belongs to
+ * @param {Object} [event.diff] - { before, after } from buildAuditDiff
+ * @param {Object} [event.metadata] - Any additional context
+ */
+export const recordAuditEvent = async (req, event) => {
+    const actor = event.actor || req?.user || null;
+
+    try {
+        await AuditEvent.create({
+            action: event.action,
+            category: event.category,
+            outcome: event.outcome || "success",
+            actor: actor?._id || null,
+            actorEmail: actor?.email,
+            targetType: event.target?.type,
+            targetId: event.target?.id || null,
+            targetLabel: event.target?.label,
+            project: event.project || null,
+            ipAddress: req?.ip,
+            userAgent: req?.get("user-agent"),
+            endpoint: req?.originalUrl,
+            method: req?.method,
+            diff: event.diff,
+            metadata: event.metadata
+        });
+    } catch (error) {
+        console.error("Failed to record audit event", {
+            action: event.action,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
@@ -0,0 +1,66 @@
+/**
+ * Avatar image processing
+ * Normalizes uploaded avatars to a small square WebP and cleans up replaced files
+ */
+
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { ApiError } from "./api-error.js";
+
+const AVATAR_DIRECTORY = "./public/images";
+const AVATAR_SIZE = 256;
+
+/**
+ * Resize an uploaded avatar and replace the original upload with the processed file
+ * The original upload is always removed, even when it turns out not to be a readable image
+ * @param {Object} file - File from multer (req.file)
+ * @param {String} userId - Owner of the avatar, used in the file name
+ * @returns {Promise<Object>} { url, localPath } to store on the user
+ */
+export const processAvatarUpload = async (file, userId) => {
+    const fileName = `avatar-${userId}-${Date.now()}.webp`;
+    const outputPath = path.join(AVATAR_DIRECTORY, fileName);
+
+    try {
+        await sharp(file.path)
+            .rotate()
+            .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: "cover" })
+            .webp({ quality: 80 })
+            .toFile(outputPath);
+    } catch (error) {
+        throw new ApiError(400, "Uploaded file is not a valid image");
+    } finally {
+        await removeAvatarFile(file.path);
+    }
+
+    return {
+        url: `/images/${fileName}`,
+        localPath: outputPath
+    };
+};
+
+/**
+ * Delete an avatar file from disk
+ * Only files inside the avatar directory are removed; missing files are ignored
+ * @param {String} localPath - Path stored on the user's avatar
+ */
+export const removeAvatarFile = async (localPath) => {
+    if (!localPath) {
+        return;
+    }
+
+    const resolvedPath = path.resolve(localPath);
+
+    if (!resolvedPath.startsWith(path.resolve(AVATAR_DIRECTORY) + path.sep)) {
+        return;
+    }
+
+    try {
+        await fs.promises.unlink(resolvedPath);
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            console.error("Error deleting avatar file:", error);
+        }
+    }
+};
@@ -0,0 +1,155 @@
+/**
+ * Brute-force protection for authentication endpoints
+ * Tracks failed attempts per IP and per account, enforcing progressive delays and temporary lockouts
+ */
+
+import { AuthThrottle } from "../models/authThrottle.models.js";
+
+export const ThrottleScopeEnum = {
+    LOGIN: "login",
+    PASSWORD_RESET: "password_reset"
+};
+
+/**
+ * Read throttling limits from the environment
+ * Evaluated lazily because dotenv is configured after modules are imported
+ */
+const getThrottleConfig = () => ({
+    windowMs: Number(process.env.FAILED_ATTEMPT_WINDOW_MINUTES || 15) * 60 * 1000,
+    delayAfter: Number(process.env.FAILED_ATTEMPT_DELAY_AFTER || 3),
+    baseDelayMs: Number(process.env.FAILED_ATTEMPT_BASE_DELAY_MS || 1000),
+    maxDelayMs: Number(process.env.FAILED_ATTEMPT_MAX_DELAY_MS || 60 * 1000),
+    accountLockoutThreshold: Number(process.env.ACCOUNT_LOCKOUT_THRESHOLD || 10),
+    ipLockoutThreshold: Number(process.env.IP_LOCKOUT_THRESHOLD || 50),
+    lockoutDurationMs: Number(process.env.LOCKOUT_DURATION_MINUTES || 15) * 60 * 1000
+});
+
+const buildKey = (scope, subjectType, subject) => `${scope}:${subjectType}:${subject}`;
+
+/**
+ * Build the throttle subjects for a request
+ * @param {String} scope - One of ThrottleScopeEnum
+ * @param {String} ip - Client IP address
+ * @param {String} [account] - Account identifier (normalized email), when known
+ * @returns {Array<Object>} Subjects with their storage keys
+ */
+export const getThrottleSubjects = (scope, ip, account) => {
+    const subjects = [{ scope, subjectType: "ip", subject: ip }];
+
+    if (account) {
+        subjects.push({ scope, subjectType: "account", subject: account.toLowerCase().trim() });
+    }
+
+    return subjects.map((subject) => ({
+        ...subject,
+        key: buildKey(subject.scope, subject.subjectType, subject.subject)
+    }));
+};
+
+/**
+ * Find the most restrictive active throttle among the given subjects
+ * @param {Array<Object>} subjects - Subjects from getThrottleSubjects
+ * @returns {Promise<Object|null>} { retryAfterMs, locked, subjectType } or null when attempts are allowed
+ */
+export const getActiveThrottle = async (subjects) => {
+    const now = new Date();
+
+    const throttles = await AuthThrottle.find({
+        key: { $in: subjects.map((subject) => subject.key) },
+        $or: [
+            { lockedUntil: { $gt: now } },
+            { nextAttemptAt: { $gt: now } }
+        ]
+    }).lean();
+
+    let activeThrottle = null;
+
+    for (const throttle of throttles) {
+        const locked = throttle.lockedUntil > now;
+        const until = locked ? throttle.lockedUntil : throttle.nextAttemptAt;
+        const retryAfterMs = until.getTime() - now.getTime();
+
+        if (!activeThrottle || retryAfterMs > activeThrottle.retryAfterMs) {
+            activeThrottle = { retryAfterMs, locked, subjectType: throttle.subjectType };
+        }
+    }
+
+    return activeThrottle;
+};
+
+/**
+ * Record a failed attempt against every subject and apply delays or lockouts
+ * @param {Array<Object>} subjects - Subjects from getThrottleSubjects
+ * @returns {Promise<Object>} { accountJustLocked } - true when this failure locked the account
+ */
+export const recordFailedAttempt = async (subjects) => {
+    const config = getThrottleConfig();
+    const now = new Date();
+    let accountJustLocked = false;
+
+    for (const subject of subjects) {
+        // Start counting afresh once the window has passed or a previous lockout has ended
+        await AuthThrottle.deleteOne({
+            key: subject.key,
+            $or: [
+                { lastFailedAt: { $lt: new Date(now.getTime() - config.windowMs) } },
+                { lockedUntil: { $lte: now } }
+            ]
+        });
+
+        const throttle = await AuthThrottle.findOneAndUpdate(
+            { key: subject.key },
+            {
+                $inc: { failedCount: 1 },
+                $set: {
+                    lastFailedAt: now,
+                    expiresAt: new Date(now.getTime() + config.windowMs)
+                },
+                $setOnInsert: {
+                    scope: subject.scope,
+                    subjectType: subject.subjectType,
+                    subject: subject.subject
+                }
+            },
+            { upsert: true, new: true }
+        );
+
+        const lockoutThreshold = subject.subjectType === "account"
+            ? config.accountLockoutThreshold
+            : config.ipLockoutThreshold;
+
+        const update = {};
+
+        if (throttle.failedCount >= lockoutThreshold) {
+            update.lockedUntil = new Date(now.getTime() + config.lockoutDurationMs);
+            update.expiresAt = update.lockedUntil;
+
+            if (subject.subjectType === "account" && throttle.failedCount === lockoutThreshold) {
+                accountJustLocked = true;
+            }
+        } else if (throttle.failedCount >= config.delayAfter) {
+            // Exponential delay: 1s, 2s, 4s, ... capped at maxDelayMs
+            const delayMs = Math.min(
+                config.baseDelayMs * 2 ** (throttle.failedCount - config.delayAfter),
+                config.maxDelayMs
+            );
+            update.nextAttemptAt = new Date(now.getTime() + delayMs);
+        }
+
+        if (Object.keys(update).length > 0) {
+            await AuthThrottle.updateOne({ _id: throttle._id }, { $set: update });
+        }
+    }
+
+    return { accountJustLocked };
+};
+
+/**
+ * Clear failed-attempt counters and lockouts
+ * @param {Object} filter - Any of { scope, subjectType, subject }
+ * @returns {Promise<Number>} Number of cleared counters
+ */
+export const clearFailedAttempts = async (filter) => {
+    const result = await AuthThrottle.deleteMany(filter);
+    return result.deletedCount;
+};
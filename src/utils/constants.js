@@ -6,10 +6,154 @@ export const UserRolesEnum = {
 
 export const AvailableUserRole = Object.values(UserRolesEnum);
 
+export const WorkspaceRolesEnum = {
+    ADMIN: "admin",
+    MEMBER: "member"
+}
+
+export const AvailableWorkspaceRoles = Object.values(WorkspaceRolesEnum);
+
+export const ProjectRolesEnum = {
+    ADMIN: "admin",
+    PROJECT_ADMIN: "project_admin",
+    MEMBER: "member"
+}
+
+export const AvailableProjectRoles = Object.values(ProjectRolesEnum);
+
+export const ProjectPermissionsEnum = {
+    PROJECT_UPDATE: "project.update",
+    PROJECT_DELETE: "project.delete",
+    PROJECT_EXPORT: "project.export",
+    WORKFLOW_UPDATE: "workflow.update",
+    MEMBER_INVITE: "member.invite",
+    MEMBER_UPDATE: "member.update",
+    MEMBER_REMOVE: "member.remove",
+    ROLE_MANAGE: "role.manage",
+    TASK_CREATE: "task.create",
+    TASK_UPDATE: "task.update",
+    TASK_DELETE: "task.delete",
+    SUBTASK_CREATE: "subtask.create",
+    SUBTASK_UPDATE: "subtask.update",
+    SUBTASK_DELETE: "subtask.delete",
+    ATTACHMENT_UPLOAD: "attachment.upload",
+    ATTACHMENT_DELETE: "attachment.delete",
+    LABEL_MANAGE: "label.manage",
+    NOTE_CREATE: "note.create",
+    NOTE_UPDATE: "note.update",
+    NOTE_DELETE: "note.delete"
+}
+
+export const AvailableProjectPermissions = Object.values(ProjectPermissionsEnum);
+
+// Roles every project has; custom roles of a project or its workspace are added next to them
+export const BUILT_IN_PROJECT_ROLES = [
+    {
+        key: ProjectRolesEnum.ADMIN,
+        name: "Admin",
+        permissions: AvailableProjectPermissions
+    },
+    {
+        key: ProjectRolesEnum.PROJECT_ADMIN,
+        name: "Project admin",
+        permissions: [
+            ProjectPermissionsEnum.TASK_CREATE,
+            ProjectPermissionsEnum.TASK_UPDATE,
+            ProjectPermissionsEnum.TASK_DELETE,
+            ProjectPermissionsEnum.SUBTASK_CREATE,
+            ProjectPermissionsEnum.SUBTASK_UPDATE,
+            ProjectPermissionsEnum.SUBTASK_DELETE,
+            ProjectPermissionsEnum.ATTACHMENT_UPLOAD,
+            ProjectPermissionsEnum.ATTACHMENT_DELETE,
+            ProjectPermissionsEnum.LABEL_MANAGE
+        ]
+    },
+    {
+        key: ProjectRolesEnum.MEMBER,
+        name: "Member",
+        permissions: []
+    }
+];
+
+// Request header naming the workspace a request works in
+export const WORKSPACE_HEADER = "X-Workspace-Id";
+
 export const TaskStatusEnum = {
     TODO: "todo",
     IN_PROGRESS: "in_progress",
     DONE: "done"
 }
 
-export const AvailableTaskStatus = Object.values(TaskStatusEnum);
\ No newline at end of file
+export const AvailableTaskStatus = Object.values(TaskStatusEnum);
+
+export const TaskStatusCategoryEnum = {
+    NOT_STARTED: "not_started",
+    ACTIVE: "active",
+    CLOSED: "closed"
+}
+
+export const AvailableTaskStatusCategories = Object.values(TaskStatusCategoryEnum);
+
+// Workflow of projects that have not defined their own
+export const DEFAULT_TASK_WORKFLOW = [
+    { key: TaskStatusEnum.TODO, name: "To do", category: TaskStatusCategoryEnum.NOT_STARTED },
+    { key: TaskStatusEnum.IN_PROGRESS, name: "In progress", category: TaskStatusCategoryEnum.ACTIVE },
+    { key: TaskStatusEnum.DONE, name: "Done", category: TaskStatusCategoryEnum.CLOSED }
+];
+
+export const MAX_WORKFLOW_STATUSES = 20;
+
+export const TokenScopesEnum = {
+    PROJECTS_READ: "projects:read",
+    PROJECTS_WRITE: "projects:write",
+    TASKS_READ: "tasks:read",
+    TASKS_WRITE: "tasks:write",
+    NOTES_READ: "notes:read",
+    NOTES_WRITE: "notes:write"
+}
+
+export const AvailableTokenScopes = Object.values(TokenScopesEnum);
+
+export const ActivityEntityTypeEnum = {
+    TASK: "task",
+    SUBTASK: "subtask",
+    NOTE: "note",
+    ATTACHMENT: "attachment",
+    MEMBER: "member"
+}
+
+export const AvailableActivityEntityTypes = Object.values(ActivityEntityTypeEnum);
+
+export const AuditCategoryEnum = {
+    AUTH: "auth",
+    AUTHORIZATION: "authorization",
+    MEMBERSHIP: "membership",
+    ROLE: "role",
+    ADMIN: "admin",
+    DESTRUCTIVE: "destructive"
+}
+
+export const AvailableAuditCategories = Object.values(AuditCategoryEnum);
+
+// Task attachment types and the extension files of each type are stored with
+export const ATTACHMENT_MIME_TYPE_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/jpg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'application/pdf': '.pdf',
+    'application/msword': '.doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+    'application/vnd.ms-excel': '.xls',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+    'application/vnd.ms-powerpoint': '.ppt',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+    'text/plain': '.txt',
+    'application/zip': '.zip',
+    'application/x-zip-compressed': '.zip'
+}
+
+export const AvailableAttachmentMimeTypes = Object.keys(ATTACHMENT_MIME_TYPE_EXTENSIONS);
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10MB
@@ -0,0 +1,198 @@
+/**
+ * Signing key ring for access tokens
+ * With JWT_KEY_RING_FILE set, access tokens are signed with the active RS256/ES256 key and carry its kid;
+ * retired keys keep verifying until their notAfter date so rotation does not log anyone out.
+ * Without a key ring, tokens are signed with the symmetric ACCESS_TOKEN_SECRET as before. Once a key ring is
+ * configured, tokens signed with that secret only verify until ACCESS_TOKEN_SECRET_NOT_AFTER, so the shared
+ * secret is retired like any other key.
+ *
+ * Key ring file format:
+ * {
+ *   "activeKid": "2026-10",
+ *   "keys": [
+ *     { "kid": "2026-10", "alg": "ES256", "privateKeyPath": "./keys/2026-10.pem" },
+ *     { "kid": "2026-04", "alg": "RS256", "publicKeyPath": "./keys/2026-04.pub.pem", "notAfter": "2026-10-20T00:00:00Z" }
+ *   ]
+ * }
+ * Paths are resolved relative to the key ring file.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+const SUPPORTED_ALGORITHMS = {
+    RS256: { keyType: "rsa" },
+    ES256: { keyType: "ec", namedCurve: "prime256v1" }
+};
+
+let keyRingCache = null;
+
+/**
+ * Load one key ring entry and check that the key matches its declared algorithm
+ */
+const loadKey = (entry, baseDir) => {
+    const algorithm = SUPPORTED_ALGORITHMS[entry.alg];
+
+    if (!entry.kid || !algorithm) {
+        throw new Error(`Key ring entry '${entry.kid}' must have a kid and an alg of ${Object.keys(SUPPORTED_ALGORITHMS).join(" or ")}`);
+    }
+
+    let privateKey = null;
+    let publicKey;
+
+    if (entry.privateKeyPath) {
+        privateKey = crypto.createPrivateKey(fs.readFileSync(path.resolve(baseDir, entry.privateKeyPath)));
+        publicKey = crypto.createPublicKey(privateKey);
+    } else if (entry.publicKeyPath) {
+        publicKey = crypto.createPublicKey(fs.readFileSync(path.resolve(baseDir, entry.publicKeyPath)));
+    } else {
+        throw new Error(`Key ring entry '${entry.kid}' needs a privateKeyPath or publicKeyPath`);
+    }
+
+    if (publicKey.asymmetricKeyType !== algorithm.keyType
+        || (algorithm.namedCurve && publicKey.asymmetricKeyDetails?.namedCurve !== algorithm.namedCurve)) {
+        throw new Error(`Key '${entry.kid}' does not match algorithm ${entry.alg}`);
+    }
+
+    return {
+        kid: entry.kid,
+        alg: entry.alg,
+        privateKey,
+        publicKey,
+        notAfter: entry.notAfter ? new Date(entry.notAfter) : null
+    };
+};
+
+/**
+ * Read the key ring, reloading it whenever the file changes so keys can be rotated without a restart
+ * Evaluated lazily because dotenv is configured after modules are imported
+ * @returns {Object|null} { activeKey, keys } or null when no key ring is configured
+ */
+export const getKeyRing = () => {
+    const file = process.env.JWT_KEY_RING_FILE;
+
+    if (!file) {
+        return null;
+    }
+
+    const resolvedFile = path.resolve(file);
+    const modifiedAt = fs.statSync(resolvedFile).mtimeMs;
+
+    if (keyRingCache?.file === resolvedFile && keyRingCache.modifiedAt === modifiedAt) {
+        return keyRingCache.keyRing;
+    }
+
+    const config = JSON.parse(fs.readFileSync(resolvedFile, "utf8"));
+    const keys = (config.keys || []).map((entry) => loadKey(entry, path.dirname(resolvedFile)));
+    const activeKey = keys.find((key) => key.kid === config.activeKid);
+
+    if (!activeKey?.privateKey) {
+        throw new Error(`Key ring ${resolvedFile} has no active key with a private key (activeKid: '${config.activeKid}')`);
+    }
+
+    const keyRing = { activeKey, keys };
+    keyRingCache = { file: resolvedFile, modifiedAt, keyRing };
+
+    return keyRing;
+};
+
+/**
+ * Keys that may still verify tokens: the active key and retired keys within their grace period
+ */
+const getVerificationKeys = (keyRing) => {
+    const now = new Date();
+    return keyRing.keys.filter((key) => key === keyRing.activeKey || !key.notAfter || key.notAfter > now);
+};
+
+/**
+ * Whether tokens signed with ACCESS_TOKEN_SECRET may still be verified
+ * Always while no key ring is configured; with a key ring only before ACCESS_TOKEN_SECRET_NOT_AFTER
+ */
+const isSharedSecretAccepted = (keyRing) => {
+    if (!process.env.ACCESS_TOKEN_SECRET) {
+        return false;
+    }
+
+    if (!keyRing) {
+        return true;
+    }
+
+    const notAfter = new Date(process.env.ACCESS_TOKEN_SECRET_NOT_AFTER);
+
+    return notAfter > new Date();
+};
+
+/**
+ * Sign an access token with the active key, or the symmetric secret when no key ring is configured
+ * @param {Object} payload - Token claims
+ * @param {Object} [options] - jsonwebtoken sign options, e.g. expiresIn
+ * @returns {String} Signed token
+ */
+export const signAccessToken = (payload, options = {}) => {
+    const keyRing = getKeyRing();
+
+    if (!keyRing) {
+        return jwt.sign(payload, process.env.ACCESS_TOKEN_SECRET, options);
+    }
+
+    const { activeKey } = keyRing;
+
+    return jwt.sign(payload, activeKey.privateKey, {
+        ...options,
+        algorithm: activeKey.alg,
+        keyid: activeKey.kid
+    });
+};
+
+/**
+ * Verify an access token
+ * Tokens with a kid are checked against that key only, with its algorithm pinned;
+ * tokens without a kid were issued before the key ring and need ACCESS_TOKEN_SECRET, which stops being
+ * accepted at ACCESS_TOKEN_SECRET_NOT_AFTER once a key ring is configured
+ * Throws the usual jsonwebtoken errors so callers can tell expired from invalid tokens
+ * @param {String} token - Access token
+ * @returns {Object} Decoded claims
+ */
+export const verifyAccessToken = (token) => {
+    const keyRing = getKeyRing();
+    const kid = jwt.decode(token, { complete: true })?.header?.kid;
+
+    if (!kid) {
+        if (!isSharedSecretAccepted(keyRing)) {
+            throw new jwt.JsonWebTokenError(keyRing ? "token was signed with the retired shared secret" : "token has no key id");
+        }
+
+        return jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, { algorithms: ["HS256"] });
+    }
+
+    const key = keyRing && getVerificationKeys(keyRing).find((candidate) => candidate.kid === kid);
+
+    if (!key) {
+        throw new jwt.JsonWebTokenError("token was signed with an unknown or retired key");
+    }
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+};
+
+/**
+ * Public keys for other services to verify access tokens
+ * @returns {Object} JSON Web Key Set
+ */
+export const getPublicJwks = () => {
+    const keyRing = getKeyRing();
+
+    if (!keyRing) {
+        return { keys: [] };
+    }
+
+    return {
+        keys: getVerificationKeys(keyRing).map((key) => ({
+            ...key.publicKey.export({ format: "jwk" }),
+            kid: key.kid,
+            alg: key.alg,
+            use: "sig"
+        }))
+    };
+};
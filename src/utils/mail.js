@@ -75,8 +75,116 @@ const forgotPasswordMailgenContent = (username, passwordResetUrl) => {
     };
 };
 
+const emailChangeVerificationMailgenContent = (username, verificationUrl) => {
+    return {
+        body: {
+            name: username,
+            intro: "We got a request to use this address as the new email of your account.",
+            action: {
+                instructions: "To confirm the change, please verify this email address by clicking the button below:",
+                button: {
+                    color: "#22BC66",
+                    text: "Confirm new email",
+                    link: verificationUrl
+                },
+            },
+            outro: "If you did not request this change, you can ignore this email and your account will not be changed."
+        },
+    };
+};
+
+const emailChangeRequestedMailgenContent = (username, newEmail) => {
+    return {
+        body: {
+            name: username,
+            intro: `We got a request to change the email of your account to ${newEmail}. The change will only take effect once the new address is verified.`,
+            outro: "If this wasn't you, change your password right away and cancel the request from your account settings. Need help? Just reply to this email."
+        },
+    };
+};
+
+const magicLinkMailgenContent = (username, loginUrl) => {
+    return {
+        body: {
+            name: username,
+            intro: "We got a request to sign in to your account without a password.",
+            action: {
+                instructions: "To sign in, click the button below. The link expires in 10 minutes and can only be used once:",
+                button: {
+                    color: "#22BC66",
+                    text: "Sign in",
+                    link: loginUrl
+                },
+            },
+            outro: "If you did not request this link, you can ignore this email."
+        },
+    };
+};
+
+const accountLockedMailgenContent = (username, unlockUrl) => {
+    return {
+        body: {
+            name: username,
+            intro: "We detected several failed login attempts on your account, so it has been temporarily locked.",
+            action: {
+                instructions: "If this was you, click the button below to unlock your account right away:",
+                button: {
+                    color: "#DC4D2F",
+                    text: "Unlock account",
+                    link: unlockUrl
+                },
+            },
+            outro: "If this wasn't you, we recommend resetting your password. Need help? Just reply to this email."
+        },
+    };
+};
+
+const projectInvitationMailgenContent = (inviterName, projectName, role, acceptUrl) => {
+    return {
+        body: {
+            intro: `${inviterName} has invited you to join the project "${projectName}" as ${role}.`,
+            action: {
+                instructions: "To accept the invitation and set up your account, click the button below:",
+                button: {
+                    color: "#22BC66",
+                    text: "Accept invitation",
+                    link: acceptUrl
+                },
+            },
+            outro: "If you were not expecting this invitation, you can ignore this email."
+        },
+    };
+};
+
+const projectOwnershipReceivedMailgenContent = (username, projectName, previousOwnerName) => {
+    return {
+        body: {
+            name: username,
+            intro: `${previousOwnerName} has transferred ownership of the project "${projectName}" to you. You are now its owner and an admin of the project.`,
+            outro: "If you were not expecting this, contact the previous owner or your administrator."
+        },
+    };
+};
+
+const projectOwnershipTransferredMailgenContent = (username, projectName, newOwnerName) => {
+    return {
+        body: {
+            name: username,
+            intro: `Ownership of the project "${projectName}" has been transferred to ${newOwnerName}. Your membership of the project is unchanged.`,
+            outro: "If you did not expect this change, contact your administrator."
+        },
+    };
+};
+
 export {
+    accountLockedMailgenContent,
+    emailChangeRequestedMailgenContent,
+    emailChangeVerificationMailgenContent,
     emailVerificationMailgenContent,
     forgotPasswordMailgenContent,
+    magicLinkMailgenContent,
+    projectInvitationMailgenContent,
+    projectOwnershipReceivedMailgenContent,
+    projectOwnershipTransferredMailgenContent,
     sendEmail
 };
\ No newline at end of file
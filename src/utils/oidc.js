@@ -0,0 +1,248 @@
+/**
+ * OpenID Connect client for single sign-on
+ * Authorization code flow with PKCE against the provider configured in the environment
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ApiError } from "./api-error.js";
+
+const PROVIDER_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const PROVIDER_REQUEST_TIMEOUT = 10 * 1000; // 10 seconds
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"];
+
+let providerCache = null;
+
+/**
+ * Read the OIDC settings from the environment
+ * Evaluated lazily because dotenv is configured after modules are imported
+ * @returns {Object} Provider and client settings
+ */
+export const getOidcConfig = () => {
+    const issuer = process.env.OIDC_ISSUER_URL;
+    const clientId = process.env.OIDC_CLIENT_ID;
+    const redirectUri = process.env.OIDC_REDIRECT_URI;
+
+    if (!issuer || !clientId || !redirectUri) {
+        throw new ApiError(404, "Single sign-on is not configured");
+    }
+
+    return {
+        issuer: issuer.replace(/\/+$/, ""),
+        clientId,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        redirectUri,
+        scopes: process.env.OIDC_SCOPES || "openid email profile",
+        autoProvision: process.env.OIDC_AUTO_PROVISION !== "false"
+    };
+};
+
+/**
+ * Call the provider and parse its JSON answer
+ * Network failures and malformed answers are reported as 502
+ */
+const requestProvider = async (url, options = {}) => {
+    let response;
+
+    try {
+        response = await fetch(url, {
+            ...options,
+            signal: AbortSignal.timeout(PROVIDER_REQUEST_TIMEOUT)
+        });
+    } catch (error) {
+        throw new ApiError(502, "Identity provider is unreachable");
+    }
+
+    const body = await response.json().catch(() => null);
+
+    if (!body) {
+        throw new ApiError(502, "Identity provider returned an invalid response");
+    }
+
+    return { status: response.status, ok: response.ok, body };
+};
+
+/**
+ * Load the provider metadata and signing keys, cached for an hour
+ * @param {Boolean} [forceRefresh] - Bypass the cache, e.g. after the provider rotated its keys
+ * @returns {Promise<Object>} { metadata, keys }
+ */
+const getProvider = async (forceRefresh = false) => {
+    const { issuer } = getOidcConfig();
+
+    if (!forceRefresh && providerCache?.issuer === issuer && Date.now() - providerCache.fetchedAt < PROVIDER_CACHE_TTL) {
+        return providerCache;
+    }
+
+    const discovery = await requestProvider(`${issuer}/.well-known/openid-configuration`);
+
+    if (!discovery.ok || discovery.body.issuer?.replace(/\/+$/, "") !== issuer) {
+        throw new ApiError(502, "Identity provider discovery document is invalid");
+    }
+
+    const jwks = await requestProvider(discovery.body.jwks_uri);
+
+    if (!jwks.ok || !Array.isArray(jwks.body.keys)) {
+        throw new ApiError(502, "Identity provider signing keys could not be loaded");
+    }
+
+    providerCache = {
+        issuer,
+        metadata: discovery.body,
+        keys: jwks.body.keys,
+        fetchedAt: Date.now()
+    };
+
+    return providerCache;
+};
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge
+ * @returns {Object} { codeVerifier, codeChallenge }
+ */
+export const generatePkcePair = () => {
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+    const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+    return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Build the provider authorization URL the user is redirected to
+ * @param {Object} params - { state, nonce, codeChallenge, loginHint }
+ * @returns {Promise<String>} Authorization URL
+ */
+export const buildAuthorizationUrl = async ({ state, nonce, codeChallenge, loginHint }) => {
+    const config = getOidcConfig();
+    const { metadata } = await getProvider();
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: config.clientId,
+        redirect_uri: config.redirectUri,
+        scope: config.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+        ...(loginHint && { login_hint: loginHint })
+    }).toString();
+
+    return url.toString();
+};
+
+/**
+ * Exchange an authorization code for the provider tokens
+ * Confidential clients authenticate with client_secret_basic unless the provider only supports client_secret_post
+ * @param {String} code - Authorization code from the callback
+ * @param {String} codeVerifier - PKCE verifier stored when the login started
+ * @returns {Promise<Object>} Token response, containing at least id_token
+ */
+export const exchangeAuthorizationCode = async (code, codeVerifier) => {
+    const config = getOidcConfig();
+    const { metadata } = await getProvider();
+
+    const params = new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: config.redirectUri,
+        code_verifier: codeVerifier,
+        client_id: config.clientId
+    });
+    const headers = {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Accept: "application/json"
+    };
+
+    if (config.clientSecret) {
+        const authMethods = metadata.token_endpoint_auth_methods_supported || ["client_secret_basic"];
+
+        if (authMethods.includes("client_secret_basic")) {
+            const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+        } else {
+            params.set("client_secret", config.clientSecret);
+        }
+    }
+
+    const { ok, status, body } = await requestProvider(metadata.token_endpoint, {
+        method: "POST",
+        headers,
+        body: params.toString()
+    });
+
+    if (!ok) {
+        throw new ApiError(
+            status >= 500 ? 502 : 401,
+            `Identity provider rejected the authorization code: ${body.error_description || body.error || status}`
+        );
+    }
+
+    if (!body.id_token) {
+        throw new ApiError(502, "Identity provider did not return an ID token");
+    }
+
+    return body;
+};
+
+/**
+ * Find the provider key an ID token was signed with, refreshing the key set once for unknown key IDs
+ * @param {String} kid - Key ID from the token header
+ * @returns {Promise<KeyObject>} Public key
+ */
+const getSigningKey = async (kid) => {
+    const findKey = (keys) => keys.find((key) => (key.use ?? "sig") === "sig" && (!kid || key.kid === kid));
+
+    let jwk = findKey((await getProvider()).keys);
+
+    if (!jwk) {
+        jwk = findKey((await getProvider(true)).keys);
+    }
+
+    if (!jwk) {
+        throw new ApiError(401, "ID token was signed with an unknown key");
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {String} idToken - ID token from the token response
+ * @param {String} nonce - Nonce sent in the authorization request
+ * @returns {Promise<Object>} Verified claims
+ */
+export const verifyIdToken = async (idToken, nonce) => {
+    const config = getOidcConfig();
+    const { metadata } = await getProvider();
+
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded) {
+        throw new ApiError(401, "ID token is malformed");
+    }
+
+    const key = await getSigningKey(decoded.header.kid);
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: metadata.issuer,
+            audience: config.clientId
+        });
+    } catch (error) {
+        throw new ApiError(401, `ID token is invalid: ${error.message}`);
+    }
+
+    if (!nonce || claims.nonce !== nonce) {
+        throw new ApiError(401, "ID token nonce does not match the login request");
+    }
+
+    if (!claims.sub) {
+        throw new ApiError(401, "ID token has no subject");
+    }
+
+    return claims;
+};
@@ -0,0 +1,114 @@
+/**
+ * Password policy
+ * Length and character-class rules, an offline deny list of common and breached passwords,
+ * and the number of previous passwords that cannot be reused
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_DENY_LIST_FILE = fileURLToPath(new URL("../data/common-passwords.txt", import.meta.url));
+
+let denyListCache = null;
+
+/**
+ * Read the policy from the environment
+ * Evaluated lazily because dotenv is configured after modules are imported
+ * Passwords are capped at 72 characters by default because bcrypt ignores anything longer
+ */
+export const getPasswordPolicy = () => ({
+    minLength: Number(process.env.PASSWORD_MIN_LENGTH || 10),
+    maxLength: Number(process.env.PASSWORD_MAX_LENGTH || 72),
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== "false",
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== "false",
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== "false",
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === "true",
+    historyCount: Number(process.env.PASSWORD_HISTORY_COUNT ?? 5),
+    denyListFile: process.env.PASSWORD_DENY_LIST_FILE
+        ? path.resolve(process.env.PASSWORD_DENY_LIST_FILE)
+        : DEFAULT_DENY_LIST_FILE
+});
+
+/**
+ * Load the deny list once per file; lines starting with '#' are comments
+ * A missing file disables the check instead of blocking every registration
+ * @param {String} file - Absolute path of the deny list
+ * @returns {Set<String>} Lowercased denied passwords
+ */
+const getDenyList = (file) => {
+    if (denyListCache?.file === file) {
+        return denyListCache.passwords;
+    }
+
+    let passwords = new Set();
+
+    try {
+        passwords = new Set(
+            fs.readFileSync(file, "utf8")
+                .split(/\r?\n/)
+                .map((line) => line.trim().toLowerCase())
+                .filter((line) => line && !line.startsWith("#"))
+        );
+    } catch (error) {
+        console.error(`Password deny list could not be loaded from ${file}:`, error.message);
+    }
+
+    denyListCache = { file, passwords };
+    return passwords;
+};
+
+/**
+ * Check a password against the policy
+ * @param {String} password - Candidate password
+ * @param {Object} [context] - { username, email } of the account, to reject passwords built from them
+ * @returns {String[]} Human-readable violations, empty when the password is acceptable
+ */
+export const getPasswordPolicyViolations = (password, context = {}) => {
+    const policy = getPasswordPolicy();
+    const violations = [];
+
+    if (typeof password !== "string") {
+        return ["Password must be a string"];
+    }
+
+    if (password.length < policy.minLength) {
+        violations.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+
+    if (password.length > policy.maxLength) {
+        violations.push(`Password cannot exceed ${policy.maxLength} characters`);
+    }
+
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        violations.push("Password must contain a lowercase letter");
+    }
+
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        violations.push("Password must contain an uppercase letter");
+    }
+
+    if (policy.requireNumber && !/[0-9]/.test(password)) {
+        violations.push("Password must contain a number");
+    }
+
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        violations.push("Password must contain a symbol");
+    }
+
+    const normalized = password.toLowerCase();
+
+    if (getDenyList(policy.denyListFile).has(normalized)) {
+        violations.push("Password is too common or has appeared in a data breach");
+    }
+
+    const personalValues = [context.username, context.email?.split("@")[0]]
+        .filter((value) => typeof value === "string" && value.length >= 3)
+        .map((value) => value.toLowerCase());
+
+    if (personalValues.some((value) => normalized.includes(value))) {
+        violations.push("Password must not contain your username or email");
+    }
+
+    return violations;
+};
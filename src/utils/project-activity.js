@@ -0,0 +1,50 @@
+/**
+ * Project activity feed
+ * Records what members changed in a project so others can catch up; unlike the audit trail
+ * it is visible to every project member and is removed with the project
+ */
+
+import { ProjectActivity } from "../models/projectActivity.models.js";
+import { Project } from "../models/project.models.js";
+
+/**
+ * Record an activity entry for the current request and move the project's last activity date forward
+ * Never throws: a failure to write the feed is logged but does not fail the user's request
+ * @param {Object} req - Express request object, used for the actor
+ * @param {Object} activity - Activity details
+ * @param {String} activity.project - Project the change happened in
+ * @param {String} activity.action - Dotted action name, e.g. 'task.created'
+ * @param {String} activity.entityType - One of ActivityEntityTypeEnum
+ * @param {Object} activity.entity - { id, label } of the changed entity
+ * @param {Object} [activity.actor] - Acting user when req.user is not the actor (e.g. accepting an invitation)
+ * @param {Object} [activity.changes] - { before, after } from buildAuditDiff
+ * @param {Object} [activity.metadata] - Any additional context
+ */
+export const recordProjectActivity = async (req, activity) => {
+    const actor = activity.actor || req.user;
+
+    try {
+        await ProjectActivity.create({
+            project: activity.project,
+            actor: actor._id,
+            action: activity.action,
+            entityType: activity.entityType,
+            entityId: activity.entity.id,
+            entityLabel: activity.entity.label,
+            changes: activity.changes,
+            metadata: activity.metadata
+        });
+
+        await Project.updateOne(
+            { _id: activity.project },
+            { $max: { lastActivityAt: new Date() } }
+        );
+    } catch (error) {
+        console.error("Failed to record project activity", {
+            action: activity.action,
+            project: String(activity.project),
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
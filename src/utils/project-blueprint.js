@@ -0,0 +1,225 @@
+/**
+ * Copying project content
+ * A blueprint is a plain snapshot of a project's workflow, labels, tasks (with subtasks), notes and members;
+ * it is taken from a project or a template and turned into a new project in one transaction
+ */
+
+import mongoose from "mongoose";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectMember.models.js";
+import { Task } from "../models/task.models.js";
+import { Subtask } from "../models/subtask.models.js";
+import { Note } from "../models/note.models.js";
+import { Label } from "../models/label.models.js";
+import { retryOperation } from "./retry-handler.js";
+import { withWorkspaceRoles } from "./project-roles.js";
+import { getInitialStatus, getProjectWorkflow } from "./task-workflow.js";
+
+const DEFAULT_COPY_OPTIONS = {
+    tasks: true,
+    subtasks: true,
+    notes: true,
+    members: false
+};
+
+/**
+ * Normalize the include options of a copy request
+ * Subtasks are only copied together with their tasks
+ * @param {Object} [include] - { tasks, subtasks, notes, members } booleans from the validated request body
+ * @returns {Object} Complete include options
+ */
+export const resolveCopyOptions = (include = {}) => {
+    const options = { ...DEFAULT_COPY_OPTIONS };
+
+    for (const key of Object.keys(DEFAULT_COPY_OPTIONS)) {
+        if (include[key] !== undefined) {
+            options[key] = include[key] === true;
+        }
+    }
+
+    options.subtasks = options.subtasks && options.tasks;
+
+    return options;
+};
+
+/**
+ * Take a snapshot of a project's content
+ * @param {String} projectId - Source project
+ * @param {Object} include - Options from resolveCopyOptions
+ * @returns {Promise<Object>} { workflow, labels, tasks, notes, members } with assignees kept for a possible clone
+ */
+export const buildBlueprintFromProject = async (projectId, include) => {
+    const [project, labels] = await Promise.all([
+        Project.findById(projectId).select("workflow").lean(),
+        Label.find({ project: projectId }).select("name color").lean()
+    ]);
+
+    const blueprint = {
+        workflow: getProjectWorkflow(project),
+        labels: labels.map(label => ({ name: label.name, color: label.color })),
+        tasks: [],
+        notes: [],
+        members: []
+    };
+
+    if (include.tasks) {
+        const tasks = await Task.find({ project: projectId })
+            .select("title description assignee labels")
+            .sort({ createdAt: 1 })
+            .lean();
+
+        const subtasks = include.subtasks
+            ? await Subtask.find({ task: { $in: tasks.map(task => task._id) } })
+                .select("task title description")
+                .sort({ createdAt: 1 })
+                .lean()
+            : [];
+
+        blueprint.tasks = tasks.map(task => ({
+            title: task.title,
+            description: task.description,
+            assignee: task.assignee,
+            labels: (task.labels || [])
+                .map(labelId => labels.find(label => label._id.equals(labelId))?.name)
+                .filter(Boolean),
+            subtasks: subtasks
+                .filter(subtask => subtask.task.equals(task._id))
+                .map(subtask => ({ title: subtask.title, description: subtask.description }))
+        }));
+    }
+
+    if (include.notes) {
+        blueprint.notes = await Note.find({ project: projectId })
+            .select("-_id title content")
+            .sort({ createdAt: 1 })
+            .lean();
+    }
+
+    if (include.members) {
+        blueprint.members = await ProjectMember.find({ project: projectId })
+            .select("-_id user role")
+            .lean();
+    }
+
+    return blueprint;
+};
+
+/**
+ * Narrow a template down to the requested parts
+ * @param {Object} template - ProjectTemplate document
+ * @param {Object} include - Options from resolveCopyOptions
+ * @returns {Object} Blueprint
+ */
+export const buildBlueprintFromTemplate = (template, include) => ({
+    workflow: getProjectWorkflow(template),
+    labels: (template.labels || []).map(label => ({ name: label.name, color: label.color })),
+    tasks: include.tasks
+        ? template.tasks.map(task => ({
+            title: task.title,
+            description: task.description,
+            labels: task.labels || [],
+            subtasks: include.subtasks
+                ? task.subtasks.map(subtask => ({ title: subtask.title, description: subtask.description }))
+                : []
+        }))
+        : [],
+    notes: include.notes
+        ? template.notes.map(note => ({ title: note.title, content: note.content }))
+        : [],
+    members: include.members
+        ? template.members.map(member => ({ user: member.user, role: member.role }))
+        : []
+});
+
+/**
+ * Create a project from a blueprint
+ * The creator becomes the owner and an admin member; every task starts in the first not-started
+ * status of the copied workflow and every subtask incomplete. Labels are recreated and reattached by name.
+ * Assignees are only kept when they are members of the new project, and members whose role is specific
+ * to the source project join as members.
+ * @param {Object} params - { name, description, workspace, owner, blueprint }
+ * @returns {Promise<Object>} Created project and the number of copied entities
+ */
+export const createProjectFromBlueprint = async ({ name, description, workspace, owner, blueprint }) => {
+    const blueprintMembers = await withWorkspaceRoles(workspace, blueprint.members);
+
+    return await retryOperation(async () => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            const [project] = await Project.create([{ name, description, workspace, owner, workflow: blueprint.workflow }], { session });
+            const initialStatus = getInitialStatus(blueprint.workflow);
+
+            const members = [
+                { project: project._id, user: owner, role: 'admin', addedBy: owner },
+                ...blueprintMembers
+                    .filter(member => !member.user.equals(owner))
+                    .map(member => ({ project: project._id, user: member.user, role: member.role, addedBy: owner }))
+            ];
+            await ProjectMember.insertMany(members, { session });
+
+            const memberIds = new Set(members.map(member => member.user.toString()));
+
+            const labels = await Label.insertMany(
+                blueprint.labels.map(label => ({ project: project._id, name: label.name, color: label.color, createdBy: owner })),
+                { session }
+            );
+            const labelIdsByName = new Map(labels.map(label => [label.name, label._id]));
+
+            const tasks = await Task.insertMany(
+                blueprint.tasks.map(task => ({
+                    project: project._id,
+                    title: task.title,
+                    description: task.description,
+                    assignee: task.assignee && memberIds.has(task.assignee.toString()) ? task.assignee : null,
+                    status: initialStatus,
+                    labels: (task.labels || []).map(labelName => labelIdsByName.get(labelName)).filter(Boolean),
+                    createdBy: owner
+                })),
+                { session }
+            );
+
+            const subtasks = blueprint.tasks.flatMap((task, index) =>
+                task.subtasks.map(subtask => ({
+                    task: tasks[index]._id,
+                    title: subtask.title,
+                    description: subtask.description,
+                    isCompleted: false,
+                    createdBy: owner
+                }))
+            );
+            await Subtask.insertMany(subtasks, { session });
+
+            await Note.insertMany(
+                blueprint.notes.map(note => ({
+                    project: project._id,
+                    title: note.title,
+                    content: note.content,
+                    createdBy: owner
+                })),
+                { session }
+            );
+
+            await session.commitTransaction();
+
+            return {
+                project,
+                copied: {
+                    tasks: tasks.length,
+                    subtasks: subtasks.length,
+                    notes: blueprint.notes.length,
+                    members: members.length - 1
+                }
+            };
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }, {
+        maxRetries: 3,
+        initialDelay: 100
+    });
+};
@@ -0,0 +1,478 @@
+/**
+ * Portable project bundles
+ * A bundle is a gzipped JSON document with a project's workflow, labels, members (by email), tasks with their
+ * attachment files, subtasks and notes. IDs are never exported: users are matched by email on import
+ * and every document gets a new ID, so a bundle can move a project between deployments.
+ */
+
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import crypto from "crypto";
+import { promisify } from "util";
+import mongoose from "mongoose";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectMember.models.js";
+import { Task } from "../models/task.models.js";
+import { Subtask } from "../models/subtask.models.js";
+import { Note } from "../models/note.models.js";
+import { User } from "../models/user.models.js";
+import { Label } from "../models/label.models.js";
+import { WorkspaceMember } from "../models/workspaceMember.models.js";
+import { ApiError } from "./api-error.js";
+import { retryOperation } from "./retry-handler.js";
+import { withWorkspaceRoles } from "./project-roles.js";
+import { ATTACHMENT_MIME_TYPE_EXTENSIONS, MAX_ATTACHMENT_SIZE } from "./constants.js";
+import { findWorkflowStatus, getClosedStatusKeys, getInitialStatus, getProjectWorkflow, getWorkflowViolations } from "./task-workflow.js";
+
+export const PROJECT_BUNDLE_FORMAT = "project-camp.project-bundle";
+export const PROJECT_BUNDLE_VERSION = 1;
+
+const ATTACHMENT_DIRECTORY = "./public/images";
+
+// Upper bound for the decompressed bundle, so a small upload cannot expand without limit
+const MAX_BUNDLE_JSON_BYTES = 64 * 1024 * 1024;
+
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Serialize a project into a gzipped bundle
+ * Attachment files missing from disk are listed without data instead of failing the export
+ * @param {String} projectId - Project to export
+ * @returns {Promise<Object>} { buffer, project, counts }
+ */
+export const buildProjectBundle = async (projectId) => {
+    const project = await Project.findById(projectId)
+        .select("name description workflow owner")
+        .populate('owner', 'email')
+        .lean();
+
+    const [memberships, tasks, notes, labels] = await Promise.all([
+        ProjectMember.find({ project: projectId })
+            .select("user role")
+            .populate('user', 'email isDeletedUserPlaceholder')
+            .lean(),
+        Task.find({ project: projectId })
+            .populate('assignee', 'email')
+            .populate('createdBy', 'email')
+            .sort({ createdAt: 1 })
+            .lean(),
+        Note.find({ project: projectId })
+            .populate('createdBy', 'email')
+            .sort({ createdAt: 1 })
+            .lean(),
+        Label.find({ project: projectId })
+            .select("name color")
+            .lean()
+    ]);
+
+    const subtasks = await Subtask.find({ task: { $in: tasks.map(task => task._id) } })
+        .populate('createdBy', 'email')
+        .sort({ createdAt: 1 })
+        .lean();
+
+    const readAttachment = async (attachment) => {
+        const exported = {
+            fileName: path.basename(attachment.url || attachment.localPath || ""),
+            mimetype: attachment.mimetype,
+            size: attachment.size
+        };
+
+        try {
+            exported.data = (await fs.promises.readFile(attachment.localPath)).toString("base64");
+        } catch (error) {
+            exported.missing = true;
+        }
+
+        return exported;
+    };
+
+    const exportedTasks = [];
+    for (const task of tasks) {
+        const attachments = [];
+        for (const attachment of task.attachments || []) {
+            attachments.push(await readAttachment(attachment));
+        }
+
+        exportedTasks.push({
+            title: task.title,
+            description: task.description,
+            status: task.status,
+            completedAt: task.completedAt || null,
+            labels: (task.labels || [])
+                .map(labelId => labels.find(label => label._id.equals(labelId))?.name)
+                .filter(Boolean),
+            assigneeEmail: task.assignee?.email || null,
+            createdByEmail: task.createdBy?.email || null,
+            attachments,
+            subtasks: subtasks
+                .filter(subtask => subtask.task.equals(task._id))
+                .map(subtask => ({
+                    title: subtask.title,
+                    description: subtask.description,
+                    isCompleted: subtask.isCompleted,
+                    createdByEmail: subtask.createdBy?.email || null
+                }))
+        });
+    }
+
+    const bundle = {
+        format: PROJECT_BUNDLE_FORMAT,
+        version: PROJECT_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        project: {
+            name: project.name,
+            description: project.description,
+            ownerEmail: project.owner?.email || null,
+            workflow: getProjectWorkflow(project)
+        },
+        labels: labels.map(label => ({ name: label.name, color: label.color })),
+        members: memberships
+            .filter(membership => membership.user && !membership.user.isDeletedUserPlaceholder)
+            .map(membership => ({ email: membership.user.email, role: membership.role })),
+        tasks: exportedTasks,
+        notes: notes.map(note => ({
+            title: note.title,
+            content: note.content,
+            createdByEmail: note.createdBy?.email || null
+        }))
+    };
+
+    return {
+        buffer: zlib.gzipSync(JSON.stringify(bundle)),
+        project,
+        counts: {
+            labels: labels.length,
+            members: bundle.members.length,
+            tasks: exportedTasks.length,
+            subtasks: subtasks.length,
+            notes: notes.length,
+            attachments: exportedTasks.reduce((count, task) => count + task.attachments.length, 0)
+        }
+    };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isOptionalString = (value) => value === undefined || value === null || typeof value === "string";
+
+const isOptionalArrayOf = (value, isValidItem) => value === undefined || value === null
+    || (Array.isArray(value) && value.every(isValidItem));
+
+const hasText = (value) => typeof value === "string" && value.trim().length > 0;
+
+const isOptionalDate = (value) => value === undefined || value === null
+    || (typeof value === "string" && !Number.isNaN(Date.parse(value)));
+
+const isValidBundleAttachment = (attachment) => isPlainObject(attachment)
+    && isOptionalString(attachment.fileName)
+    && isOptionalString(attachment.mimetype)
+    && isOptionalString(attachment.data);
+
+const isValidBundleSubtask = (subtask) => isPlainObject(subtask)
+    && hasText(subtask.title)
+    && isOptionalString(subtask.description)
+    && isOptionalString(subtask.createdByEmail);
+
+const isValidBundleTask = (task) => isPlainObject(task)
+    && hasText(task.title)
+    && isOptionalString(task.description)
+    && isOptionalString(task.status)
+    && isOptionalDate(task.completedAt)
+    && isOptionalString(task.assigneeEmail)
+    && isOptionalString(task.createdByEmail)
+    && isOptionalArrayOf(task.labels, (label) => typeof label === "string")
+    && isOptionalArrayOf(task.attachments, isValidBundleAttachment)
+    && isOptionalArrayOf(task.subtasks, isValidBundleSubtask);
+
+const isValidBundleNote = (note) => isPlainObject(note)
+    && hasText(note.title)
+    && isOptionalString(note.content)
+    && isOptionalString(note.createdByEmail);
+
+const isValidBundleMember = (member) => isPlainObject(member)
+    && isOptionalString(member.email)
+    && isOptionalString(member.role);
+
+const isValidBundleLabel = (label) => isPlainObject(label)
+    && isOptionalString(label.name)
+    && isOptionalString(label.color);
+
+/**
+ * Decompress and check an uploaded bundle
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<Object>} Parsed bundle
+ */
+export const readProjectBundle = async (buffer) => {
+    let bundle;
+
+    try {
+        bundle = JSON.parse((await gunzip(buffer, { maxOutputLength: MAX_BUNDLE_JSON_BYTES })).toString("utf8"));
+    } catch (error) {
+        throw new ApiError(400, "The file is not a valid project bundle");
+    }
+
+    if (bundle?.format !== PROJECT_BUNDLE_FORMAT) {
+        throw new ApiError(400, "The file is not a valid project bundle");
+    }
+
+    if (bundle.version !== PROJECT_BUNDLE_VERSION) {
+        throw new ApiError(400, `Unsupported project bundle version ${bundle.version}; expected ${PROJECT_BUNDLE_VERSION}`);
+    }
+
+    // Every entry is checked up front so a malformed bundle is rejected instead of failing halfway through the import
+    const isComplete = isPlainObject(bundle.project)
+        && hasText(bundle.project.name)
+        && isOptionalString(bundle.project.description)
+        && Array.isArray(bundle.members) && bundle.members.every(isValidBundleMember)
+        && Array.isArray(bundle.tasks) && bundle.tasks.every(isValidBundleTask)
+        && Array.isArray(bundle.notes) && bundle.notes.every(isValidBundleNote)
+        && isOptionalArrayOf(bundle.labels, isValidBundleLabel);
+
+    if (!isComplete) {
+        throw new ApiError(400, "The project bundle is incomplete");
+    }
+
+    return bundle;
+};
+
+/**
+ * Write the attachment files of a bundle under new names
+ * Files are served from the public directory, so only the types and sizes task uploads accept are written,
+ * with the extension of their type rather than the one in the bundle
+ * @returns {Promise<Object>} { attachmentsPerTask, skippedCount } with attachments per task, in bundle order
+ */
+const writeBundleAttachments = async (tasks, writtenFiles) => {
+    const attachmentsPerTask = [];
+    let skippedCount = 0;
+
+    for (const task of tasks) {
+        const attachments = [];
+
+        for (const attachment of task.attachments || []) {
+            if (attachment.missing || typeof attachment.data !== "string") {
+                continue;
+            }
+
+            const extension = Object.hasOwn(ATTACHMENT_MIME_TYPE_EXTENSIONS, attachment.mimetype)
+                ? ATTACHMENT_MIME_TYPE_EXTENSIONS[attachment.mimetype]
+                : null;
+
+            // The size is estimated from the encoded length first so oversized files are never decoded
+            if (!extension || Math.floor(attachment.data.length * 3 / 4) > MAX_ATTACHMENT_SIZE + 2) {
+                skippedCount++;
+                continue;
+            }
+
+            const data = Buffer.from(attachment.data, "base64");
+
+            if (data.length > MAX_ATTACHMENT_SIZE) {
+                skippedCount++;
+                continue;
+            }
+
+            const fileName = `attachments-${Date.now()}-${crypto.randomInt(1e9)}${extension}`;
+            const localPath = path.join(ATTACHMENT_DIRECTORY, fileName);
+
+            await fs.promises.writeFile(localPath, data);
+            writtenFiles.push(localPath);
+
+            attachments.push({
+                url: `/images/${fileName}`,
+                localPath,
+                mimetype: attachment.mimetype,
+                size: data.length
+            });
+        }
+
+        attachmentsPerTask.push(attachments);
+    }
+
+    return { attachmentsPerTask, skippedCount };
+};
+
+/**
+ * Recreate a project from a bundle in a workspace
+ * The importer becomes the owner and an admin; other members, assignees and authors are matched by email
+ * among the workspace members. Unmatched members are reported and skipped, unmatched assignees are cleared
+ * and unmatched authors are attributed to the importer. Statuses outside the bundled workflow fall back
+ * to its initial status.
+ * @param {Object} bundle - Bundle from readProjectBundle
+ * @param {Object} importer - User running the import
+ * @param {Object} workspace - Workspace the project is created in
+ * @returns {Promise<Object>} { project, counts, unmatchedMembers }
+ */
+export const importProjectBundle = async (bundle, importer, workspace) => {
+    const workflow = getWorkflowViolations(bundle.project.workflow).length === 0
+        ? getProjectWorkflow(bundle.project)
+        : getProjectWorkflow(null);
+    const initialStatus = getInitialStatus(workflow);
+    const closedKeys = getClosedStatusKeys(workflow);
+
+    const emails = new Set([
+        ...bundle.members.map(member => member.email),
+        ...bundle.tasks.flatMap(task => [
+            task.assigneeEmail,
+            task.createdByEmail,
+            ...(task.subtasks || []).map(subtask => subtask.createdByEmail)
+        ]),
+        ...bundle.notes.map(note => note.createdByEmail)
+    ].filter(email => typeof email === "string").map(email => email.toLowerCase()));
+
+    const users = await User.find({
+        email: { $in: [...emails] },
+        isDeletedUserPlaceholder: { $ne: true }
+    }).select("email isSuspended").lean();
+
+    const workspaceUserIds = await WorkspaceMember.find({
+        workspace: workspace._id,
+        user: { $in: users.map(user => user._id) }
+    }).distinct("user");
+
+    const isInWorkspace = (user) => workspaceUserIds.some(userId => userId.equals(user._id));
+
+    // People outside the workspace are treated like unknown accounts
+    const userByEmail = new Map(users.map(user => [user.email, user]));
+    const findAccount = (email) => (typeof email === "string" ? userByEmail.get(email.toLowerCase()) : undefined);
+    const findUser = (email) => {
+        const user = findAccount(email);
+        return user && isInWorkspace(user) ? user : undefined;
+    };
+
+    const unmatchedMembers = [];
+    const members = [];
+
+    for (const member of bundle.members) {
+        const user = findAccount(member.email);
+
+        if (!user) {
+            unmatchedMembers.push({ email: member.email, role: member.role, reason: "not_found" });
+        } else if (!isInWorkspace(user)) {
+            unmatchedMembers.push({ email: member.email, role: member.role, reason: "not_in_workspace" });
+        } else if (user.isSuspended) {
+            unmatchedMembers.push({ email: member.email, role: member.role, reason: "suspended" });
+        } else if (!user._id.equals(importer._id) && typeof member.role === "string") {
+            members.push({ user: user._id, role: member.role });
+        }
+    }
+
+    // Custom roles only carry over when the workspace defines a role with the same key
+    const importedMembers = await withWorkspaceRoles(workspace._id, members);
+
+    const memberIds = new Set([importer._id.toString(), ...members.map(member => member.user.toString())]);
+    const authorOf = (email) => findUser(email)?._id || importer._id;
+
+    // Files are written before the transaction and removed again if it fails
+    const writtenFiles = [];
+
+    try {
+        const { attachmentsPerTask, skippedCount } = await writeBundleAttachments(bundle.tasks, writtenFiles);
+
+        return await retryOperation(async () => {
+            const session = await mongoose.startSession();
+            session.startTransaction();
+
+            try {
+                const [project] = await Project.create([{
+                    name: bundle.project.name.trim(),
+                    description: bundle.project.description?.trim() || "",
+                    workspace: workspace._id,
+                    owner: importer._id,
+                    workflow
+                }], { session });
+
+                await ProjectMember.insertMany([
+                    { project: project._id, user: importer._id, role: 'admin', addedBy: importer._id },
+                    ...importedMembers.map(member => ({ ...member, project: project._id, addedBy: importer._id }))
+                ], { session });
+
+                // Label names are unique per project ignoring case, so repeated names collapse into one label
+                const bundleLabels = (bundle.labels || []).filter((label, index, all) =>
+                    typeof label?.name === "string"
+                    && all.findIndex(other => other?.name?.toLowerCase() === label.name.toLowerCase()) === index
+                );
+                const labels = await Label.insertMany(
+                    bundleLabels.map(label => ({ project: project._id, name: label.name, color: label.color, createdBy: importer._id })),
+                    { session }
+                );
+                const labelIdsByName = new Map(labels.map(label => [label.name.toLowerCase(), label._id]));
+
+                const tasks = await Task.insertMany(
+                    bundle.tasks.map((task, index) => {
+                        const assignee = findUser(task.assigneeEmail);
+                        const status = findWorkflowStatus(workflow, task.status)?.key || initialStatus;
+                        const isClosed = closedKeys.includes(status);
+
+                        return {
+                            project: project._id,
+                            title: task.title,
+                            description: task.description,
+                            status,
+                            completedAt: isClosed ? new Date(task.completedAt || Date.now()) : null,
+                            labels: [...new Set((task.labels || [])
+                                .map(labelName => labelIdsByName.get(String(labelName).toLowerCase()))
+                                .filter(Boolean))],
+                            assignee: assignee && memberIds.has(assignee._id.toString()) ? assignee._id : null,
+                            attachments: attachmentsPerTask[index],
+                            createdBy: authorOf(task.createdByEmail)
+                        };
+                    }),
+                    { session }
+                );
+
+                const subtasks = await Subtask.insertMany(
+                    bundle.tasks.flatMap((task, index) => (task.subtasks || []).map(subtask => ({
+                        task: tasks[index]._id,
+                        title: subtask.title,
+                        description: subtask.description,
+                        isCompleted: subtask.isCompleted === true,
+                        createdBy: authorOf(subtask.createdByEmail)
+                    }))),
+                    { session }
+                );
+
+                await Note.insertMany(
+                    bundle.notes.map(note => ({
+                        project: project._id,
+                        title: note.title,
+                        content: note.content,
+                        createdBy: authorOf(note.createdByEmail)
+                    })),
+                    { session }
+                );
+
+                await session.commitTransaction();
+
+                return {
+                    project,
+                    counts: {
+                        labels: labels.length,
+                        members: members.length,
+                        tasks: tasks.length,
+                        subtasks: subtasks.length,
+                        notes: bundle.notes.length,
+                        attachments: writtenFiles.length,
+                        skippedAttachments: skippedCount
+                    },
+                    unmatchedMembers
+                };
+            } catch (error) {
+                await session.abortTransaction();
+                throw error;
+            } finally {
+                session.endSession();
+            }
+        }, {
+            maxRetries: 3,
+            initialDelay: 100
+        });
+    } catch (error) {
+        await Promise.all(writtenFiles.map(file => fs.promises.unlink(file).catch(() => {})));
+
+        if (error.name === "ValidationError") {
+            throw new ApiError(400, `The project bundle contains invalid data: ${error.message}`);
+        }
+
+        throw error;
+    }
+};
@@ -0,0 +1,168 @@
+/**
+ * Permanent deletion of trashed projects
+ * Deleting a project only moves it to the trash; the cascade below runs once its retention window expires
+ */
+
+import mongoose from "mongoose";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectMember.models.js";
+import { ProjectInvitation } from "../models/projectInvitation.models.js";
+import { Task } from "../models/task.models.js";
+import { Subtask } from "../models/subtask.models.js";
+import { Note } from "../models/note.models.js";
+import { Label } from "../models/label.models.js";
+import { Role } from "../models/role.models.js";
+import { ProjectActivity } from "../models/projectActivity.models.js";
+import { retryOperation } from "./retry-handler.js";
+import { buildAuditDiff, recordAuditEvent } from "./audit-log.js";
+import { AuditCategoryEnum } from "./constants.js";
+
+let purgeTimer = null;
+
+/**
+ * Read the trash settings from the environment
+ * Evaluated lazily because dotenv is configured after modules are imported
+ */
+export const getProjectTrashConfig = () => ({
+    retentionDays: Number(process.env.PROJECT_TRASH_RETENTION_DAYS || 30),
+    purgeIntervalMinutes: Number(process.env.PROJECT_PURGE_INTERVAL_MINUTES || 60)
+});
+
+/**
+ * Permanently delete a project and everything that belongs to it in one transaction
+ * The project is deleted first and only while it is still in the trash past its retention window,
+ * so a project restored after it was selected for purging is left untouched
+ * @param {String} projectId - ID of the project to purge
+ * @returns {Promise<Boolean>} Whether the project was purged
+ */
+export const purgeProject = async (projectId) => {
+    // Use retry logic to handle transient transaction errors
+    return await retryOperation(async () => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            // 1. Delete the project itself, unless it has been restored in the meantime
+            const { deletedCount } = await Project.deleteOne({
+                _id: projectId,
+                deletedAt: { $ne: null },
+                purgeAfter: { $lte: new Date() }
+            }).session(session);
+
+            if (deletedCount === 0) {
+                await session.abortTransaction();
+                return false;
+            }
+
+            // Get all tasks for this project
+            const tasks = await Task.find({ project: projectId }).session(session);
+            const taskIds = tasks.map(task => task._id);
+
+            // Cascade deletion in proper order:
+            // 2. Delete all subtasks associated with tasks in this project
+            await Subtask.deleteMany({ task: { $in: taskIds } }).session(session);
+
+            // 3. Delete all tasks in this project
+            await Task.deleteMany({ project: projectId }).session(session);
+
+            // 4. Delete all notes in this project
+            await Note.deleteMany({ project: projectId }).session(session);
+
+            // 5. Delete all project memberships
+            await ProjectMember.deleteMany({ project: projectId }).session(session);
+
+            // 6. Delete all invitations to this project
+            await ProjectInvitation.deleteMany({ project: projectId }).session(session);
+
+            // 7. Delete all labels of this project
+            await Label.deleteMany({ project: projectId }).session(session);
+
+            // 8. Delete the roles defined only for this project
+            await Role.deleteMany({ project: projectId }).session(session);
+
+            // 9. Delete the activity feed of this project
+            await ProjectActivity.deleteMany({ project: projectId }).session(session);
+
+            await session.commitTransaction();
+            return true;
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }, {
+        maxRetries: 3,
+        initialDelay: 100
+    });
+};
+
+/**
+ * Purge every trashed project whose retention window has expired
+ * Failures are logged per project so one broken project does not block the others
+ * @returns {Promise<Number>} Number of purged projects
+ */
+export const purgeExpiredProjects = async () => {
+    const expiredProjects = await Project.find({
+        deletedAt: { $ne: null },
+        purgeAfter: { $lte: new Date() }
+    }).select("name description owner deletedAt deletedBy").lean();
+
+    let purgedCount = 0;
+
+    for (const project of expiredProjects) {
+        try {
+            // Projects restored since they were selected are skipped
+            if (!(await purgeProject(project._id))) {
+                continue;
+            }
+
+            purgedCount++;
+
+            await recordAuditEvent(null, {
+                action: "project.purged",
+                category: AuditCategoryEnum.DESTRUCTIVE,
+                target: { type: "Project", id: project._id, label: project.name },
+                project: project._id,
+                diff: buildAuditDiff({ name: project.name, description: project.description, owner: project.owner }, {}),
+                metadata: { deletedAt: project.deletedAt, deletedBy: project.deletedBy }
+            });
+        } catch (error) {
+            console.error("Failed to purge project", {
+                projectId: project._id.toString(),
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    return purgedCount;
+};
+
+/**
+ * Run the purge on an interval for the lifetime of the process
+ * The timer does not keep the process alive on shutdown
+ */
+export const startProjectPurgeJob = () => {
+    if (purgeTimer) {
+        return;
+    }
+
+    const { purgeIntervalMinutes } = getProjectTrashConfig();
+
+    const runPurge = async () => {
+        try {
+            const purgedCount = await purgeExpiredProjects();
+            if (purgedCount > 0) {
+                console.log(`Purged ${purgedCount} expired project(s) from the trash`);
+            }
+        } catch (error) {
+            console.error("Project purge job failed:", error);
+        }
+    };
+
+    purgeTimer = setInterval(runPurge, purgeIntervalMinutes * 60 * 1000);
+    purgeTimer.unref();
+
+    runPurge();
+};
@@ -0,0 +1,141 @@
+/**
+ * Project roles and their permissions
+ * Every project has the built-in admin, project_admin and member roles; workspaces and projects
+ * can add custom roles, each a named set of permissions. Memberships and invitations store the role key.
+ */
+
+import { Role } from "../models/role.models.js";
+import { ApiError } from "./api-error.js";
+import { BUILT_IN_PROJECT_ROLES, ProjectRolesEnum } from "./constants.js";
+
+const toRoleSummary = (role) => ({
+    _id: role._id,
+    key: role.key,
+    name: role.name,
+    description: role.description,
+    permissions: [...role.permissions],
+    project: role.project,
+    isBuiltIn: false
+});
+
+/**
+ * Roles that can be given to members of a project: the built-in roles, then the custom roles
+ * of its workspace and of the project itself
+ * @param {Object} project - Project document or lean object with _id and workspace
+ * @returns {Promise<Array<Object>>} Roles { key, name, permissions, isBuiltIn, ... }
+ */
+export const getAvailableProjectRoles = async (project) => {
+    const customRoles = await Role.find({
+        workspace: project.workspace,
+        project: { $in: [null, project._id] }
+    })
+        .sort({ name: 1 })
+        .lean();
+
+    return [
+        ...BUILT_IN_PROJECT_ROLES.map(role => ({ ...role, permissions: [...role.permissions], isBuiltIn: true })),
+        ...customRoles.map(toRoleSummary)
+    ];
+};
+
+/**
+ * Look up a role of a project by its key
+ * @param {Object} project - Project document or lean object with _id and workspace
+ * @param {String} key - Role key from a membership or invitation
+ * @returns {Promise<Object|null>} Role or null when the key names no role available in the project
+ */
+export const resolveProjectRole = async (project, key) => {
+    const builtInRole = BUILT_IN_PROJECT_ROLES.find(role => role.key === key);
+
+    if (builtInRole) {
+        return { ...builtInRole, permissions: [...builtInRole.permissions], isBuiltIn: true };
+    }
+
+    if (typeof key !== "string") {
+        return null;
+    }
+
+    const customRole = await Role.findOne({
+        workspace: project.workspace,
+        project: { $in: [null, project._id] },
+        key
+    }).lean();
+
+    return customRole ? toRoleSummary(customRole) : null;
+};
+
+/**
+ * Keep the projects in which a user's membership role grants a permission
+ * Resolves built-in and custom roles for many projects with a single role query
+ * @param {Array<Object>} projects - Projects with _id and workspace
+ * @param {Array<Object>} memberships - The user's memberships { project, role }
+ * @param {String} permission - Permission required, e.g. 'project.delete'
+ * @returns {Promise<Array<Object>>} Projects whose membership role has the permission
+ */
+export const filterProjectsByPermission = async (projects, memberships, permission) => {
+    const customRoles = await Role.find({
+        workspace: { $in: [...new Set(projects.map(project => project.workspace.toString()))] },
+        permissions: permission
+    }).lean();
+
+    return projects.filter(project => {
+        const key = memberships.find(membership => membership.project.equals(project._id))?.role;
+        const builtInRole = BUILT_IN_PROJECT_ROLES.find(role => role.key === key);
+
+        if (builtInRole) {
+            return builtInRole.permissions.includes(permission);
+        }
+
+        return customRoles.some(role => role.key === key
+            && role.workspace.equals(project.workspace)
+            && (!role.project || role.project.equals(project._id)));
+    });
+};
+
+/**
+ * Ensure a role key can be given to members of a project
+ * @throws {ApiError} 400 listing the available role keys
+ */
+export const assertAssignableProjectRole = async (project, key) => {
+    const role = await resolveProjectRole(project, key);
+
+    if (!role) {
+        const roles = await getAvailableProjectRoles(project);
+        throw new ApiError(400, `Invalid role. Must be one of: ${roles.map(availableRole => availableRole.key).join(', ')}`);
+    }
+
+    return role;
+};
+
+/**
+ * Ensure a caller only hands out permissions their own project role has, so member.update,
+ * member.invite and role.manage cannot be used to escalate
+ * @param {Array<String>} permissions - Permissions of the role being given or defined
+ * @param {Array<String>} callerPermissions - Permissions of the caller's own role
+ * @param {String} [message] - Reason given before the list of missing permissions
+ * @throws {ApiError} 403 listing the permissions the caller does not have
+ */
+export const assertPermissionsWithinCaller = (permissions, callerPermissions, message = "You cannot grant permissions your own role does not have") => {
+    const missing = permissions.filter(permission => !callerPermissions.includes(permission));
+
+    if (missing.length > 0) {
+        throw new ApiError(403, `${message}: ${missing.join(', ')}`);
+    }
+};
+
+/**
+ * Replace role keys that are not available in a workspace's projects with member
+ * Used when members are copied into a new project, where roles of the source project do not exist
+ * @param {Object} workspace - Workspace ID of the new project
+ * @param {Array<Object>} members - Members { user, role }
+ * @returns {Promise<Array<Object>>} Members with usable roles
+ */
+export const withWorkspaceRoles = async (workspace, members) => {
+    const workspaceRoleKeys = await Role.find({ workspace, project: null }).distinct("key");
+    const usableKeys = [...BUILT_IN_PROJECT_ROLES.map(role => role.key), ...workspaceRoleKeys];
+
+    return members.map(member => ({
+        ...member,
+        role: usableKeys.includes(member.role) ? member.role : ProjectRolesEnum.MEMBER
+    }));
+};
@@ -0,0 +1,89 @@
+/**
+ * Per-project task workflows
+ * Each project has an ordered list of statuses, each in a category: not_started, active or closed.
+ * New tasks start in the first not_started status; projects saved before workflows existed use the default.
+ */
+
+import { DEFAULT_TASK_WORKFLOW, MAX_WORKFLOW_STATUSES, TaskStatusCategoryEnum } from "./constants.js";
+
+const STATUS_KEY_PATTERN = /^[a-z0-9][a-z0-9_]{0,39}$/;
+
+/**
+ * Workflow of a project, falling back to the default one
+ * @param {Object} project - Project document or lean object
+ * @returns {Array<Object>} Ordered statuses { key, name, category }
+ */
+export const getProjectWorkflow = (project) => {
+    return project?.workflow?.length
+        ? project.workflow.map(({ key, name, category }) => ({ key, name, category }))
+        : DEFAULT_TASK_WORKFLOW.map(status => ({ ...status }));
+};
+
+/**
+ * Status new tasks start in: the first not_started status
+ * @param {Array<Object>} workflow - Ordered statuses
+ * @returns {String} Status key
+ */
+export const getInitialStatus = (workflow) => {
+    return workflow.find(status => status.category === TaskStatusCategoryEnum.NOT_STARTED).key;
+};
+
+/**
+ * Look up a status of a workflow by its key
+ * @returns {Object|undefined} Status or undefined when the key is not part of the workflow
+ */
+export const findWorkflowStatus = (workflow, key) => {
+    return workflow.find(status => status.key === key);
+};
+
+/**
+ * Check a workflow definition
+ * Keys must be unique lowercase slugs, and there must be a not_started status
+ * for new tasks and a closed status to finish them
+ * @param {Array<Object>} statuses - Proposed statuses
+ * @returns {Array<String>} Problems, empty when the workflow is valid
+ */
+export const getWorkflowViolations = (statuses) => {
+    const violations = [];
+
+    if (!Array.isArray(statuses) || statuses.length === 0) {
+        return ["The workflow needs at least one status"];
+    }
+
+    if (statuses.length > MAX_WORKFLOW_STATUSES) {
+        violations.push(`The workflow can have at most ${MAX_WORKFLOW_STATUSES} statuses`);
+    }
+
+    const keys = statuses.map(status => status?.key);
+
+    const invalidKeys = keys.filter(key => typeof key !== "string" || !STATUS_KEY_PATTERN.test(key));
+    if (invalidKeys.length > 0) {
+        violations.push("Status keys must be 1-40 lowercase letters, digits or underscores");
+    }
+
+    const duplicateKeys = keys.filter((key, index) => keys.indexOf(key) !== index);
+    if (duplicateKeys.length > 0) {
+        violations.push(`Duplicate status keys: ${[...new Set(duplicateKeys)].join(", ")}`);
+    }
+
+    if (!statuses.some(status => status?.category === TaskStatusCategoryEnum.NOT_STARTED)) {
+        violations.push("The workflow needs a not_started status for new tasks");
+    }
+
+    if (!statuses.some(status => status?.category === TaskStatusCategoryEnum.CLOSED)) {
+        violations.push("The workflow needs a closed status");
+    }
+
+    return violations;
+};
+
+/**
+ * Keys of the closed statuses of a workflow
+ * @param {Array<Object>} workflow - Ordered statuses
+ * @returns {Array<String>} Status keys
+ */
+export const getClosedStatusKeys = (workflow) => {
+    return workflow
+        .filter(status => status.category === TaskStatusCategoryEnum.CLOSED)
+        .map(status => status.key);
+};
@@ -0,0 +1,183 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ * Compatible with Google Authenticator, Authy, 1Password and similar apps
+ */
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+
+/**
+ * Encode a buffer as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string, ignoring padding, spaces and case
+ * @param {String} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(output);
+};
+
+/**
+ * Generate a new random base32 TOTP secret (160 bits, as recommended by RFC 4226)
+ * @returns {String} Base32 encoded secret
+ */
+export const generateTotpSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Generate the TOTP code for a given time step
+ * @param {String} secret - Base32 encoded secret
+ * @param {Number} step - Time step counter (seconds since epoch / period)
+ * @returns {String} Zero-padded numeric code
+ */
+const generateCodeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto
+        .createHmac("sha1", base32Decode(secret))
+        .update(counter)
+        .digest();
+
+    // Dynamic truncation (RFC 4226 section 5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Get the current TOTP time step
+ * @param {Number} [timestamp] - Time in ms (default: now)
+ * @returns {Number} Time step counter
+ */
+export const getTotpStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+};
+
+/**
+ * Verify a TOTP code, tolerating clock drift of `window` steps in either direction
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} options - Verification options
+ * @param {Number} options.window - Allowed drift in steps (default: 1)
+ * @param {Number} options.lastUsedStep - Last step accepted for this secret, codes at or before it are rejected as replays
+ * @returns {Number|null} Matched time step, or null when the code is invalid
+ */
+export const verifyTotp = (secret, code, options = {}) => {
+    const { window = 1, lastUsedStep = -1 } = options;
+
+    if (!secret || typeof code !== "string" || !/^\d{6}$/.test(code.trim())) {
+        return null;
+    }
+
+    const normalizedCode = Buffer.from(code.trim());
+    const currentStep = getTotpStep();
+
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+        if (step <= lastUsedStep) continue;
+
+        const expected = Buffer.from(generateCodeForStep(secret, step));
+        if (crypto.timingSafeEqual(expected, normalizedCode)) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps scan as a QR code
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} accountName - Account label shown in the app (usually the email)
+ * @param {String} issuer - Issuer label shown in the app
+ * @returns {String} otpauth URI
+ */
+export const buildOtpauthUrl = (secret, accountName, issuer = process.env.TWO_FACTOR_ISSUER || "Task Manager") => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate single-use recovery codes along with their hashes for storage
+ * @param {Number} count - Number of codes to generate (default: 10)
+ * @returns {{ codes: String[], hashedCodes: String[] }}
+ */
+export const generateRecoveryCodes = (count = 10) => {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashedCodes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Hash a recovery code for storage or lookup
+ * @param {String} code - Recovery code as entered by the user
+ * @returns {String} SHA-256 hex digest
+ */
+export const hashRecoveryCode = (code) => {
+    return crypto
+        .createHash("sha256")
+        .update(code.trim().toLowerCase())
+        .digest("hex");
+};
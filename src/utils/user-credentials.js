@@ -0,0 +1,31 @@
+/**
+ * Revocation of a user's sign-ins
+ * Used whenever an account's credentials may be compromised: suspension, password changes and resets
+ */
+
+import { Session } from "../models/session.models.js";
+import { PersonalAccessToken } from "../models/personalAccessToken.models.js";
+
+/**
+ * Revoke the sessions and, unless told otherwise, the personal access tokens of a user
+ * @param {String} userId - ID of the user
+ * @param {String} reason - Revocation reason stored on the sessions
+ * @param {Object} [options]
+ * @param {String} [options.keepSessionId] - Session left active, e.g. the one changing the password
+ * @param {Boolean} [options.personalAccessTokens=true] - Whether personal access tokens are revoked too
+ */
+export const revokeUserCredentials = async (userId, reason, { keepSessionId = null, personalAccessTokens = true } = {}) => {
+    const now = new Date();
+
+    await Session.updateMany(
+        { user: userId, revokedAt: null, ...(keepSessionId && { _id: { $ne: keepSessionId } }) },
+        { $set: { revokedAt: now, revokedReason: reason } }
+    );
+
+    if (personalAccessTokens) {
+        await PersonalAccessToken.updateMany(
+            { user: userId, revokedAt: null },
+            { $set: { revokedAt: now } }
+        );
+    }
+};
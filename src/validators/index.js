@@ -1,4 +1,34 @@
-import { body } from "express-validator";
+import { body, query } from "express-validator";
+import { AvailableActivityEntityTypes, AvailableAuditCategories, AvailableProjectPermissions, AvailableProjectRoles, AvailableTaskStatusCategories, AvailableTokenScopes, AvailableUserRole, AvailableWorkspaceRoles } from "../utils/constants.js";
+import { getPasswordPolicyViolations } from "../utils/password-policy.js";
+import { getWorkflowViolations } from "../utils/task-workflow.js";
+
+/**
+ * Enforce the password policy on a body field
+ * The policy is read at request time, and the account's username and email
+ * (from the body, or the logged-in user) are used to reject passwords built from them
+ * @param {String} field - Body field holding the new password
+ */
+const passwordPolicyCheck = (field) => {
+    return body(field)
+    .custom((value, { req }) => {
+        // Missing passwords are reported by the field's own notEmpty check
+        if (value === undefined || value === "") {
+            return true;
+        }
+
+        const violations = getPasswordPolicyViolations(value, {
+            username: req.body.username ?? req.user?.username,
+            email: req.body.email ?? req.user?.email
+        });
+
+        if (violations.length > 0) {
+            throw new Error(violations.join(". "));
+        }
+
+        return true;
+    })
+}
 
 const userRegisterValidator = () => {
     return [
@@ -23,6 +53,8 @@ const userRegisterValidator = () => {
         .notEmpty()
         .withMessage("Password is required"),
 
+        passwordPolicyCheck("password"),
+
         body("fullname")
         .optional()
         .trim()
@@ -52,7 +84,84 @@ const userChangeCurrentPasswordValidator = () => {
         .withMessage("Old password is required"),
         body("newPassword")
         .notEmpty()
-        .withMessage("New password is required")
+        .withMessage("New password is required"),
+
+        passwordPolicyCheck("newPassword")
+    ]
+}
+
+const updateProfileValidator = () => {
+    return [
+        body("fullName")
+        .optional()
+        .isString()
+        .withMessage("Full name must be a string")
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage("Full name cannot exceed 100 characters"),
+
+        body("username")
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage("Username cannot be empty")
+        .isLowercase()
+        .withMessage("Username must be in lowercase")
+        .isLength({ min: 3 })
+        .withMessage("Username must be at least 3 characters long")
+    ]
+}
+
+const deleteAccountValidator = () => {
+    return [
+        body("password")
+        .optional()
+        .isString()
+        .withMessage("Password must be a string"),
+
+        body("confirmEmail")
+        .optional()
+        .isEmail()
+        .withMessage("Email is not valid")
+    ]
+}
+
+const changeEmailValidator = () => {
+    return [
+        body("newEmail")
+        .trim()
+        .notEmpty()
+        .withMessage("New email is required")
+        .isEmail()
+        .withMessage("Email is not valid")
+        .toLowerCase(),
+
+        body("password")
+        .notEmpty()
+        .withMessage("Password is required")
+    ]
+}
+
+const magicLinkRequestValidator = () => {
+    return [
+        body("email")
+        .trim()
+        .notEmpty()
+        .withMessage("Email is required")
+        .isEmail()
+        .withMessage("Email is not valid")
+        .toLowerCase()
+    ]
+}
+
+const magicLinkVerifyValidator = () => {
+    return [
+        body("token")
+        .isString()
+        .withMessage("Token must be a string")
+        .trim()
+        .notEmpty()
+        .withMessage("Token is required")
     ]
 }
 
@@ -71,6 +180,518 @@ const userResetForgotPasswordValidator = () => {
         body("newPassword")
         .notEmpty()
         .withMessage("Password is required"),
+
+        passwordPolicyCheck("newPassword")
+    ]
+}
+
+const twoFactorChallengeValidator = () => {
+    return [
+        body("challengeToken")
+        .notEmpty()
+        .withMessage("Two-factor challenge token is required")
+    ]
+}
+
+const twoFactorLoginValidator = () => {
+    return [
+        body("challengeToken")
+        .notEmpty()
+        .withMessage("Two-factor challenge token is required"),
+
+        body("code")
+        .if(body("recoveryCode").not().exists())
+        .notEmpty()
+        .withMessage("Authentication code or recovery code is required")
+    ]
+}
+
+const twoFactorCodeValidator = () => {
+    return [
+        body("code")
+        .trim()
+        .notEmpty()
+        .withMessage("Authentication code is required")
+        .isLength({ min: 6, max: 6 })
+        .withMessage("Authentication code must be 6 digits")
+        .isNumeric()
+        .withMessage("Authentication code must be 6 digits")
+    ]
+}
+
+const twoFactorDisableValidator = () => {
+    return [
+        body("password")
+        .notEmpty()
+        .withMessage("Password is required"),
+
+        body("code")
+        .if(body("recoveryCode").not().exists())
+        .notEmpty()
+        .withMessage("Authentication code or recovery code is required")
+    ]
+}
+
+const twoFactorPolicyValidator = () => {
+    return [
+        body("requireTwoFactorForAdmins")
+        .isBoolean({ strict: true })
+        .withMessage("requireTwoFactorForAdmins must be a boolean")
+    ]
+}
+
+const clearLockoutValidator = () => {
+    return [
+        body("email")
+        .optional()
+        .isEmail()
+        .withMessage("Email is not valid"),
+
+        body("ipAddress")
+        .optional()
+        .isIP()
+        .withMessage("IP address is not valid"),
+
+        body()
+        .custom((value) => Boolean(value?.email || value?.ipAddress))
+        .withMessage("Email or IP address is required")
+    ]
+}
+
+const personalAccessTokenValidator = () => {
+    return [
+        body("name")
+        .trim()
+        .notEmpty()
+        .withMessage("Token name is required")
+        .isLength({ max: 100 })
+        .withMessage("Token name must be at most 100 characters long"),
+
+        body("scopes")
+        .isArray({ min: 1 })
+        .withMessage("At least one scope is required"),
+
+        body("scopes.*")
+        .isIn(AvailableTokenScopes)
+        .withMessage(`Scope must be one of: ${AvailableTokenScopes.join(", ")}`),
+
+        body("expiresInDays")
+        .optional()
+        .isInt({ min: 1, max: 365 })
+        .withMessage("Token expiry must be between 1 and 365 days")
+        .toInt()
+    ]
+}
+
+const invitationAcceptValidator = () => {
+    return [
+        body("username")
+        .optional()
+        .trim()
+        .isLowercase()
+        .withMessage("Username must be in lowercase")
+        .isLength({min: 3})
+        .withMessage("Username must be at least 3 characters long"),
+
+        body("password")
+        .optional()
+        .notEmpty()
+        .withMessage("Password cannot be empty"),
+
+        passwordPolicyCheck("password"),
+
+        body("fullName")
+        .optional()
+        .trim()
+    ]
+}
+
+const adminUserListValidator = () => {
+    return [
+        query("search")
+        .optional()
+        .isString()
+        .withMessage("Search must be a single string"),
+
+        query("role")
+        .optional()
+        .isIn(AvailableUserRole)
+        .withMessage(`Role must be one of: ${AvailableUserRole.join(", ")}`),
+
+        query("status")
+        .optional()
+        .isIn(["active", "suspended"])
+        .withMessage("Status must be either active or suspended"),
+
+        query("isEmailVerified")
+        .optional()
+        .isIn(["true", "false"])
+        .withMessage("isEmailVerified must be true or false"),
+
+        query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer"),
+
+        query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100")
+    ]
+}
+
+const adminUserRoleValidator = () => {
+    return [
+        body("role")
+        .notEmpty()
+        .withMessage("Role is required")
+        .isIn(AvailableUserRole)
+        .withMessage(`Role must be one of: ${AvailableUserRole.join(", ")}`)
+    ]
+}
+
+const adminSuspendUserValidator = () => {
+    return [
+        body("reason")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Reason must be at most 500 characters long")
+    ]
+}
+
+const auditEventQueryValidator = () => {
+    return [
+        query("action")
+        .optional()
+        .isString()
+        .withMessage("Action must be a single string"),
+
+        query("category")
+        .optional()
+        .isIn(AvailableAuditCategories)
+        .withMessage(`Category must be one of: ${AvailableAuditCategories.join(", ")}`),
+
+        query("outcome")
+        .optional()
+        .isIn(["success", "failure"])
+        .withMessage("Outcome must be either success or failure"),
+
+        query(["actor", "target", "project"])
+        .optional()
+        .isMongoId()
+        .withMessage("Must be a valid ID"),
+
+        query(["from", "to"])
+        .optional()
+        .isISO8601()
+        .withMessage("Must be an ISO 8601 date"),
+
+        query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer"),
+
+        query("limit")
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage("Limit must be between 1 and 200")
+    ]
+}
+
+const projectCopyValidator = () => {
+    return [
+        body("name")
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage("Name cannot be empty"),
+
+        body("description")
+        .optional()
+        .isString()
+        .withMessage("Description must be a string"),
+
+        body("include")
+        .optional()
+        .isObject()
+        .withMessage("include must be an object"),
+
+        body(["include.tasks", "include.subtasks", "include.notes", "include.members"])
+        .optional()
+        .isBoolean()
+        .withMessage("Must be true or false")
+        .toBoolean(true)
+    ]
+}
+
+const transferOwnershipValidator = () => {
+    return [
+        body("newOwnerId")
+        .notEmpty()
+        .withMessage("newOwnerId is required")
+        .isMongoId()
+        .withMessage("newOwnerId must be a valid user ID")
+    ]
+}
+
+const projectWorkflowValidator = () => {
+    return [
+        body("statuses")
+        .isArray({ min: 1 })
+        .withMessage("statuses must be a non-empty array")
+        .bail()
+        .custom((statuses) => {
+            const violations = getWorkflowViolations(statuses);
+
+            if (violations.length > 0) {
+                throw new Error(violations.join(". "));
+            }
+
+            return true;
+        }),
+
+        body("statuses.*.name")
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage("Every status needs a name")
+        .isLength({ max: 50 })
+        .withMessage("Status names must be at most 50 characters long"),
+
+        body("statuses.*.category")
+        .isIn(AvailableTaskStatusCategories)
+        .withMessage(`Category must be one of: ${AvailableTaskStatusCategories.join(", ")}`),
+
+        body("statusMapping")
+        .optional()
+        .isObject()
+        .withMessage("statusMapping must be an object of removed status keys to new status keys")
+    ]
+}
+
+const projectStatsValidator = () => {
+    return [
+        query("weeks")
+        .optional()
+        .isInt({ min: 1, max: 52 })
+        .withMessage("Weeks must be between 1 and 52")
+    ]
+}
+
+const labelValidator = (isUpdate = false) => {
+    const name = body("name");
+    const color = body("color");
+
+    return [
+        (isUpdate ? name.optional() : name)
+        .isString()
+        .withMessage("Label name is required")
+        .bail()
+        .trim()
+        .notEmpty()
+        .withMessage("Label name is required")
+        .isLength({ max: 50 })
+        .withMessage("Label name must be at most 50 characters long"),
+
+        (isUpdate ? color.optional() : color)
+        .matches(/^#[0-9a-fA-F]{6}$/)
+        .withMessage("Color must be a hex color such as #D73A4A")
+    ]
+}
+
+const workspaceValidator = (isUpdate = false) => {
+    const name = body("name");
+
+    const rules = [
+        (isUpdate ? name.optional() : name)
+        .isString()
+        .withMessage("Workspace name is required")
+        .bail()
+        .trim()
+        .notEmpty()
+        .withMessage("Workspace name is required")
+        .isLength({ max: 100 })
+        .withMessage("Workspace name must be at most 100 characters long"),
+
+        body("description")
+        .optional()
+        .isString()
+        .withMessage("Description must be a string")
+        .isLength({ max: 500 })
+        .withMessage("Description must be at most 500 characters long")
+    ];
+
+    if (!isUpdate) {
+        rules.push(
+            body("slug")
+            .optional()
+            .isString()
+            .withMessage("Slug must be a string")
+            .isLength({ max: 60 })
+            .withMessage("Slug must be at most 60 characters long"),
+
+            body("adminEmail")
+            .optional()
+            .trim()
+            .isEmail()
+            .withMessage("Admin email is invalid")
+        );
+    }
+
+    return rules;
+}
+
+const workspaceMemberValidator = () => {
+    return [
+        body("email")
+        .trim()
+        .notEmpty()
+        .withMessage("Email is required")
+        .isEmail()
+        .withMessage("Email is invalid"),
+
+        body("role")
+        .isIn(AvailableWorkspaceRoles)
+        .withMessage(`Role must be one of: ${AvailableWorkspaceRoles.join(", ")}`)
+    ]
+}
+
+const workspaceMemberRoleValidator = () => {
+    return [
+        body("role")
+        .isIn(AvailableWorkspaceRoles)
+        .withMessage(`Role must be one of: ${AvailableWorkspaceRoles.join(", ")}`)
+    ]
+}
+
+const workspaceMemberListValidator = () => {
+    return [
+        query("role")
+        .optional()
+        .isIn(AvailableWorkspaceRoles)
+        .withMessage(`Role must be one of: ${AvailableWorkspaceRoles.join(", ")}`),
+
+        query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer"),
+
+        query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100")
+    ]
+}
+
+const customRoleValidator = (isUpdate = false) => {
+    const name = body("name");
+    const permissions = body("permissions");
+
+    const rules = [
+        (isUpdate ? name.optional() : name)
+        .isString()
+        .withMessage("Role name is required")
+        .bail()
+        .trim()
+        .notEmpty()
+        .withMessage("Role name is required")
+        .isLength({ max: 50 })
+        .withMessage("Role name must be at most 50 characters long"),
+
+        body("description")
+        .optional()
+        .isString()
+        .withMessage("Description must be a string")
+        .isLength({ max: 300 })
+        .withMessage("Description must be at most 300 characters long"),
+
+        (isUpdate ? permissions.optional() : permissions)
+        .isArray()
+        .withMessage("Permissions must be an array"),
+
+        body("permissions.*")
+        .isIn(AvailableProjectPermissions)
+        .withMessage(`Each permission must be one of: ${AvailableProjectPermissions.join(", ")}`)
+    ];
+
+    // The key is stored in memberships, so it is only set when the role is created
+    if (!isUpdate) {
+        rules.push(
+            body("key")
+            .isString()
+            .withMessage("Role key is required")
+            .bail()
+            .trim()
+            .toLowerCase()
+            .matches(/^[a-z0-9][a-z0-9_]{0,39}$/)
+            .withMessage("Role key must be 1-40 lowercase letters, digits or underscores")
+            .not()
+            .isIn(AvailableProjectRoles)
+            .withMessage(`Role key cannot be a built-in role: ${AvailableProjectRoles.join(", ")}`)
+        );
+    }
+
+    return rules;
+}
+
+const projectActivityQueryValidator = () => {
+    return [
+        query("actor")
+        .optional()
+        .isMongoId()
+        .withMessage("Actor must be a valid user ID"),
+
+        query("entityType")
+        .optional()
+        .isIn(AvailableActivityEntityTypes)
+        .withMessage(`Entity type must be one of: ${AvailableActivityEntityTypes.join(", ")}`),
+
+        query(["from", "to"])
+        .optional()
+        .isISO8601()
+        .withMessage("Must be an ISO 8601 date"),
+
+        query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer"),
+
+        query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100")
+    ]
+}
+
+const projectListValidator = () => {
+    return [
+        query("search")
+        .optional()
+        .isString()
+        .withMessage("Search must be a string")
+        .isLength({ max: 100 })
+        .withMessage("Search must be at most 100 characters long"),
+
+        query("role")
+        .optional()
+        .isString()
+        .withMessage("Role must be a comma-separated list of role keys"),
+
+        query("sort")
+        .optional()
+        .isIn(["lastActivity", "name", "createdAt"])
+        .withMessage("Sort must be one of: lastActivity, name, createdAt"),
+
+        query("cursor")
+        .optional()
+        .isString()
+        .withMessage("Cursor must be a string"),
+
+        query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100")
     ]
 }
 
@@ -79,5 +700,34 @@ export{
     userLoginValidator, 
     userChangeCurrentPasswordValidator, 
     userForgotPasswordValidator, 
-    userResetForgotPasswordValidator
+    userResetForgotPasswordValidator,
+    twoFactorChallengeValidator,
+    twoFactorLoginValidator,
+    twoFactorCodeValidator,
+    twoFactorDisableValidator,
+    twoFactorPolicyValidator,
+    clearLockoutValidator,
+    personalAccessTokenValidator,
+    invitationAcceptValidator,
+    adminUserListValidator,
+    adminUserRoleValidator,
+    adminSuspendUserValidator,
+    auditEventQueryValidator,
+    updateProfileValidator,
+    deleteAccountValidator,
+    changeEmailValidator,
+    magicLinkRequestValidator,
+    magicLinkVerifyValidator,
+    projectCopyValidator,
+    transferOwnershipValidator,
+    projectWorkflowValidator,
+    projectStatsValidator,
+    labelValidator,
+    workspaceValidator,
+    workspaceMemberValidator,
+    workspaceMemberRoleValidator,
+    workspaceMemberListValidator,
+    customRoleValidator,
+    projectActivityQueryValidator,
+    projectListValidator
 };
\ No newline at end of file